@@ -0,0 +1,128 @@
+// animation.js — GNOME 48 (ESM)
+//
+// Timing of the indicator animations: level transitions, the charging
+// pulse and the critical blink. Times are in milliseconds, from any
+// monotonic clock. Free of Shell imports, so the tests can run it under
+// plain gjs.
+
+// Level transitions
+const LEVEL_DURATION_MS = 600;
+
+// Charging pulse: the level fades to this alpha and back once per period
+const PULSE_PERIOD_MS = 2400;
+const PULSE_MIN_ALPHA = 0.4;
+
+// Critical blink: the level shows, then fades to this alpha, once per period
+const BLINK_PERIOD_MS = 1000;
+const BLINK_MIN_ALPHA = 0.15;
+
+/**
+ * Ease out with a cubic curve
+ *
+ * @param {number} progress - Linear progress from 0 to 1
+ * @returns {number} Eased progress from 0 to 1
+ * @private
+ */
+function easeOutCubic(progress) {
+    return 1 - (1 - progress) ** 3;
+}
+
+/**
+ * IndicatorAnimator - Animated level and alpha of an indicator
+ *
+ * Holds the level shown, which moves towards the battery level when that
+ * changes, and the alpha the level is drawn with, which pulses while
+ * charging and blinks at a critical level. Without effects and once the
+ * level has arrived, the animation is idle and needs no frames.
+ */
+export class IndicatorAnimator {
+    constructor() {
+        this._from = null;
+        this._to = null;
+        this._levelStart = 0;
+        this._pulse = false;
+        this._blink = false;
+        this._effectStart = 0;
+    }
+
+    /**
+     * Set the battery level
+     *
+     * @param {number} percentage - New level
+     * @param {number} time - Current time in milliseconds
+     * @param {boolean} animate - Move from the level shown rather than jump
+     */
+    setLevel(percentage, time, animate) {
+        if (percentage === this._to) {
+            return;
+        }
+
+        // Nothing to move from before the first level, or when unknown
+        const shown = this._to === null ? null : this.getFrame(time).percentage;
+        const canMove = animate && shown !== null && shown >= 0 && percentage >= 0;
+
+        this._from = canMove ? shown : percentage;
+        this._to = percentage;
+        this._levelStart = time;
+    }
+
+    /**
+     * Switch the pulse and blink effects, restarting any that turn on
+     *
+     * @param {Object} effects - Effects to run
+     * @param {boolean} effects.pulse - Pulse, as while charging
+     * @param {boolean} effects.blink - Blink, as at a critical level; wins
+     *   over the pulse
+     * @param {number} time - Current time in milliseconds
+     */
+    setEffects({pulse, blink}, time) {
+        if ((pulse && !this._pulse) || (blink && !this._blink)) {
+            this._effectStart = time;
+        }
+        this._pulse = pulse;
+        this._blink = blink;
+    }
+
+    /**
+     * Skip to the end of a level transition
+     */
+    finish() {
+        this._from = this._to;
+    }
+
+    /**
+     * Whether frames are needed to show the animation
+     *
+     * @param {number} time - Current time in milliseconds
+     * @returns {boolean} True while the level moves or an effect runs
+     */
+    isAnimating(time) {
+        return this._pulse || this._blink ||
+            (this._from !== this._to && time - this._levelStart < LEVEL_DURATION_MS);
+    }
+
+    /**
+     * Get what to draw at a time
+     *
+     * @param {number} time - Current time in milliseconds
+     * @returns {Object} Level shown as percentage (null before the first
+     *   setLevel()), and alpha from 0 to 1 to draw it with
+     */
+    getFrame(time) {
+        const progress = Math.min(1, Math.max(0, (time - this._levelStart) / LEVEL_DURATION_MS));
+        const percentage = this._from === this._to
+            ? this._to
+            : this._from + (this._to - this._from) * easeOutCubic(progress);
+
+        const elapsed = time - this._effectStart;
+        let alpha = 1;
+        if (this._blink) {
+            alpha = elapsed % BLINK_PERIOD_MS < BLINK_PERIOD_MS / 2 ? 1 : BLINK_MIN_ALPHA;
+        } else if (this._pulse) {
+            const wave = (1 + Math.cos(2 * Math.PI * elapsed / PULSE_PERIOD_MS)) / 2;
+            alpha = PULSE_MIN_ALPHA + (1 - PULSE_MIN_ALPHA) * wave;
+        }
+
+        return {percentage, alpha};
+    }
+}
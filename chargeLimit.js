@@ -0,0 +1,236 @@
+// chargeLimit.js — GNOME 48 (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import UPowerGlib from 'gi://UPowerGlib';
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+
+// Kernel power supply class
+const SYSFS_ROOT = '/sys/class/power_supply';
+const START_THRESHOLD_FILE = 'charge_control_start_threshold';
+const END_THRESHOLD_FILE = 'charge_control_end_threshold';
+
+// Thresholds that disable the limit
+const UNLIMITED_START = 0;
+const UNLIMITED_END = 100;
+
+// Polkit helper writing the sysfs thresholds, see helper/
+const HELPER_PATH = '/usr/local/libexec/batteryIcon-charge-limit';
+const HELPER_COMMAND = ['pkexec', HELPER_PATH];
+
+// UPower D-Bus interface
+const UPOWER_BUS_NAME = 'org.freedesktop.UPower';
+const UPOWER_DEVICE_INTERFACE = 'org.freedesktop.UPower.Device';
+
+/**
+ * Read an integer from a sysfs attribute
+ *
+ * @param {string} path - Attribute path
+ * @returns {number|null} Value or null if unreadable
+ */
+function readInt(path) {
+    try {
+        const [, contents] = GLib.file_get_contents(path);
+        const value = parseInt(new TextDecoder().decode(contents), 10);
+        return Number.isNaN(value) ? null : value;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * ChargeLimitController - Battery charge start/stop thresholds
+ *
+ * Uses UPower's charge threshold API when the battery supports it and the
+ * configured thresholds are UPower's own, as UPower can only enable or
+ * disable those. Other thresholds go through the sysfs backend: a polkit
+ * helper writing charge_control_{start,end}_threshold below
+ * /sys/class/power_supply, with UPower's thresholds turned off first.
+ */
+export class ChargeLimitController {
+    /**
+     * @param {UPowerGlib.Client|null} upowerClient - UPower client
+     * @param {Object} [params] - Optional parameters, for tests
+     * @param {string} [params.sysfsRoot] - Power supply class directory
+     * @param {string[]} [params.helperCommand] - Command running the helper,
+     *   followed by the start and end thresholds
+     */
+    constructor(upowerClient, {sysfsRoot = SYSFS_ROOT, helperCommand = HELPER_COMMAND} = {}) {
+        this._upowerClient = upowerClient;
+        this._sysfsRoot = sysfsRoot;
+        this._helperCommand = helperCommand;
+    }
+
+    /**
+     * Find the laptop battery managed by UPower's threshold API
+     *
+     * @returns {UPowerGlib.Device|null} Battery or null if unsupported
+     */
+    getUPowerBattery() {
+        const devices = this._upowerClient?.get_devices() ?? [];
+        return devices.find(device =>
+            device.kind === UPowerGlib.DeviceKind.BATTERY &&
+            device.power_supply &&
+            device.charge_threshold_supported) ?? null;
+    }
+
+    /**
+     * Find batteries exposing sysfs charge thresholds
+     *
+     * @returns {string[]} Battery directories
+     */
+    getSysfsBatteries() {
+        const batteries = [];
+
+        try {
+            const dir = Gio.File.new_for_path(this._sysfsRoot);
+            const enumerator = dir.enumerate_children('standard::name',
+                Gio.FileQueryInfoFlags.NONE, null);
+
+            let info;
+            while ((info = enumerator.next_file(null))) {
+                const path = GLib.build_filenamev([this._sysfsRoot, info.get_name()]);
+                if (GLib.file_test(GLib.build_filenamev([path, END_THRESHOLD_FILE]),
+                                   GLib.FileTest.EXISTS)) {
+                    batteries.push(path);
+                }
+            }
+        } catch (error) {
+            console.warn(`[BatteryIcon] Cannot list ${this._sysfsRoot}: ${error.message}`);
+        }
+
+        return batteries.sort();
+    }
+
+    /**
+     * Whether charge thresholds can be controlled at all
+     *
+     * @returns {boolean} True if a backend is available
+     */
+    isSupported() {
+        return !!this.getUPowerBattery() || this.getSysfsBatteries().length > 0;
+    }
+
+    /**
+     * Read the thresholds currently in effect
+     *
+     * @returns {Object|null} {start, end} or null if not limited
+     */
+    getThresholds() {
+        const battery = this.getUPowerBattery();
+        if (battery?.charge_threshold_enabled) {
+            return {start: battery.charge_start_threshold, end: battery.charge_end_threshold};
+        }
+
+        const [path] = this.getSysfsBatteries();
+        if (!path) {
+            return null;
+        }
+
+        const end = readInt(GLib.build_filenamev([path, END_THRESHOLD_FILE]));
+        const start = readInt(GLib.build_filenamev([path, START_THRESHOLD_FILE]));
+        return end !== null && end < UNLIMITED_END
+            ? {start: start ?? UNLIMITED_START, end}
+            : null;
+    }
+
+    /**
+     * Apply the configured limit
+     *
+     * @param {Object} limit - Configured limit
+     * @param {boolean} limit.enabled - Whether charging is limited
+     * @param {number} limit.start - Start charging below this percentage
+     * @param {number} limit.end - Stop charging at this percentage
+     * @returns {Promise<boolean>} True if anything changed
+     * @throws {Error} If start is not below end, or the backend fails
+     */
+    async apply({enabled, start, end}) {
+        if (enabled && !(start >= UNLIMITED_START && start < end && end <= UNLIMITED_END)) {
+            throw new Error(`Invalid charge thresholds ${start}-${end}`);
+        }
+
+        const battery = this.getUPowerBattery();
+        const hasSysfs = this.getSysfsBatteries().length > 0;
+        const isUPowerLimit = !!battery &&
+            start === battery.charge_start_threshold && end === battery.charge_end_threshold;
+
+        // UPower only switches its own thresholds; other values need sysfs,
+        // without UPower's thresholds on top
+        if (battery && (!hasSysfs || (enabled && isUPowerLimit))) {
+            return this._enableUPowerThreshold(battery, enabled);
+        }
+
+        let changed = false;
+        if (battery?.charge_threshold_enabled) {
+            changed = await this._enableUPowerThreshold(battery, false);
+        }
+
+        if (!hasSysfs) {
+            return changed;
+        }
+
+        const target = enabled
+            ? {start, end}
+            : {start: UNLIMITED_START, end: UNLIMITED_END};
+        const current = this.getThresholds() ??
+            {start: UNLIMITED_START, end: UNLIMITED_END};
+
+        if (current.start === target.start && current.end === target.end) {
+            return changed;
+        }
+
+        await this._runHelper(target.start, target.end);
+        return true;
+    }
+
+    /**
+     * Switch UPower's own thresholds on or off
+     *
+     * @param {UPowerGlib.Device} battery - Battery supporting thresholds
+     * @param {boolean} enabled - Whether to limit charging
+     * @returns {Promise<boolean>} True if anything changed
+     * @private
+     */
+    async _enableUPowerThreshold(battery, enabled) {
+        if (battery.charge_threshold_enabled === enabled) {
+            return false;
+        }
+
+        await Gio.DBus.system.call(
+            UPOWER_BUS_NAME,
+            battery.get_object_path(),
+            UPOWER_DEVICE_INTERFACE,
+            'EnableChargeThreshold',
+            new GLib.Variant('(b)', [enabled]),
+            null,
+            Gio.DBusCallFlags.ALLOW_INTERACTIVE_AUTHORIZATION,
+            -1,
+            null);
+        return true;
+    }
+
+    /**
+     * Write the sysfs thresholds through the polkit helper
+     *
+     * @param {number} start - Start threshold
+     * @param {number} end - End threshold
+     * @private
+     */
+    async _runHelper(start, end) {
+        const helperPath = this._helperCommand[this._helperCommand.length - 1];
+        if (!GLib.file_test(helperPath, GLib.FileTest.IS_EXECUTABLE)) {
+            throw new Error(`Charge limit helper not installed at ${helperPath}`);
+        }
+
+        const proc = Gio.Subprocess.new(
+            [...this._helperCommand, String(start), String(end)],
+            Gio.SubprocessFlags.STDOUT_SILENCE | Gio.SubprocessFlags.STDERR_PIPE);
+        const [, stderr] = await proc.communicate_utf8_async(null, null);
+
+        if (!proc.get_successful()) {
+            throw new Error(`Charge limit helper failed: ${stderr.trim()}`);
+        }
+    }
+}
@@ -0,0 +1,184 @@
+// colors.js — GNOME 48 (ESM)
+//
+// Shared by extension.js, prefs.js and the tests, so it must not import
+// Shell or GTK.
+
+// Color scheme names as used in settings
+export const SCHEME_DEFAULT = 'default';
+export const SCHEME_COLORBLIND = 'colorblind';
+export const SCHEME_MONOCHROME = 'monochrome';
+export const SCHEME_HIGH_CONTRAST = 'high-contrast';
+export const SCHEME_CUSTOM = 'custom';
+
+/**
+ * Built-in gradient stops, as [percentage, '#rrggbb'] pairs
+ *
+ * The monochrome scheme has no stops; it follows the shell's foreground
+ * color instead.
+ */
+export const COLOR_PRESETS = {
+    [SCHEME_DEFAULT]: [
+        [0, '#ff0000'],
+        [50, '#ffff00'],
+        [100, '#00ff00'],
+    ],
+    [SCHEME_COLORBLIND]: [
+        [0, '#e66100'],
+        [50, '#deddda'],
+        [100, '#1c71d8'],
+    ],
+    [SCHEME_MONOCHROME]: [],
+    [SCHEME_HIGH_CONTRAST]: [
+        [0, '#ff0000'],
+        [20, '#ff0000'],
+        [20, '#ffff00'],
+        [50, '#ffff00'],
+        [50, '#ffffff'],
+        [100, '#ffffff'],
+    ],
+};
+
+/**
+ * Parse a '#rgb' or '#rrggbb' color
+ *
+ * @param {string} color - Hex color string
+ * @returns {number[]|null} RGB color array [r, g, b] (0-1) or null if invalid
+ */
+export function parseColor(color) {
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color?.trim() ?? '')?.[1];
+
+    if (!hex) {
+        return null;
+    }
+
+    if (hex.length === 3) {
+        hex = [...hex].map(digit => digit + digit).join('');
+    }
+
+    return [0, 2, 4].map(offset =>
+        parseInt(hex.slice(offset, offset + 2), 16) / 255);
+}
+
+/**
+ * Format an RGB color array as '#rrggbb'
+ *
+ * @param {number[]} color - RGB color array [r, g, b] (0-1)
+ * @returns {string} Hex color string
+ */
+export function toHexColor(color) {
+    return `#${color.map(component => Math.round(component * 255)
+        .toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Convert a theme color to a color array
+ *
+ * @param {Cogl.Color} color - Color with 0-255 channels, such as one read
+ *   from an St.ThemeNode
+ * @returns {number[]} RGBA color array [r, g, b, a] (0-1)
+ */
+export function fromThemeColor({red, green, blue, alpha}) {
+    return [red, green, blue, alpha].map(component => component / 255);
+}
+
+/**
+ * Get the gradient stops of a color scheme
+ *
+ * @param {string} scheme - Color scheme name
+ * @param {Array[]} customStops - Stops used by the custom scheme
+ * @returns {Array[]} Gradient stops as [percentage, '#rrggbb'] pairs
+ */
+export function getSchemeStops(scheme, customStops) {
+    if (scheme === SCHEME_CUSTOM) {
+        return customStops;
+    }
+    return COLOR_PRESETS[scheme] ?? COLOR_PRESETS[SCHEME_DEFAULT];
+}
+
+/**
+ * Interpolate the color of a percentage along gradient stops
+ *
+ * Stops may share a percentage to get a hard edge; the later stop wins
+ * above it. Invalid colors are ignored.
+ *
+ * @param {Array[]} stops - Gradient stops as [percentage, '#rrggbb'] pairs
+ * @param {number} percentage - Battery percentage (0-100)
+ * @returns {number[]} RGB color array [r, g, b] (0-1)
+ */
+export function colorForPercentage(stops, percentage) {
+    const parsed = stops
+        .map(([stop, color]) => [stop, parseColor(color)])
+        .filter(([, color]) => color)
+        .sort((a, b) => a[0] - b[0]);
+
+    if (parsed.length === 0) {
+        return [0, 0, 0];
+    }
+
+    if (percentage <= parsed[0][0]) {
+        return parsed[0][1];
+    }
+
+    for (let i = 1; i < parsed.length; i++) {
+        const [end, endColor] = parsed[i];
+
+        if (percentage <= end) {
+            const [start, startColor] = parsed[i - 1];
+            const t = end === start ? 1 : (percentage - start) / (end - start);
+            return startColor.map((component, index) =>
+                component + (endColor[index] - component) * t);
+        }
+    }
+
+    return parsed[parsed.length - 1][1];
+}
+
+/**
+ * Compute the level color of an indicator
+ *
+ * @param {Object} status - Battery status
+ * @param {number} status.percentage - Battery percentage (0-100)
+ * @param {boolean} status.isCharging - Charging state
+ * @param {Object} colorScheme - Gradient stops and charging color (or null)
+ * @returns {number[]|null} RGB color array [r, g, b], or null to follow
+ *   the theme foreground color
+ */
+export function colorForStatus({percentage, isCharging}, {stops, chargingColor}) {
+    if (percentage < 0 || percentage > 100) {
+        return [0, 0, 0]; // Invalid percentage
+    }
+
+    if (isCharging && chargingColor) {
+        return chargingColor;
+    }
+
+    if (stops.length === 0) {
+        return null; // Monochrome
+    }
+
+    return colorForPercentage(stops, percentage);
+}
+
+/**
+ * Compute the color of a power draw
+ *
+ * Low draw takes the color of a full battery and high draw that of an
+ * empty one, so the scheme reads the same way as for the level.
+ *
+ * @param {number} energyRate - Power draw in watts
+ * @param {number} lowRate - Draw in watts at or below which it is low
+ * @param {number} highRate - Draw in watts at or above which it is high
+ * @param {Array[]} stops - Gradient stops as [percentage, '#rrggbb'] pairs
+ * @returns {number[]|null} RGB color array [r, g, b], or null to follow
+ *   the theme foreground color
+ */
+export function colorForPower(energyRate, lowRate, highRate, stops) {
+    if (stops.length === 0) {
+        return null; // Monochrome
+    }
+
+    const share = highRate > lowRate
+        ? (energyRate - lowRate) / (highRate - lowRate)
+        : Number(energyRate >= highRate);
+    return colorForPercentage(stops, 100 * (1 - Math.min(1, Math.max(0, share))));
+}
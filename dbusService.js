@@ -0,0 +1,159 @@
+// dbusService.js — GNOME 48 (ESM)
+//
+// Publishes what the extension decided on the session bus, for scripts and
+// status bars:
+//
+//     gdbus call --session --dest io.github.slim8916.BatteryIcon \
+//         --object-path /io/github/slim8916/BatteryIcon \
+//         --method org.freedesktop.DBus.Properties.GetAll io.github.slim8916.BatteryIcon
+//
+// Free of Shell imports, so the tests can run it on a private session bus.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export const BUS_NAME = 'io.github.slim8916.BatteryIcon';
+export const OBJECT_PATH = '/io/github/slim8916/BatteryIcon';
+export const INTERFACE_NAME = 'io.github.slim8916.BatteryIcon';
+
+// Display modes as named in settings
+const DISPLAY_MODES = ['percent', 'time', 'alternate'];
+
+/**
+ * Published properties: D-Bus type and the state field they mirror
+ */
+const PROPERTIES = {
+    Percentage: ['i', 'percentage'],
+    PowerState: ['s', 'powerState'],
+    IsCharging: ['b', 'isCharging'],
+    Color: ['s', 'color'],
+    Visible: ['b', 'visible'],
+    TimeRemaining: ['x', 'timeRemaining'],
+    EnergyRate: ['d', 'energyRate'],
+    DisplayMode: ['s', 'displayMode'],
+    ForceShow: ['b', 'forceShow'],
+    ForceHidden: ['b', 'forceHidden'],
+};
+
+// State published before the first update
+const INITIAL_STATE = {
+    percentage: -1,
+    powerState: 'unknown',
+    isCharging: false,
+    color: '',
+    visible: false,
+    timeRemaining: 0,
+    energyRate: 0,
+    displayMode: DISPLAY_MODES[0],
+    forceShow: false,
+    forceHidden: false,
+};
+
+const INTERFACE_XML = `
+<node>
+  <interface name="${INTERFACE_NAME}">
+    ${Object.entries(PROPERTIES).map(([name, [type]]) =>
+        `<property name="${name}" type="${type}" access="read"/>`).join('\n    ')}
+    <method name="ForceShow">
+      <arg name="enabled" type="b" direction="in"/>
+    </method>
+    <method name="ForceHide">
+      <arg name="enabled" type="b" direction="in"/>
+    </method>
+    <method name="Flash"/>
+    <method name="SetDisplayMode">
+      <arg name="mode" type="s" direction="in"/>
+    </method>
+  </interface>
+</node>`;
+
+/**
+ * BatteryIconService - Session bus interface of the extension
+ *
+ * Properties mirror the status, color and visibility the main indicator
+ * shows, and emit PropertiesChanged when they change. Methods are handed
+ * to the extension:
+ *
+ * - ForceShow(b): always show the indicator, like the Quick Settings toggle
+ * - ForceHide(b): hide the indicator until called with false
+ * - Flash(): blink the indicator, showing it meanwhile
+ * - SetDisplayMode(s): 'percent', 'time' or 'alternate'
+ */
+export class BatteryIconService {
+    /**
+     * @param {Object} controls - Callbacks into the extension
+     * @param {Function} controls.forceShow - Called with a boolean
+     * @param {Function} controls.forceHide - Called with a boolean
+     * @param {Function} controls.flash - Called without arguments
+     * @param {Function} controls.setDisplayMode - Called with a valid mode
+     * @param {Gio.DBusConnection} [connection] - Bus to use, for tests
+     */
+    constructor(controls, connection = Gio.DBus.session) {
+        this._connection = connection;
+        // Methods return nothing, matching their D-Bus signatures
+        this._impl = {
+            ForceShow: enabled => {
+                controls.forceShow(enabled);
+            },
+            ForceHide: enabled => {
+                controls.forceHide(enabled);
+            },
+            Flash: () => {
+                controls.flash();
+            },
+            SetDisplayMode: mode => {
+                if (!DISPLAY_MODES.includes(mode)) {
+                    throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS,
+                        `Unknown display mode '${mode}', expected one of ` +
+                        `${DISPLAY_MODES.join(', ')}`);
+                }
+                controls.setDisplayMode(mode);
+            },
+        };
+
+        for (const [name, [, field]] of Object.entries(PROPERTIES)) {
+            this._impl[name] = INITIAL_STATE[field];
+        }
+
+        this._exported = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this._impl);
+        this._exported.export(this._connection, OBJECT_PATH);
+        this._ownerId = Gio.bus_own_name_on_connection(this._connection, BUS_NAME,
+            Gio.BusNameOwnerFlags.NONE, null,
+            () => console.warn(`[BatteryIcon] Could not own ${BUS_NAME} on the session bus`));
+    }
+
+    /**
+     * Publish a new state, emitting changes
+     *
+     * @param {Object} state - Fields to change, any of percentage,
+     *   powerState, isCharging, color ('#rrggbb', empty to follow the
+     *   theme), visible, timeRemaining (seconds, 0 if unknown), energyRate
+     *   (watts), displayMode, forceShow and forceHidden
+     */
+    update(state) {
+        for (const [name, [type, field]] of Object.entries(PROPERTIES)) {
+            const value = state[field];
+            if (value === undefined || value === this._impl[name]) {
+                continue;
+            }
+
+            this._impl[name] = value;
+            this._exported?.emit_property_changed(name, new GLib.Variant(type, value));
+        }
+    }
+
+    /**
+     * Release the bus name and unexport the interface
+     */
+    destroy() {
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+
+        if (this._exported) {
+            this._exported.unexport();
+            this._exported = null;
+        }
+    }
+}
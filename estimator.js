@@ -0,0 +1,173 @@
+// estimator.js — GNOME 48 (ESM)
+
+import * as Locale from './locale.js';
+
+// Weight of the newest rate sample in the exponential moving average
+const SMOOTHING_FACTOR = 0.3;
+
+// Samples closer together than this are merged, in seconds
+const MIN_SAMPLE_INTERVAL_SECONDS = 30;
+
+// Battery percentage limits
+const MAX_BATTERY_PERCENT = 100;
+
+/**
+ * Format a duration as hours and minutes in the locale's digits, e.g. "1:05"
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return Locale.formatClock(hours, minutes);
+}
+
+/**
+ * TimeEstimator - Smoothed time-to-empty/time-to-full estimate
+ *
+ * Used as a fallback when UPower reports no time estimate. Tracks the
+ * percentage change rate as an exponential moving average and resets
+ * whenever the charging direction changes.
+ */
+export class TimeEstimator {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this._isCharging = null;
+        this._lastPercentage = null;
+        this._lastTimestamp = 0;
+        this._rate = 0;
+    }
+
+    /**
+     * Record a percentage sample
+     *
+     * @param {number} percentage - Battery percentage (0-100)
+     * @param {boolean} isCharging - Charging state
+     * @param {number} timestamp - Sample time in seconds (monotonic)
+     */
+    addSample(percentage, isCharging, timestamp) {
+        if (isCharging !== this._isCharging) {
+            this.reset();
+            this._isCharging = isCharging;
+        }
+
+        if (this._lastPercentage === null) {
+            this._lastPercentage = percentage;
+            this._lastTimestamp = timestamp;
+            return;
+        }
+
+        const elapsed = timestamp - this._lastTimestamp;
+        if (percentage === this._lastPercentage ||
+            elapsed < MIN_SAMPLE_INTERVAL_SECONDS) {
+            return;
+        }
+
+        // Percent per second, positive while charging
+        const rate = (percentage - this._lastPercentage) / elapsed;
+        this._rate = this._rate === 0
+            ? rate
+            : SMOOTHING_FACTOR * rate + (1 - SMOOTHING_FACTOR) * this._rate;
+
+        this._lastPercentage = percentage;
+        this._lastTimestamp = timestamp;
+    }
+
+    /**
+     * Estimated seconds until empty (discharging) or full (charging)
+     *
+     * @returns {number} Estimate in seconds, or 0 if unknown
+     */
+    getTimeRemaining() {
+        if (this._lastPercentage === null || this._rate === 0) {
+            return 0;
+        }
+
+        const remaining = this._isCharging
+            ? (MAX_BATTERY_PERCENT - this._lastPercentage) / this._rate
+            : this._lastPercentage / -this._rate;
+
+        // A rate against the charging direction gives no usable estimate
+        return remaining > 0 ? Math.round(remaining) : 0;
+    }
+}
+
+/**
+ * PowerAverage - Energy rate averaged over a time window
+ *
+ * Each sample counts for the time it held, until the next sample, as
+ * UPower reports in bursts while the rate changes and rarely while it is
+ * steady. Keeps the samples of the last window and resets whenever the
+ * charging direction changes, as the rate then measures the other
+ * direction.
+ */
+export class PowerAverage {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this._isCharging = null;
+        this._samples = [];
+    }
+
+    /**
+     * Record an energy rate sample
+     *
+     * @param {number} energyRate - Energy rate in watts
+     * @param {boolean} isCharging - Charging state
+     * @param {number} timestamp - Sample time in seconds (monotonic)
+     */
+    addSample(energyRate, isCharging, timestamp) {
+        if (isCharging !== this._isCharging) {
+            this.reset();
+            this._isCharging = isCharging;
+        }
+
+        this._samples.push([timestamp, energyRate]);
+    }
+
+    /**
+     * Time-weighted average energy rate over a window, dropping samples
+     * that no longer reach into it
+     *
+     * The newest sample holds until now, however old.
+     *
+     * @param {number} windowSeconds - Window length, 0 for the newest sample
+     * @param {number} timestamp - Current time in seconds (monotonic)
+     * @returns {number} Average energy rate in watts, 0 without samples
+     */
+    getAverage(windowSeconds, timestamp) {
+        if (this._samples.length === 0) {
+            return 0;
+        }
+
+        // The last sample before the window holds at its start
+        const windowStart = timestamp - windowSeconds;
+        const firstInside = this._samples.findIndex(([time]) => time > windowStart);
+        this._samples = this._samples.slice(firstInside < 0 ? -1 : Math.max(firstInside - 1, 0));
+
+        let energy = 0;
+        let duration = 0;
+        this._samples.forEach(([time, energyRate], i) => {
+            const from = Math.max(time, windowStart);
+            const to = this._samples[i + 1]?.[0] ?? timestamp;
+            if (to > from) {
+                energy += energyRate * (to - from);
+                duration += to - from;
+            }
+        });
+
+        return duration > 0 ? energy / duration : this._samples.at(-1)[1];
+    }
+}
@@ -1,50 +1,322 @@
 // extension.js — GNOME 48 (ESM)
 
+import Atk from 'gi://Atk';
 import GObject from 'gi://GObject';
+import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import Pango from 'gi://Pango';
 import UPowerGlib from 'gi://UPowerGlib';
-import Rsvg from 'gi://Rsvg';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
-import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
-import Cairo from 'cairo';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import {
+    Extension,
+    gettext as _,
+    ngettext,
+} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import * as Animation from './animation.js';
+import {ChargeLimitController} from './chargeLimit.js';
+import * as Colors from './colors.js';
+import {BatteryIconService} from './dbusService.js';
+import {PowerAverage, TimeEstimator, formatDuration} from './estimator.js';
+import * as Health from './health.js';
+import * as Locale from './locale.js';
+import {ChargeHistory} from './history.js';
+import {HistoryPopup} from './historyPopup.js';
+import {migrateSettings} from './migration.js';
+import {BatteryNotifier} from './notifications.js';
+import * as Painter from './painter.js';
+import {PowerProfilesClient, ProfileSwitcher} from './powerProfiles.js';
+import {BatterySystemIndicator} from './quickSettings.js';
+import * as Renderers from './renderers.js';
+import * as Status from './status.js';
+import * as Visibility from './visibility.js';
 
 // Settings keys
 const CHARGING_KEY = 'charging-threshold';
 const DISCHARGING_KEY = 'discharging-threshold';
+const PERIPHERAL_KINDS_KEY = 'peripheral-kinds';
+const PERIPHERAL_THRESHOLDS_KEY = 'peripheral-thresholds';
+const DISPLAY_MODE_KEY = 'display-mode';
+const COLOR_SCHEME_KEY = 'color-scheme';
+const COLOR_STOPS_KEY = 'color-stops';
+const USE_CHARGING_COLOR_KEY = 'use-charging-color';
+const CHARGING_COLOR_KEY = 'charging-color';
+const INDICATOR_STYLE_KEY = 'indicator-style';
+const STYLE_OPTIONS_KEY = 'style-options';
+const CHARGE_LIMIT_ENABLED_KEY = 'charge-limit-enabled';
+const CHARGE_LIMIT_START_KEY = 'charge-limit-start';
+const CHARGE_LIMIT_END_KEY = 'charge-limit-end';
+const CHARGE_LIMIT_APPLIED_KEY = 'charge-limit-applied';
+const FORCE_SHOW_KEY = 'force-show';
+const STATE_VISIBILITY_KEY = 'state-visibility';
+const SHOW_LOST_CAPACITY_KEY = 'show-lost-capacity';
+const PROFILE_BADGE_KEY = 'profile-badge';
+const PROFILE_RULES_ENABLED_KEY = 'profile-rules-enabled';
+const PROFILE_RULES_KEY = 'profile-rules';
+const BATTERY_LAYOUT_KEY = 'battery-layout';
+const HIDE_MARGIN_KEY = 'hide-margin';
+const MINIMUM_VISIBLE_TIME_KEY = 'minimum-visible-time';
+const SHOW_AFTER_PLUG_TIME_KEY = 'show-after-plug-time';
+const SCHEDULES_ENABLED_KEY = 'schedules-enabled';
+const SCHEDULES_KEY = 'schedules';
+const PANEL_BOX_KEY = 'panel-box';
+const PANEL_POSITION_KEY = 'panel-position';
+const STOCK_ICON_MODE_KEY = 'stock-icon-mode';
+const ANIMATE_LEVEL_KEY = 'animate-level';
+const CHARGING_PULSE_KEY = 'charging-pulse';
+const CRITICAL_BLINK_KEY = 'critical-blink';
+const CRITICAL_LEVEL_KEY = 'critical-level';
+const POWER_READOUT_KEY = 'power-readout';
+const POWER_AVERAGE_WINDOW_KEY = 'power-average-window';
+const POWER_READOUT_DISCHARGING_ONLY_KEY = 'power-readout-discharging-only';
+const POWER_DRAW_LOW_KEY = 'power-draw-low';
+const POWER_DRAW_HIGH_KEY = 'power-draw-high';
+const HIGH_VISIBILITY_KEY = 'high-visibility';
+const LOCK_SCREEN_INDICATOR_KEY = 'lock-screen-indicator';
+const LOCK_SCREEN_DISPLAY_MODE_KEY = 'lock-screen-display-mode';
+const LOCK_SCREEN_PERIPHERALS_KEY = 'lock-screen-peripherals';
+
+// Display modes
+const DISPLAY_MODE_PERCENT = 'percent';
+const DISPLAY_MODE_TIME = 'time';
+const DISPLAY_MODE_ALTERNATE = 'alternate';
+
+// Power draw readouts
+const POWER_READOUT_OFF = 'off';
+const POWER_READOUT_REPLACE = 'replace';
+const POWER_READOUT_SECOND_LINE = 'second-line';
+
+// High visibility modes
+const HIGH_VISIBILITY_ON = 'on';
+const HIGH_VISIBILITY_SYSTEM = 'system';
+
+// Power draws below this many watts show a decimal
+const POWER_DECIMALS_BELOW = 10;
+
+// Layouts of laptops with several batteries
+const BATTERY_LAYOUT_AGGREGATE = 'aggregate';
+const BATTERY_LAYOUT_BOTH = 'both';
+
+// Panel boxes, and how the indicator coexists with the stock battery icon
+const PANEL_BOX_LEFT = 'left';
+const PANEL_BOX_CENTER = 'center';
+const PANEL_BOX_RIGHT = 'right';
+const STOCK_ICON_BESIDE = 'beside';
+const STOCK_ICON_PERCENTAGE = 'percentage';
 
 // Visual constants
 const PANEL_SIZE_RATIO = 0.9;
 const MIN_INDICATOR_SIZE = 22;
-const RING_OUTER_PADDING = 2;
-const RING_INNER_RATIO = 0.9;
-const ARC_START_ANGLE = -Math.PI / 2;
-const DEGREES_PER_PERCENT = 3.6;
-const FONT_SIZE_RATIO = 0.33;
-const CHARGING_ICON_SCALE = 1.7;
-const CHARGING_ICON_SPACING = 1.05;
+const TOOLTIP_OFFSET = 6;
+
+// Style class and custom properties of stylesheet.css
+const INDICATOR_STYLE_CLASS = 'battery-icon-indicator';
+const FONT_SCALE_PROPERTY = '-battery-icon-font-scale';
+const TEXT_COLOR_PROPERTY = '-battery-icon-text-color';
+const TRACK_COLOR_PROPERTY = '-battery-icon-track-color';
+const RING_WIDTH_PROPERTY = '-battery-icon-ring-width';
+
+
+
+
+
+
+// Animations of an indicator before setAnimations()
+const DEFAULT_ANIMATIONS = {
+    animateLevel: false,
+    chargingPulse: false,
+    criticalBlink: false,
+    criticalLevel: 0,
+};
+
+// Power draw readout of an indicator before setPowerReadout()
+const DEFAULT_POWER_READOUT = {
+    mode: POWER_READOUT_OFF,
+    dischargingOnly: true,
+    lowRate: 5,
+    highRate: 25,
+};
+
+// Length of one animation timeline cycle; frames follow the display
+const ANIMATION_CYCLE_MS = 1000;
+
+// Blinks of the indicator when flashed over D-Bus, and their duration
+const FLASH_COUNT = 3;
+const FLASH_DURATION_MS = 250;
+
+// Seconds between percentage and time in alternating display mode
+const ALTERNATE_INTERVAL_SECONDS = 3;
+
+// Seconds without settings changes before the charge limit is applied
+const CHARGE_LIMIT_APPLY_DELAY_SECONDS = 1;
+
+// Default threshold for peripheral kinds missing from settings
+const DEFAULT_PERIPHERAL_THRESHOLD = 50;
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Peripheral kinds, keyed by the name used in settings
+const PERIPHERAL_KINDS = {
+    'mouse': {
+        deviceKinds: [UPowerGlib.DeviceKind.MOUSE],
+        iconName: 'input-mouse-symbolic',
+        title: N_('Mouse'),
+    },
+    'keyboard': {
+        deviceKinds: [UPowerGlib.DeviceKind.KEYBOARD],
+        iconName: 'input-keyboard-symbolic',
+        title: N_('Keyboard'),
+    },
+    'headset': {
+        deviceKinds: [
+            UPowerGlib.DeviceKind.HEADSET,
+            UPowerGlib.DeviceKind.HEADPHONES,
+        ],
+        iconName: 'audio-headset-symbolic',
+        title: N_('Headset'),
+    },
+    'phone': {
+        deviceKinds: [UPowerGlib.DeviceKind.PHONE],
+        iconName: 'phone-symbolic',
+        title: N_('Phone'),
+    },
+    'tablet': {
+        deviceKinds: [UPowerGlib.DeviceKind.TABLET],
+        iconName: 'input-tablet-symbolic',
+        title: N_('Tablet'),
+    },
+    'gaming-input': {
+        deviceKinds: [UPowerGlib.DeviceKind.GAMING_INPUT],
+        iconName: 'input-gaming-symbolic',
+        title: N_('Game Controller'),
+    },
+};
 
+/**
+ * Current time of the indicator animations
+ *
+ * @returns {number} Monotonic time in milliseconds
+ */
+function getAnimationTime() {
+    return GLib.get_monotonic_time() / 1000;
+}
 
+/**
+ * Describe a duration in words, for screen readers
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration such as "1 hour 10 minutes"
+ */
+function describeDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const parts = [];
 
+    if (hours > 0) {
+        parts.push(ngettext('%s hour', '%s hours', hours).format(Locale.formatNumber(hours)));
+    }
+    if (minutes > 0 || hours === 0) {
+        parts.push(ngettext('%s minute', '%s minutes', minutes)
+            .format(Locale.formatNumber(minutes)));
+    }
+    return parts.join(' ');
+}
 
+/**
+ * Get a box of the top panel
+ *
+ * @param {string} name - 'left', 'center' or 'right'
+ * @returns {St.BoxLayout} The panel box
+ */
+function getPanelBox(name) {
+    switch (name) {
+    case PANEL_BOX_LEFT:
+        return Main.panel._leftBox;
+    case PANEL_BOX_CENTER:
+        return Main.panel._centerBox;
+    default:
+        return Main.panel._rightBox;
+    }
+}
 
+/**
+ * Find the peripheral kind name for a UPower device
+ *
+ * @param {UPowerGlib.Device} device - UPower device
+ * @returns {string|null} Peripheral kind name or null if not a peripheral
+ */
+function getPeripheralKindName(device) {
+    if (device.power_supply)
+        return null;
 
-// Battery color thresholds
-const LOW_BATTERY_THRESHOLD = 50;
+    for (const [name, {deviceKinds}] of Object.entries(PERIPHERAL_KINDS)) {
+        if (deviceKinds.includes(device.kind))
+            return name;
+    }
+    return null;
+}
 
-// Update interval in seconds
-const UPDATE_INTERVAL_SECONDS = 2;
+/**
+ * Resolve a symbolic icon name to a file in the current icon theme
+ *
+ * @param {string} iconName - Icon name to look up
+ * @returns {string|null} Absolute path to the icon file or null if not found
+ */
+function lookupIconPath(iconName) {
+    const iconTheme = new St.IconTheme();
+    const iconInfo = iconTheme.lookup_icon(iconName, 16,
+                                           St.IconLookupFlags.FORCE_SVG);
+    return iconInfo?.get_filename() ?? null;
+}
 
-// Battery percentage limits
-const MIN_BATTERY_PERCENT = 0;
-const MAX_BATTERY_PERCENT = 100;
+/**
+ * Read how the theme styles an indicator, see stylesheet.css
+ *
+ * @param {St.ThemeNode} themeNode - Theme node of the indicator
+ * @returns {Object} RGB foregroundColor, plus font, textColor, trackColor
+ *   and ringWidth as accepted by Painter.paintIndicator()
+ */
+function readThemeStyle(themeNode) {
+    const font = themeNode.get_font();
+    const [hasFontScale, fontScale] = themeNode.lookup_double(FONT_SCALE_PROPERTY, false);
+    const [hasTextColor, textColor] = themeNode.lookup_color(TEXT_COLOR_PROPERTY, false);
+    const [hasTrackColor, trackColor] = themeNode.lookup_color(TRACK_COLOR_PROPERTY, false);
+    const [hasRingWidth, ringWidth] = themeNode.lookup_length(RING_WIDTH_PROPERTY, false);
+    const track = hasTrackColor ? Colors.fromThemeColor(trackColor) : null;
+
+    return {
+        foregroundColor: Colors.fromThemeColor(themeNode.get_foreground_color()).slice(0, 3),
+        font: {
+            // Cairo takes a single family, not a fallback list
+            family: font.get_family()?.split(',')[0].trim() || Painter.DEFAULT_FONT.family,
+            italic: font.get_style() !== Pango.Style.NORMAL,
+            bold: font.get_weight() >= Pango.Weight.SEMIBOLD,
+            sizeRatio: hasFontScale ? fontScale : Painter.DEFAULT_FONT.sizeRatio,
+        },
+        textColor: hasTextColor ? Colors.fromThemeColor(textColor).slice(0, 3) : null,
+        trackColor: track?.[3] > 0 ? track : null,
+        ringWidth: hasRingWidth && ringWidth > 0 ? ringWidth : null,
+    };
+}
 
 /**
  * CircleIndicator - Custom battery indicator widget
  *
- * Displays battery percentage as a colored circular progress ring
- * with optional charging icon overlay.
+ * Displays battery percentage as a colored circular progress ring (or
+ * another shape from renderers.js) with optional charging icon overlay.
+ * Peripheral indicators draw a device kind glyph in the center instead of
+ * the percentage. The center can also show the remaining time, and
+ * hovering shows a detailed tooltip. Font, text and track colors, ring
+ * width and the padding around the drawing surface come from
+ * stylesheet.css, so shell themes can restyle it. Level changes, charging
+ * and a critical level can be animated; animations follow the shell's
+ * animation setting and only run while the indicator is on screen. Screen
+ * readers get the level, state and time as the accessible name, and the
+ * high visibility mode conveys the level without relying on color.
  */
 const CircleIndicator = GObject.registerClass(
 class CircleIndicator extends St.DrawingArea {
@@ -54,306 +326,1522 @@ class CircleIndicator extends St.DrawingArea {
      * @param {Object} status - Battery status object
      * @param {number} status.percentage - Battery percentage (0-100)
      * @param {boolean} status.isCharging - Charging state
+     * @param {number} [status.state] - UPower device state
+     * @param {string} [status.powerState] - Power state, see status.js
+     * @param {number} [status.energyRate] - Energy rate in watts
+     * @param {number} [status.averageEnergyRate] - Averaged energy rate in
+     *   watts, for the power draw readout
+     * @param {number} [status.timeRemaining] - Seconds to empty/full, 0 if unknown
      * @param {string} extensionPath - Absolute path to extension directory
+     * @param {Object} [params] - Optional parameters
+     * @param {string} [params.glyphPath] - SVG drawn in place of the percentage
+     * @param {string} [params.title] - Device name shown in the tooltip
+     * @param {boolean} [params.interactive] - React to the pointer and show
+     *   the tooltip; false on the lock screen
      */
-    _init(status, extensionPath) {
+    _init(status, extensionPath, params = {}) {
+        const interactive = params.interactive ?? true;
+        super._init({
+            style_class: INDICATOR_STYLE_CLASS,
+            reactive: interactive,
+            track_hover: interactive,
+            accessible_role: Atk.Role.LABEL,
+        });
+
+        this._status = status;
+        this._extensionPath = extensionPath;
+        this._glyphPath = params.glyphPath ?? null;
+        this._title = params.title ?? _('Battery');
+        this._displayMode = DISPLAY_MODE_PERCENT;
+        this._showTime = false;
+        this._alternateId = 0;
+        this._tooltip = null;
+        this._colorScheme = {
+            stops: Colors.COLOR_PRESETS[Colors.SCHEME_DEFAULT],
+            chargingColor: null,
+        };
+        this._color = Colors.colorForStatus(this._status, this._colorScheme);
+        this._style = Renderers.STYLE_RING;
+        this._styleOptions = Renderers.getStyleOptions(this._style, {});
+        this._chargeLimit = null;
+        this._lostCapacity = 0;
+        this._profile = null;
+        this._packs = [];
+        this._batteryLayout = BATTERY_LAYOUT_AGGREGATE;
+        this._svgCache = new Painter.SvgCache();
+        this._renderKey = null;
+        this._animations = DEFAULT_ANIMATIONS;
+        this._powerReadout = DEFAULT_POWER_READOUT;
+        this._highVisibility = HIGH_VISIBILITY_SYSTEM;
+        this._animator = new Animation.IndicatorAnimator();
+        this._animator.setLevel(status.percentage, 0, false);
+        this._timeline = null;
+        this._repaintId = this.connect('repaint', this._onRepaint.bind(this));
+        this._styleChangedId = this.connect('style-changed',
+                                            () => this.queue_repaint());
+        this._hoverId = this.connect('notify::hover', this._syncTooltip.bind(this));
+        this._mappedId = this.connect('notify::mapped', () => {
+            this._syncAlternation();
+            this._syncAnimation();
+        });
+
+        // Animations stop when the shell turns them off
+        this._shellSettings = St.Settings.get();
+        this._enableAnimationsId = this._shellSettings.connect('notify::enable-animations',
+                                                               this._syncAnimation.bind(this));
+        this._highContrastId = this._shellSettings.connect('notify::high-contrast',
+            this._queueRepaintIfChanged.bind(this));
+
+        // Follow the panel height and the UI scale
+        this._themeContext = St.ThemeContext.get_for_stage(global.stage);
+        this._scaleFactorId = this._themeContext.connect('notify::scale-factor',
+                                                         this._updateSize.bind(this));
+        this._panelHeightId = Main.panel.connect('notify::height',
+                                                 this._updateSize.bind(this));
+        this._updateSize();
+        this._syncAccessibleName();
+
+        this.visible = true;
+    }
+
+    /**
+     * Calculate indicator size based on panel height
+     *
+     * @returns {number} Indicator size in pixels
+     * @private
+     */
+    _calculateSize() {
+        return Math.max(MIN_INDICATOR_SIZE * this._themeContext.scale_factor,
+                       Math.floor(Main.panel.height * PANEL_SIZE_RATIO));
+    }
+
+    /**
+     * Resize the indicator to the panel
+     * @private
+     */
+    _updateSize() {
         const size = this._calculateSize();
-        super._init({width: size, height: size});
+        if (size === this.width && size === this.height) {
+            return;
+        }
+
+        this.set_size(size, size);
+        this.queue_repaint();
+    }
+
+    /**
+     * Set the indicator shape and trigger repaint
+     *
+     * @param {string} style - Style name, see renderers.js
+     * @param {Object} options - Complete options of the style
+     */
+    setStyle(style, options) {
+        this._style = style;
+        this._styleOptions = options;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Mark the charge limit on the indicator
+     *
+     * @param {number|null} chargeLimit - Limit percentage, or null for none
+     */
+    setChargeLimit(chargeLimit) {
+        this._chargeLimit = chargeLimit;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Gray out the capacity a worn battery lost
+     *
+     * @param {number} lostCapacity - Lost capacity in percent, 0 for none
+     */
+    setLostCapacity(lostCapacity) {
+        this._lostCapacity = lostCapacity;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Badge the active power profile on the indicator
+     *
+     * @param {string|null} profile - Profile name, or null for no badge
+     */
+    setProfile(profile) {
+        this._profile = profile;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Show each battery of a laptop with several
+     *
+     * @param {Object[]} packs - Status of each battery, see
+     *   Status.readPackStatus(), with optional lostCapacity in percent;
+     *   fewer than two show the combined level only
+     * @param {string} layout - One of 'aggregate', 'per-pack' or 'both'
+     */
+    setPacks(packs, layout) {
+        this._packs = packs;
+        this._batteryLayout = layout;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Get the lanes drawn in place of the combined level
+     *
+     * @returns {Object[]} Lanes with percentage, RGB color (null to
+     *   follow the theme) and lost capacity, empty to draw the combined
+     *   level only
+     * @private
+     */
+    _getLanes() {
+        if (this._packs.length < 2 || this._batteryLayout === BATTERY_LAYOUT_AGGREGATE) {
+            return [];
+        }
+
+        const statuses = this._batteryLayout === BATTERY_LAYOUT_BOTH
+            ? [{...this._status, lostCapacity: this._lostCapacity}, ...this._packs]
+            : this._packs;
+        return statuses.map(status => ({
+            percentage: status.percentage,
+            color: Colors.colorForStatus(status, this._colorScheme),
+            lostCapacity: status.lostCapacity ?? 0,
+        }));
+    }
+
+    /**
+     * Set the color scheme and trigger repaint
+     *
+     * @param {Object} colorScheme - Color scheme
+     * @param {Array[]} colorScheme.stops - Gradient stops as [percentage,
+     *   '#rrggbb'] pairs; empty to follow the theme foreground color
+     * @param {number[]|null} colorScheme.chargingColor - RGB color used
+     *   while charging, or null to keep the level color
+     */
+    setColorScheme(colorScheme) {
+        this._colorScheme = colorScheme;
+        this._color = Colors.colorForStatus(this._status, this._colorScheme);
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Show the averaged power draw on the indicator
+     *
+     * @param {Object} powerReadout - Power draw readout
+     * @param {string} powerReadout.mode - One of 'off', 'replace' or
+     *   'second-line'
+     * @param {boolean} powerReadout.dischargingOnly - Hide it unless
+     *   discharging
+     * @param {number} powerReadout.lowRate - Watts colored as a full battery
+     * @param {number} powerReadout.highRate - Watts colored as an empty one
+     */
+    setPowerReadout(powerReadout) {
+        this._powerReadout = powerReadout;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Set when to draw the indicator for high visibility
+     *
+     * @param {string} mode - 'off', 'on', or 'system' to follow the
+     *   desktop's high contrast setting
+     */
+    setHighVisibility(mode) {
+        this._highVisibility = mode;
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Whether the indicator is drawn for high visibility
+     *
+     * @returns {boolean} True if on, or following high contrast
+     * @private
+     */
+    _isHighVisibility() {
+        return this._highVisibility === HIGH_VISIBILITY_ON ||
+            (this._highVisibility === HIGH_VISIBILITY_SYSTEM &&
+             this._shellSettings.high_contrast);
+    }
+
+    /**
+     * Describe the status to screen readers
+     *
+     * The shell's accessible objects offer no value interface to script,
+     * so the indicator is a label whose name carries the level, e.g.
+     * "Battery 42 percent, Charging, 1 hour 10 minutes until full".
+     * @private
+     */
+    _syncAccessibleName() {
+        const {percentage, isCharging, powerState, timeRemaining} = this._status;
+
+        if (percentage < Status.MIN_BATTERY_PERCENT) {
+            this.accessible_name = this._title;
+            return;
+        }
+
+        const parts = [
+            // Translators: screen reader text, device name and level, e.g. "Battery 42 percent"
+            _('%s %s percent').format(this._title, Locale.formatNumber(percentage)),
+        ];
+        if (powerState) {
+            parts.push(_(Status.POWER_STATE_NAMES[powerState] ??
+                         Status.POWER_STATE_NAMES[Status.POWER_STATE_UNKNOWN]));
+        }
+        if (timeRemaining > 0) {
+            parts.push((isCharging ? _('%s until full') : _('%s until empty'))
+                .format(describeDuration(timeRemaining)));
+        }
+
+        // Translators: separates the parts of the screen reader text
+        this.accessible_name = parts.join(_(', '));
+    }
+
+    /**
+     * Get the power draw shown on the indicator
+     *
+     * @returns {string|null} Averaged power draw in watts, or null when
+     *   it is not shown
+     * @private
+     */
+    _getPowerText() {
+        const {mode, dischargingOnly} = this._powerReadout;
+        const {powerState, averageEnergyRate = 0} = this._status;
+        const discharging = powerState === Status.POWER_STATE_DISCHARGING ||
+                            powerState === Status.POWER_STATE_PLUGGED_DISCHARGING;
+
+        if (mode === POWER_READOUT_OFF || this._glyphPath || averageEnergyRate <= 0 ||
+            (dischargingOnly && !discharging)) {
+            return null;
+        }
+
+        // Translators: power draw on the indicator, e.g. "7.5W"; keep it short
+        return _('%sW').format(Locale.formatNumber(averageEnergyRate, {
+            fractionDigits: averageEnergyRate < POWER_DECIMALS_BELOW ? 1 : 0,
+        }));
+    }
+
+    /**
+     * Get the color of the power draw readout
+     *
+     * @returns {number[]|null} RGB color by draw level, or null to follow
+     *   the theme
+     * @private
+     */
+    _getPowerColor() {
+        const {lowRate, highRate} = this._powerReadout;
+        return Colors.colorForPower(this._status.averageEnergyRate ?? 0, lowRate, highRate,
+                                    this._colorScheme.stops);
+    }
+
+    /**
+     * Repaint handler - draws the battery indicator
+     *
+     * @param {St.DrawingArea} area - Drawing area widget
+     * @private
+     */
+    _onRepaint(area) {
+        const context = area.get_context();
+        const [width, height] = area.get_surface_size();
+        const {foregroundColor, ...themeStyle} = readThemeStyle(this.get_theme_node());
+        const frame = this._animator.getFrame(getAnimationTime());
+        const powerText = this._getPowerText();
+        const powerColor = powerText ? this._getPowerColor() ?? foregroundColor : null;
+        const secondLine = this._powerReadout.mode === POWER_READOUT_SECOND_LINE;
+        const powerInText = powerText && !secondLine && !this._isShowingTime();
+
+        Painter.paintIndicator(context, width, height, {
+            ...themeStyle,
+            percentage: frame.percentage,
+            levelAlpha: frame.alpha,
+            text: this._getText(),
+            textColor: powerInText ? powerColor : themeStyle.textColor,
+            subtext: secondLine ? powerText : null,
+            subtextColor: powerColor,
+            color: this._color ?? foregroundColor,
+            foregroundColor,
+            style: this._style,
+            styleOptions: this._styleOptions,
+            chargeLimit: this._chargeLimit,
+            lostCapacity: this._lostCapacity,
+            glyphPath: this._glyphPath,
+            overlayIconPath: Painter.getOverlayIconPath(this._extensionPath,
+                                                        this._status.powerState),
+            profile: this._profile,
+            lanes: this._getLanes().map(({color, ...lane}) => ({
+                ...lane,
+                color: color ?? foregroundColor,
+            })),
+            scale: this.get_resource_scale(),
+            svgCache: this._svgCache,
+            highVisibility: this._isHighVisibility(),
+        });
+    }
+
+    /**
+     * Whether the center shows the remaining time
+     *
+     * @returns {boolean} True in time display and while alternated to it
+     * @private
+     */
+    _isShowingTime() {
+        return this._showTime && this._status.timeRemaining > 0;
+    }
+
+    /**
+     * Get the text drawn in the center of the ring
+     *
+     * @returns {string} Remaining time, power draw or percentage
+     * @private
+     */
+    _getText() {
+        if (this._isShowingTime()) {
+            return formatDuration(this._status.timeRemaining);
+        }
+
+        const powerText = this._powerReadout.mode === POWER_READOUT_REPLACE
+            ? this._getPowerText()
+            : null;
+        return powerText ?? Locale.formatNumber(this._status.percentage);
+    }
+
+    /**
+     * Build the tooltip text from the current status
+     *
+     * @returns {string} Multi-line tooltip text
+     * @private
+     */
+    _getTooltipText() {
+        const {percentage, isCharging, powerState, energyRate, timeRemaining} = this._status;
+        const lines = [
+            // Translators: battery or device name, then its level
+            _('%s: %s').format(this._title, Locale.formatPercent(percentage)),
+            _(Status.POWER_STATE_NAMES[powerState] ??
+              Status.POWER_STATE_NAMES[Status.POWER_STATE_UNKNOWN]),
+        ];
+
+        if (this._packs.length > 1) {
+            this._packs.forEach((pack, index) =>
+                lines.push(_('Battery %s: %s').format(Locale.formatNumber(index + 1),
+                                                      Locale.formatPercent(pack.percentage))));
+        }
+
+        if (energyRate > 0) {
+            lines.push(_('%s W').format(Locale.formatNumber(energyRate, {fractionDigits: 1})));
+        }
+
+        if (timeRemaining > 0) {
+            lines.push((isCharging ? _('%s until full') : _('%s until empty'))
+                .format(formatDuration(timeRemaining)));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Show or hide the tooltip following the hover state
+     * @private
+     */
+    _syncTooltip() {
+        if (!this.hover) {
+            this._tooltip?.hide();
+            return;
+        }
+
+        if (!this._tooltip) {
+            this._tooltip = new St.Label({style_class: 'dash-label'});
+            Main.layoutManager.addTopChrome(this._tooltip);
+        }
+
+        this._tooltip.text = this._getTooltipText();
+
+        // Center below the indicator, kept inside the monitor
+        const [x, y] = this.get_transformed_position();
+        const [width, height] = this.get_transformed_size();
+        const [, tooltipWidth] = this._tooltip.get_preferred_width(-1);
+        const monitor = Main.layoutManager.findMonitorForActor(this);
+        const tooltipX = Math.max(monitor.x,
+            Math.min(monitor.x + monitor.width - tooltipWidth,
+                     x + (width - tooltipWidth) / 2));
+
+        this._tooltip.set_position(Math.floor(tooltipX),
+                                   Math.floor(y + height + TOOLTIP_OFFSET));
+        this._tooltip.show();
+    }
+
+    /**
+     * Run the alternation timer only while alternating and on screen
+     * @private
+     */
+    _syncAlternation() {
+        const shouldAlternate = this._displayMode === DISPLAY_MODE_ALTERNATE &&
+                                this.mapped;
+
+        if (shouldAlternate && !this._alternateId) {
+            this._alternateId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT,
+                ALTERNATE_INTERVAL_SECONDS,
+                () => {
+                    this._showTime = !this._showTime;
+                    this._queueRepaintIfChanged();
+                    return GLib.SOURCE_CONTINUE;
+                }
+            );
+        } else if (!shouldAlternate && this._alternateId) {
+            GLib.source_remove(this._alternateId);
+            this._alternateId = 0;
+        }
+    }
+
+    /**
+     * Set which animations the indicator runs
+     *
+     * @param {Object} animations - Animations to run
+     * @param {boolean} animations.animateLevel - Move smoothly to a new level
+     * @param {boolean} animations.chargingPulse - Pulse while charging
+     * @param {boolean} animations.criticalBlink - Blink at a critical level
+     * @param {number} animations.criticalLevel - Highest critical percentage
+     */
+    setAnimations(animations) {
+        this._animations = animations;
+        this._syncAnimation();
+    }
+
+    /**
+     * Start or stop the animation timeline
+     *
+     * Effects run only while enabled, allowed by the shell and on screen;
+     * otherwise the indicator shows the level right away, and no frames
+     * are drawn.
+     * @private
+     */
+    _syncAnimation() {
+        const time = getAnimationTime();
+        const allowed = this._shellSettings.enable_animations && this.mapped;
+        const {percentage, isCharging, powerState} = this._status;
+        const {chargingPulse, criticalBlink, criticalLevel} = this._animations;
+
+        this._animator.setEffects({
+            pulse: allowed && chargingPulse && powerState === Status.POWER_STATE_CHARGING,
+            blink: allowed && criticalBlink && !isCharging &&
+                percentage >= Status.MIN_BATTERY_PERCENT && percentage <= criticalLevel,
+        }, time);
+        if (!allowed) {
+            this._animator.finish();
+        }
+
+        const running = allowed && this._animator.isAnimating(time);
+        if (running && !this._timeline) {
+            this._timeline = new Clutter.Timeline({
+                actor: this,
+                duration: ANIMATION_CYCLE_MS,
+                repeat_count: -1,
+            });
+            this._timeline.connect('new-frame', () => {
+                this.queue_repaint();
+                if (!this._animator.isAnimating(getAnimationTime())) {
+                    this._syncAnimation();
+                }
+            });
+            this._timeline.start();
+        } else if (!running && this._timeline) {
+            this._stopTimeline();
+
+            // Draw the level without effects
+            this.queue_repaint();
+        }
+    }
+
+    /**
+     * Stop and drop the animation timeline
+     * @private
+     */
+    _stopTimeline() {
+        if (this._timeline) {
+            this._timeline.stop();
+            this._timeline = null;
+        }
+    }
+
+    /**
+     * Queue a repaint only if the rendered output would change
+     *
+     * Most status updates (energy rate, time estimates while the
+     * percentage is shown) do not change what is drawn.
+     * @private
+     */
+    _queueRepaintIfChanged() {
+        const renderKey = [
+            this._status.percentage,
+            this._status.powerState,
+            this._color?.join(','),
+            this._glyphPath ? '' : this._getText(),
+            this._powerReadout.mode,
+            this._getPowerText(),
+            this._getPowerColor()?.join(','),
+            this._style,
+            JSON.stringify(this._styleOptions),
+            this._chargeLimit,
+            this._lostCapacity,
+            this._profile,
+            JSON.stringify(this._getLanes()),
+            this._isHighVisibility(),
+        ].join('|');
+
+        if (renderKey !== this._renderKey) {
+            this._renderKey = renderKey;
+            this.queue_repaint();
+        }
+    }
+
+    /**
+     * Set what the center of the ring shows
+     *
+     * @param {string} mode - One of 'percent', 'time' or 'alternate'
+     */
+    setDisplayMode(mode) {
+        this._displayMode = mode;
+        this._showTime = mode === DISPLAY_MODE_TIME;
+        this._syncAlternation();
+        this._queueRepaintIfChanged();
+    }
+
+    /**
+     * Blink the indicator to draw attention
+     *
+     * @param {Function} [onComplete] - Called once the blinking ends
+     */
+    flash(onComplete) {
+        this.remove_transition('opacity');
+        this.ease({
+            opacity: 0,
+            duration: FLASH_DURATION_MS,
+            mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+            repeatCount: FLASH_COUNT * 2 - 1,
+            autoReverse: true,
+            onStopped: () => {
+                this.opacity = 255;
+            },
+            onComplete,
+        });
+    }
+
+    /**
+     * Update battery status and trigger repaint
+     *
+     * @param {Object} status - New battery status, see constructor
+     */
+    update(status) {
+        this._status = status;
+        this._color = Colors.colorForStatus(this._status, this._colorScheme);
+        this._animator.setLevel(status.percentage, getAnimationTime(),
+            this._animations.animateLevel && this._shellSettings.enable_animations &&
+            this.mapped);
+        this._syncAnimation();
+        this._queueRepaintIfChanged();
+        this._syncAccessibleName();
+
+        if (this.hover) {
+            this._syncTooltip();
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        for (const signalId of [this._repaintId, this._styleChangedId,
+                                this._hoverId, this._mappedId]) {
+            if (signalId) {
+                this.disconnect(signalId);
+            }
+        }
+        this._repaintId = this._styleChangedId = this._hoverId = this._mappedId = 0;
+
+        if (this._alternateId) {
+            GLib.source_remove(this._alternateId);
+            this._alternateId = 0;
+        }
+
+        this._stopTimeline();
+
+        for (const signalId of [this._enableAnimationsId, this._highContrastId]) {
+            if (signalId) {
+                this._shellSettings.disconnect(signalId);
+            }
+        }
+        this._enableAnimationsId = this._highContrastId = 0;
+
+        if (this._scaleFactorId) {
+            this._themeContext.disconnect(this._scaleFactorId);
+            this._scaleFactorId = 0;
+        }
+
+        if (this._panelHeightId) {
+            Main.panel.disconnect(this._panelHeightId);
+            this._panelHeightId = 0;
+        }
+
+        if (this._tooltip) {
+            Main.layoutManager.removeChrome(this._tooltip);
+            this._tooltip.destroy();
+            this._tooltip = null;
+        }
+
+        this._svgCache.clear();
+
+        super.destroy();
+    }
+});
+
+/**
+ * BatteryIconExtension - Main extension class
+ *
+ * Replaces the default GNOME battery indicator with a custom circular
+ * indicator that shows/hides based on configurable thresholds, and adds
+ * one indicator per enabled peripheral (mouse, keyboard, headset, ...).
+ *
+ * Stays enabled on the lock screen. The services behind the indicators
+ * (charge limit, power profiles, history, D-Bus) keep running across
+ * session modes; only the indicators are rebuilt, with the lock screen
+ * settings and without the history popup, Quick Settings or tooltips.
+ */
+export default class BatteryIconExtension extends Extension {
+    /**
+     * Enable the extension
+     */
+    enable() {
+        this._locked = Main.sessionMode.isLocked;
+        this._sessionModeId = Main.sessionMode.connect('updated',
+                                                       this._onSessionModeUpdated.bind(this));
+        this._enableServices();
+        this._enableInterface();
+
+        console.debug('[BatteryIcon] Extension enabled successfully');
+    }
+
+    /**
+     * Rebuild the indicators when the screen locks or unlocks
+     * @private
+     */
+    _onSessionModeUpdated() {
+        if (Main.sessionMode.isLocked === this._locked) {
+            return;
+        }
+
+        this._disableInterface();
+        this._locked = Main.sessionMode.isLocked;
+        this._enableInterface();
+
+        if (this._chargeLimitPending) {
+            this._applyChargeLimit();
+        }
+    }
+
+    /**
+     * Start what runs in every session mode: device tracking, charge
+     * limit, power profiles, history and the D-Bus service
+     * @private
+     */
+    _enableServices() {
+        this._initializeSettings();
+        this._initializeUPower();
+        this._initializeChargeLimit();
+        this._initializeHealth();
+        this._initializePowerProfiles();
+        this._initializeHistory();
+        this._initializeService();
+        this._setupSignals();
+    }
+
+    /**
+     * Build the indicators for the session mode, none on the lock screen
+     * unless enabled there
+     * @private
+     */
+    _enableInterface() {
+        if (!this._locked || this._settings.get_boolean(LOCK_SCREEN_INDICATOR_KEY)) {
+            this._createIndicator();
+            this._initializeHistoryPopup();
+            this._initializePeripherals();
+            this._initializeQuickSettings();
+
+            // Carry over what the services track
+            this._updateChargeLimitMark();
+            this._updateHealth();
+            this._updateProfileBadge();
+        }
+
+        this._updateDisplayMode();
+        this._updateIndicator();
+    }
+
+    /**
+     * Initialize settings
+     * @private
+     */
+    _initializeSettings() {
+        this._settings = this.getSettings();
+        migrateSettings(this._settings);
+        this._notifier = new BatteryNotifier(this._settings);
+    }
+
+    /**
+     * Initialize UPower client and device
+     * @private
+     */
+    _initializeUPower() {
+        this._upowerClient = UPowerGlib.Client.new();
+        this._device = this._upowerClient.get_display_device();
+        this._estimator = new TimeEstimator();
+        this._powerAverage = new PowerAverage();
+        this._visibility = new Visibility.VisibilityTracker();
+
+        if (!this._device) {
+            throw new Error('Failed to get UPower display device');
+        }
+    }
+
+    /**
+     * Create and position the indicator widget
+     * @private
+     */
+    _createIndicator() {
+        // Create custom indicator inside a box shared with peripherals
+        this._box = new St.BoxLayout({y_align: Clutter.ActorAlign.CENTER});
+        this._indicator = new CircleIndicator(
+            {percentage: -1, isCharging: false},
+            this.path,
+            {interactive: !this._locked}
+        );
+        this._box.add_child(this._indicator);
+        this._indicator.setColorScheme(this._getColorScheme());
+        this._indicator.setStyle(...this._getStyle());
+        this._indicator.setHighVisibility(this._settings.get_string(HIGH_VISIBILITY_KEY));
+        this._updateAnimations();
+        this._updatePowerReadout();
+
+        this._findStockIcon();
+        this._placeIndicator();
+        this._syncStockIcon();
+
+        // Quick settings add their indicators asynchronously
+        const indicators = Main.panel.statusArea.quickSettings?._indicators;
+        if (indicators) {
+            this._indicatorsActor = indicators;
+            this._indicatorsAddedId = indicators.connect('child-added', () => {
+                if (!this._stockIcon && this._findStockIcon()) {
+                    this._placeIndicator();
+                    this._syncStockIcon();
+                }
+            });
+        }
+    }
+
+    /**
+     * Find the stock battery icon and keep it hidden while the stock icon
+     * mode asks so
+     *
+     * @returns {boolean} True if the stock icon was found
+     * @private
+     */
+    _findStockIcon() {
+        if (this._stockIcon) {
+            return true;
+        }
+
+        this._system = Main.panel.statusArea.quickSettings?._system ?? null;
+        this._stockIcon = this._system?._indicator ?? null;
+        this._iconParent = this._stockIcon?.get_parent() ?? null;
+
+        if (!this._stockIcon || !this._iconParent) {
+            this._stockIcon = null;
+            return false;
+        }
+
+        // The shell shows the stock icon again whenever it syncs its state
+        this._stockWasVisible = this._stockIcon.visible;
+        this._stockHidden = false;
+        this._stockSignals = [
+            this._stockIcon.connect('notify::visible', () => {
+                if (this._stockHidden && this._stockIcon.visible) {
+                    this._stockWasVisible = true;
+                    this._stockIcon.hide();
+                }
+            }),
+            this._stockIcon.connect('destroy', () => {
+                this._stockSignals = [];
+                this._stockIcon = null;
+                this._iconParent = null;
+                this._stockHidden = false;
+            }),
+        ];
+        return true;
+    }
+
+    /**
+     * Move the indicators to the configured panel box and position
+     *
+     * By default they sit next to the stock battery icon, or first in the
+     * right panel box until quick settings are constructed.
+     * @private
+     */
+    _placeIndicator() {
+        if (!this._box) {
+            return;
+        }
+
+        const boxName = this._settings.get_string(PANEL_BOX_KEY);
+        const position = this._settings.get_int(PANEL_POSITION_KEY);
+
+        this._box.get_parent()?.remove_child(this._box);
+
+        if (boxName !== PANEL_BOX_RIGHT || position >= 0) {
+            getPanelBox(boxName).insert_child_at_index(this._box, position);
+        } else if (this._stockIcon) {
+            this._iconParent.insert_child_above(this._box, this._stockIcon);
+        } else {
+            // Fallback until quick settings are constructed
+            console.warn('[BatteryIcon] Warning: Using fallback positioning');
+            Main.panel._rightBox.insert_child_at_index(this._box, 0);
+        }
+    }
+
+    /**
+     * Hide or restore the stock battery icon, and add or remove the stock
+     * percentage label, following the stock icon mode
+     * @private
+     */
+    _syncStockIcon() {
+        if (!this._box) {
+            return;
+        }
+
+        const mode = this._settings.get_string(STOCK_ICON_MODE_KEY);
+
+        if (this._stockIcon && mode !== STOCK_ICON_BESIDE && !this._stockHidden) {
+            this._stockWasVisible = this._stockIcon.visible;
+            this._stockHidden = true;
+            this._stockIcon.hide();
+        } else if (this._stockIcon && mode === STOCK_ICON_BESIDE && this._stockHidden) {
+            this._stockHidden = false;
+            if (this._stockWasVisible) {
+                this._stockIcon.show();
+            }
+        }
+
+        // Mirror the label rather than showing it, as the shell owns its
+        // visibility
+        const stockLabel = this._system?._percentageLabel ?? null;
+        if (mode === STOCK_ICON_PERCENTAGE && stockLabel && !this._percentageLabel) {
+            this._percentageLabel = new St.Label({y_align: Clutter.ActorAlign.CENTER});
+            this._percentageBinding = stockLabel.bind_property('text',
+                this._percentageLabel, 'text', GObject.BindingFlags.SYNC_CREATE);
+            this._box.insert_child_above(this._percentageLabel, this._indicator);
+        } else if (mode !== STOCK_ICON_PERCENTAGE) {
+            this._destroyPercentageLabel();
+        }
+    }
+
+    /**
+     * Remove the mirrored stock percentage label
+     * @private
+     */
+    _destroyPercentageLabel() {
+        if (this._percentageBinding) {
+            this._percentageBinding.unbind();
+            this._percentageBinding = null;
+        }
+
+        if (this._percentageLabel) {
+            this._percentageLabel.destroy();
+            this._percentageLabel = null;
+        }
+    }
+
+    /**
+     * Apply the configured charge limit and mark it on the indicator
+     * @private
+     */
+    _initializeChargeLimit() {
+        this._chargeLimitController = new ChargeLimitController(this._upowerClient);
+
+        // Thresholds reset on reboot with the sysfs backend
+        this._applyChargeLimit();
+    }
+
+    /**
+     * Apply the charge limit settings, or once unlocked on the lock screen
+     * @private
+     */
+    async _applyChargeLimit() {
+        const controller = this._chargeLimitController;
+
+        // Applying may ask for authorization, which the lock screen cannot
+        this._chargeLimitPending = this._locked;
+        if (this._locked) {
+            this._updateChargeLimitMark();
+            return;
+        }
+
+        // Thresholds set in GNOME Settings or by other tools stay as they
+        // are until the limit is enabled here
+        const enabled = this._settings.get_boolean(CHARGE_LIMIT_ENABLED_KEY);
+        if (!controller?.isSupported() ||
+            (!enabled && !this._settings.get_boolean(CHARGE_LIMIT_APPLIED_KEY))) {
+            this._updateChargeLimitMark();
+            return;
+        }
+
+        const end = this._settings.get_int(CHARGE_LIMIT_END_KEY);
+        const start = Math.min(this._settings.get_int(CHARGE_LIMIT_START_KEY), end - 1);
+
+        try {
+            await controller.apply({enabled, start, end});
+            this._settings.set_boolean(CHARGE_LIMIT_APPLIED_KEY, enabled);
+        } catch (error) {
+            console.error('[BatteryIcon] Failed to set charge limit', error);
+        }
+
+        this._updateChargeLimitMark();
+    }
+
+    /**
+     * Apply the charge limit once the settings stop changing
+     *
+     * Sliders in the preferences change the thresholds step by step, and
+     * each application may ask for authorization.
+     * @private
+     */
+    _queueApplyChargeLimit() {
+        if (this._chargeLimitTimeoutId) {
+            GLib.source_remove(this._chargeLimitTimeoutId);
+        }
+
+        this._chargeLimitTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+            CHARGE_LIMIT_APPLY_DELAY_SECONDS, () => {
+                this._chargeLimitTimeoutId = 0;
+                this._applyChargeLimit();
+                return GLib.SOURCE_REMOVE;
+            });
+    }
+
+    /**
+     * Mark the charge limit in effect on the main indicator
+     *
+     * The thresholds are read back from UPower or sysfs rather than taken
+     * from the settings, so a limit that could not be applied is not marked.
+     * @private
+     */
+    _updateChargeLimitMark() {
+        const thresholds = this._chargeLimitController?.getThresholds() ?? null;
+        this._indicator?.setChargeLimit(thresholds?.end ?? null);
+    }
+
+    /**
+     * Load the capacity history and track the health of the laptop battery
+     * @private
+     */
+    _initializeHealth() {
+        this._healthBattery = Health.findLaptopBattery(this._upowerClient);
+        this._capacityHistory = new Health.CapacityHistory();
+        this._capacityHistoryLoaded = false;
+
+        const capacityHistory = this._capacityHistory;
+        capacityHistory.load().then(() => {
+            if (capacityHistory === this._capacityHistory) {
+                this._capacityHistoryLoaded = true;
+                this._updateHealth();
+            }
+        });
+    }
+
+    /**
+     * Read the health of the laptop battery
+     *
+     * @returns {Object|null} Health, see Health.readHealth(), or null
+     *   without a laptop battery
+     * @private
+     */
+    _readHealth() {
+        return this._healthBattery ? Health.readHealth(this._healthBattery) : null;
+    }
+
+    /**
+     * Get the lost capacity grayed out for a battery
+     *
+     * @param {Object|null} health - Health, see Health.readHealth()
+     * @returns {number} Lost capacity in percent, 0 if not shown
+     * @private
+     */
+    _getLostCapacity(health) {
+        return this._settings.get_boolean(SHOW_LOST_CAPACITY_KEY) && health?.wear
+            ? Math.round(health.wear)
+            : 0;
+    }
+
+    /**
+     * Record the capacity and update the lost capacity segment
+     * @private
+     */
+    _updateHealth() {
+        this._indicator?.setLostCapacity(this._getLostCapacity(this._readHealth()));
+        this._recordCapacity();
+    }
+
+    /**
+     * Record the capacity of every laptop battery, at most daily
+     * @private
+     */
+    _recordCapacity() {
+        // Wait for the log so today's entry is not recorded twice
+        if (!this._capacityHistoryLoaded) {
+            return;
+        }
+
+        const added = Health.findLaptopBatteries(this._upowerClient)
+            .map(device => this._capacityHistory.record(Health.readHealth(device)))
+            .includes(true);
+        if (added) {
+            this._capacityHistory.save().catch(error =>
+                console.error('[BatteryIcon] Failed to save capacity history', error));
+        }
+    }
+
+    /**
+     * Connect to power-profiles-daemon to badge and switch profiles
+     * @private
+     */
+    _initializePowerProfiles() {
+        const client = new PowerProfilesClient({onChanged: () => this._updateProfileBadge()});
+        this._powerProfilesClient = client;
+        this._profileSwitcher = new ProfileSwitcher(client);
+        this._updateProfileRules();
+
+        client.init().then(() => {
+            if (client !== this._powerProfilesClient) {
+                client.destroy();
+                return;
+            }
+            this._updateProfileBadge();
+            this._updateIndicator();
+        }).catch(error =>
+            console.error('[BatteryIcon] Failed to connect to power-profiles-daemon', error));
+    }
+
+    /**
+     * Badge the active power profile on the main indicator
+     * @private
+     */
+    _updateProfileBadge() {
+        const showBadge = this._settings.get_boolean(PROFILE_BADGE_KEY);
+        this._indicator?.setProfile(showBadge
+            ? this._powerProfilesClient?.activeProfile ?? null
+            : null);
+    }
+
+    /**
+     * Hand the profile rules to the switcher, none if disabled
+     * @private
+     */
+    _updateProfileRules() {
+        const rules = this._settings.get_boolean(PROFILE_RULES_ENABLED_KEY)
+            ? this._settings.get_value(PROFILE_RULES_KEY).deepUnpack()
+            : [];
+        this._profileSwitcher?.setRules(rules);
+    }
+
+    /**
+     * Load the charge history
+     * @private
+     */
+    _initializeHistory() {
+        this._history = new ChargeHistory();
+        this._history.load();
+    }
+
+    /**
+     * Open the charge history popup on indicator clicks, except on the
+     * lock screen
+     * @private
+     */
+    _initializeHistoryPopup() {
+        if (this._locked) {
+            return;
+        }
 
-        this._status = status;
-        this._extensionPath = extensionPath;
-        this._color = this._calculateColor();
-        this._cachedSvgSurface = null;
-        this._repaintId = this.connect('repaint', this._onRepaint.bind(this));
+        this._historyPopup = new HistoryPopup(this._indicator, this._history,
+                                              () => this._readHealth());
+        Main.uiGroup.add_child(this._historyPopup.actor);
+        this._historyPopup.actor.hide();
 
-        this.visible = true;
+        this._menuManager = new PopupMenu.PopupMenuManager(this._indicator);
+        this._menuManager.addMenu(this._historyPopup);
+
+        // Keep the click from opening the quick settings menu
+        this._indicatorClickId = this._indicator.connect('button-press-event', () => {
+            this._historyPopup.toggle();
+            return Clutter.EVENT_STOP;
+        });
     }
 
     /**
-     * Calculate indicator size based on panel height
-     *
-     * @returns {number} Indicator size in pixels
+     * Track peripheral devices and follow UPower hotplug
      * @private
      */
-    _calculateSize() {
-        return Math.max(MIN_INDICATOR_SIZE,
-                       Math.floor(Main.panel.height * PANEL_SIZE_RATIO));
+    _initializePeripherals() {
+        this._peripherals = new Map();
+
+        for (const device of this._upowerClient.get_devices() ?? []) {
+            this._addPeripheral(device);
+        }
     }
 
     /**
-     * Calculate color based on battery percentage
-     * Red (0%) -> Yellow (50%) -> Green (100%)
+     * Create an indicator for a peripheral device
      *
-     * @returns {number[]} RGB color array [r, g, b]
+     * @param {UPowerGlib.Device} device - UPower device
      * @private
      */
-    _calculateColor() {
-        const percentage = this._status.percentage;
+    _addPeripheral(device) {
+        const objectPath = device.get_object_path();
+        const kindName = getPeripheralKindName(device);
 
-        if (percentage < MIN_BATTERY_PERCENT || percentage > MAX_BATTERY_PERCENT) {
-            return [0, 0, 0]; // Invalid percentage
+        if (!kindName || !this._peripherals || this._peripherals.has(objectPath) ||
+            (this._locked && !this._settings.get_boolean(LOCK_SCREEN_PERIPHERALS_KEY))) {
+            return;
         }
 
-        let red, green;
-        const blue = 0;
-
-        if (percentage <= LOW_BATTERY_THRESHOLD) {
-            // Red (0%) -> Yellow (50%)
-            red = 1;
-            green = percentage / LOW_BATTERY_THRESHOLD;
-        } else {
-            // Yellow (50%) -> Green (100%)
-            green = 1;
-            red = 1 - (percentage - LOW_BATTERY_THRESHOLD) / LOW_BATTERY_THRESHOLD;
-        }
+        const indicator = new CircleIndicator(
+            {percentage: -1, isCharging: false},
+            this.path,
+            {
+                glyphPath: lookupIconPath(PERIPHERAL_KINDS[kindName].iconName),
+                title: device.model || _(PERIPHERAL_KINDS[kindName].title),
+                interactive: !this._locked,
+            }
+        );
+        this._box.add_child(indicator);
+        indicator.setColorScheme(this._getColorScheme());
+        indicator.setStyle(...this._getStyle());
+        indicator.setHighVisibility(this._settings.get_string(HIGH_VISIBILITY_KEY));
+
+        const estimator = new TimeEstimator();
+        const peripheral = {device, kindName, indicator, estimator};
+        peripheral.signals = [
+            device.connect('notify::percentage',
+                          () => this._updatePeripheral(peripheral)),
+            device.connect('notify::state',
+                          () => this._updatePeripheral(peripheral)),
+            device.connect('notify::is-present',
+                          () => this._updatePeripheral(peripheral)),
+        ];
+        this._peripherals.set(objectPath, peripheral);
 
-        return [red, green, blue];
+        this._updatePeripheral(peripheral);
     }
 
     /**
-     * Load and cache charging SVG icon
+     * Remove the indicator of a peripheral device
      *
-     * @param {number} red - Red color component (0-1)
-     * @param {number} green - Green color component (0-1)
-     * @param {number} blue - Blue color component (0-1)
-     * @returns {Cairo.Surface|null} Tinted SVG surface or null on error
+     * @param {string|UPowerGlib.Device} device - Object path or removed device
      * @private
      */
-    _loadChargingSvg(red, green, blue) {
-        try {
-            const svgPath = `${this._extensionPath}/charging.svg`;
-            const handle = Rsvg.Handle.new_from_file(svgPath);
+    _removePeripheral(device) {
+        const objectPath = typeof device === 'string'
+            ? device
+            : device.get_object_path();
+        const peripheral = this._peripherals?.get(objectPath);
 
-            if (!handle) {
-                throw new Error(`Failed to load SVG from ${svgPath}`);
-            }
+        if (!peripheral) {
+            return;
+        }
 
-            const dimensions = handle.get_dimensions();
-            const svgWidth = dimensions.width;
-            const svgHeight = dimensions.height;
-
-            // Render SVG to surface
-            const surface = new Cairo.ImageSurface(Cairo.Format.ARGB32,
-                                                   svgWidth, svgHeight);
-            const context = new Cairo.Context(surface);
-            handle.render_cairo(context);
-
-            // Apply color tint
-            const tintSurface = new Cairo.ImageSurface(Cairo.Format.ARGB32,
-                                                       svgWidth, svgHeight);
-            const tintContext = new Cairo.Context(tintSurface);
-            tintContext.setSourceSurface(surface, 0, 0);
-            tintContext.paint();
-            tintContext.setOperator(Cairo.Operator.IN);
-            tintContext.setSourceRGB(red, green, blue);
-            tintContext.paint();
-
-            return tintSurface;
-        } catch (error) {
-            console.error(`[BatteryIcon] Failed to load charging icon`, error);
-            return null;
+        for (const signalId of peripheral.signals) {
+            peripheral.device.disconnect(signalId);
         }
+        peripheral.indicator.destroy();
+        this._peripherals.delete(objectPath);
     }
 
     /**
-     * Draw the charging icon on the context
+     * Get validated threshold for a peripheral kind
      *
-     * @param {Cairo.Context} context - Cairo drawing context
-     * @param {number} centerX - Center X coordinate
-     * @param {number} centerY - Center Y coordinate
-     * @param {Object} textExtents - Text extents for positioning
-     * @param {number} red - Red color component
-     * @param {number} green - Green color component
-     * @param {number} blue - Blue color component
-     * @returns {number} New X position for text
+     * @param {string} kindName - Peripheral kind name
+     * @returns {number} Validated threshold value (0-100)
      * @private
      */
-    _drawChargingIcon(context, centerX, centerY, textExtents, red, green, blue) {
-        const svgSurface = this._loadChargingSvg(red, green, blue);
+    _getPeripheralThreshold(kindName) {
+        const thresholds = this._settings
+            .get_value(PERIPHERAL_THRESHOLDS_KEY).deepUnpack();
+        return Status.clampPercent(thresholds[kindName] ?? DEFAULT_PERIPHERAL_THRESHOLD);
+    }
 
-        if (!svgSurface) {
-            return centerX - textExtents.width / 2; // Return default text position
+    /**
+     * Update visibility and status of a peripheral indicator
+     *
+     * @param {Object} peripheral - Tracked peripheral
+     * @private
+     */
+    _updatePeripheral(peripheral) {
+        const {device, kindName, indicator, estimator} = peripheral;
+        const status = Status.readStatus(device, estimator);
+        const {percentage} = status;
+        const enabledKinds = this._settings.get_strv(PERIPHERAL_KINDS_KEY);
+
+        if (!enabledKinds.includes(kindName) || !device.is_present ||
+            percentage < Status.MIN_BATTERY_PERCENT) {
+            indicator.hide();
+            return;
         }
 
-        const svgHeight = svgSurface.getHeight();
-        const svgWidth = svgSurface.getWidth();
+        indicator.update(status);
 
-        const scale = (textExtents.height * CHARGING_ICON_SCALE) / svgHeight;
-        const scaledWidth = svgWidth * scale;
-        const scaledHeight = svgHeight * scale;
+        const shouldShow = Status.shouldShowPeripheral(status, {
+            threshold: this._getPeripheralThreshold(kindName),
+            forceShow: this._settings.get_boolean(FORCE_SHOW_KEY),
+        });
 
-        const iconX = centerX - CHARGING_ICON_SPACING * (textExtents.width + scaledWidth) / 2;
-        const iconY = centerY - scaledHeight / 2;
-        const textX = iconX + scaledWidth-5;
+        if (shouldShow) {
+            indicator.show();
+        } else {
+            indicator.hide();
+        }
+    }
 
+    /**
+     * Add the battery toggle to Quick Settings, except on the lock screen
+     * @private
+     */
+    _initializeQuickSettings() {
+        if (this._locked) {
+            return;
+        }
 
+        this._quickSettingsIndicator = new BatterySystemIndicator(this._settings, {
+            listDevices: () => this._listDevices(),
+            openPreferences: () => this.openPreferences(),
+        });
+    }
 
+    /**
+     * Publish the indicator state on the session bus
+     * @private
+     */
+    _initializeService() {
+        this._forceHidden = false;
+        this._flashing = false;
+        this._service = new BatteryIconService({
+            forceShow: enabled => this._settings.set_boolean(FORCE_SHOW_KEY, enabled),
+            forceHide: enabled => {
+                this._forceHidden = enabled;
+                this._updateIndicator();
+            },
+            flash: () => this._flashIndicator(),
+            setDisplayMode: mode => this._settings.set_string(this._getDisplayModeKey(), mode),
+        });
+        this._service.update({
+            displayMode: this._settings.get_string(this._getDisplayModeKey()),
+        });
+    }
 
-        context.save();
-        context.scale(scale, scale);
-        context.setSourceSurface(svgSurface, iconX / scale, iconY / scale);
-        context.paint();
-        context.restore();
+    /**
+     * Blink the main indicator, showing it while it blinks
+     * @private
+     */
+    _flashIndicator() {
+        if (!this._indicator || this._flashing) {
+            return;
+        }
 
-        return textX;
+        this._flashing = true;
+        this._updateIndicator();
+        this._indicator.flash(() => {
+            this._flashing = false;
+            this._updateIndicator();
+        });
     }
 
     /**
-     * Repaint handler - draws the battery indicator
+     * Publish the status and visibility of the main indicator
      *
-     * @param {St.DrawingArea} area - Drawing area widget
+     * @param {Object} status - Status from Status.readStatus()
+     * @param {boolean} visible - Whether the indicator is shown
      * @private
      */
-    _onRepaint(area) {
-        const context = area.get_context();
-        const [width, height] = area.get_surface_size();
-
-        // Clear canvas
-        context.setSourceRGBA(0, 0, 0, 0);
-        context.setOperator(Cairo.Operator.CLEAR);
-        context.paint();
-        context.setOperator(Cairo.Operator.OVER);
-
-        const [red, green, blue] = this._color;
-        context.setSourceRGB(red, green, blue);
-
-        // Calculate dimensions
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const outerRadius = Math.min(width, height) / 2 - RING_OUTER_PADDING;
-        const innerRadius = outerRadius * RING_INNER_RATIO;
-
-        // Draw battery ring
-        const arcEndAngle = (270 - (MAX_BATTERY_PERCENT - this._status.percentage) *
-                            DEGREES_PER_PERCENT) * Math.PI / 180;
+    _publishStatus(status, visible) {
+        const color = Colors.colorForStatus(status, this._getColorScheme());
+
+        this._service?.update({
+            percentage: status.percentage,
+            powerState: status.powerState,
+            isCharging: status.isCharging,
+            color: color ? Colors.toHexColor(color) : '',
+            visible,
+            timeRemaining: Math.round(status.timeRemaining),
+            energyRate: status.energyRate,
+            forceShow: this._settings.get_boolean(FORCE_SHOW_KEY),
+            forceHidden: this._forceHidden,
+        });
+    }
 
-        context.arc(centerX, centerY, outerRadius, ARC_START_ANGLE, arcEndAngle);
-        context.arcNegative(centerX, centerY, innerRadius, arcEndAngle, ARC_START_ANGLE);
-        context.closePath();
-        context.fill();
+    /**
+     * List laptop batteries and tracked peripherals for the Quick Settings menu
+     *
+     * @returns {Object[]} Devices as {title, iconName, percentage, stateName}
+     * @private
+     */
+    _listDevices() {
+        const batteries = (this._upowerClient?.get_devices() ?? [])
+            .filter(device => device.kind === UPowerGlib.DeviceKind.BATTERY &&
+                              device.power_supply)
+            .map(device => ({
+                device,
+                title: device.model || _('Battery'),
+                onBattery: this._upowerClient.on_battery,
+            }));
+        const peripherals = [...this._peripherals?.values() ?? []]
+            .map(({device, kindName}) => ({
+                device,
+                title: device.model || _(PERIPHERAL_KINDS[kindName].title),
+                iconName: PERIPHERAL_KINDS[kindName].iconName,
+            }));
+
+        return [...batteries, ...peripherals]
+            .filter(({device}) => device.is_present)
+            .map(({device, title, iconName, onBattery = true}) => ({
+                title,
+                iconName: iconName ?? device.icon_name,
+                percentage: Math.round(device.percentage),
+                stateName: _(Status.POWER_STATE_NAMES[
+                    Status.getPowerState(device.state, onBattery)]),
+            }));
+    }
 
-        // Draw percentage text
-        context.selectFontFace('Sans', Cairo.FontSlant.NORMAL, Cairo.FontWeight.BOLD);
-        context.setFontSize(Math.round(height * FONT_SIZE_RATIO));
+    /**
+     * Read the color scheme from settings
+     *
+     * @returns {Object} Color scheme as accepted by
+     *   CircleIndicator.setColorScheme()
+     * @private
+     */
+    _getColorScheme() {
+        const customStops = this._settings.get_value(COLOR_STOPS_KEY).deepUnpack();
+        const stops = Colors.getSchemeStops(
+            this._settings.get_string(COLOR_SCHEME_KEY), customStops);
+        const chargingColor = this._settings.get_boolean(USE_CHARGING_COLOR_KEY)
+            ? Colors.parseColor(this._settings.get_string(CHARGING_COLOR_KEY))
+            : null;
+
+        return {stops, chargingColor};
+    }
 
-        const text = String(this._status.percentage);
-        const textExtents = context.textExtents(text);
-        let textX = centerX - textExtents.width / 2;
-        const textY = centerY + textExtents.height / 2;
+    /**
+     * Apply the color scheme settings to all indicators
+     * @private
+     */
+    _updateColorScheme() {
+        const colorScheme = this._getColorScheme();
 
-        // Draw charging icon if applicable
-        if (this._status.isCharging) {
-            textX = this._drawChargingIcon(context, centerX, centerY,
-                                          textExtents, red, green, blue);
+        this._indicator?.setColorScheme(colorScheme);
+        for (const {indicator} of this._peripherals?.values() ?? []) {
+            indicator.setColorScheme(colorScheme);
         }
 
-        context.setSourceRGB(red, green, blue);
-        context.moveTo(textX, textY);
-        context.showText(text);
-        context.stroke();
+        // Republish the color on the session bus
+        this._queueUpdate();
     }
 
     /**
-     * Update battery status and trigger repaint
+     * Read the indicator style from settings
      *
-     * @param {Object} status - New battery status
-     * @param {number} status.percentage - Battery percentage (0-100)
-     * @param {boolean} status.isCharging - Charging state
+     * @returns {Array} Style name and its options, as accepted by
+     *   CircleIndicator.setStyle()
+     * @private
      */
-    update(status) {
-        this._status = status;
-        this._color = this._calculateColor();
-        this.queue_repaint();
+    _getStyle() {
+        const style = this._settings.get_string(INDICATOR_STYLE_KEY);
+        const storedOptions = this._settings.get_value(STYLE_OPTIONS_KEY).recursiveUnpack();
+        return [style, Renderers.getStyleOptions(style, storedOptions)];
     }
 
     /**
-     * Clean up resources
+     * Apply the indicator style settings to all indicators
+     * @private
      */
-    destroy() {
-        if (this._repaintId) {
-            this.disconnect(this._repaintId);
-            this._repaintId = 0;
-        }
-
-        this._cachedSvgSurface = null;
+    _updateStyle() {
+        const style = this._getStyle();
 
-        super.destroy();
+        this._indicator?.setStyle(...style);
+        for (const {indicator} of this._peripherals?.values() ?? []) {
+            indicator.setStyle(...style);
+        }
     }
-});
 
-/**
- * BatteryIconExtension - Main extension class
- *
- * Replaces the default GNOME battery indicator with a custom circular
- * indicator that shows/hides based on configurable thresholds.
- */
-export default class BatteryIconExtension extends Extension {
     /**
-     * Enable the extension
+     * Apply the high visibility setting to all indicators
+     * @private
      */
-    enable() {
-        this._initializeSettings();
-        this._initializeUPower();
-        this._createIndicator();
-        this._setupSignals();
-        this._startUpdateTimer();
+    _updateHighVisibility() {
+        const mode = this._settings.get_string(HIGH_VISIBILITY_KEY);
 
-        console.debug('[BatteryIcon] Extension enabled successfully');
+        this._indicator?.setHighVisibility(mode);
+        for (const {indicator} of this._peripherals?.values() ?? []) {
+            indicator.setHighVisibility(mode);
+        }
     }
 
     /**
-     * Initialize settings
+     * Apply the animation settings to the main indicator
      * @private
      */
-    _initializeSettings() {
-        this._settings = this.getSettings();
+    _updateAnimations() {
+        this._indicator?.setAnimations({
+            animateLevel: this._settings.get_boolean(ANIMATE_LEVEL_KEY),
+            chargingPulse: this._settings.get_boolean(CHARGING_PULSE_KEY),
+            criticalBlink: this._settings.get_boolean(CRITICAL_BLINK_KEY),
+            criticalLevel: Status.clampPercent(this._settings.get_int(CRITICAL_LEVEL_KEY)),
+        });
     }
 
     /**
-     * Initialize UPower client and device
+     * Apply the power draw readout settings to the main indicator
      * @private
      */
-    _initializeUPower() {
-        this._upowerClient = UPowerGlib.Client.new();
-        this._device = this._upowerClient.get_display_device();
-
-        if (!this._device) {
-            throw new Error('Failed to get UPower display device');
-        }
+    _updatePowerReadout() {
+        this._indicator?.setPowerReadout({
+            mode: this._settings.get_string(POWER_READOUT_KEY),
+            dischargingOnly: this._settings.get_boolean(POWER_READOUT_DISCHARGING_ONLY_KEY),
+            lowRate: this._settings.get_int(POWER_DRAW_LOW_KEY),
+            highRate: this._settings.get_int(POWER_DRAW_HIGH_KEY),
+        });
     }
 
     /**
-     * Create and position the indicator widget
+     * Get the display mode setting of the session mode
+     *
+     * @returns {string} Settings key of the display mode
      * @private
      */
-    _createIndicator() {
-        // Find system indicators
-        this._system = Main.panel.statusArea.quickSettings?._system ?? null;
-        this._stockIcon = this._system?._indicator ?? null;
-        this._iconParent = this._stockIcon?.get_parent() ?? null;
-
-        // Create custom indicator
-        this._indicator = new CircleIndicator(
-            {percentage: -1, isCharging: false},
-            this.path
-        );
+    _getDisplayModeKey() {
+        return this._locked ? LOCK_SCREEN_DISPLAY_MODE_KEY : DISPLAY_MODE_KEY;
+    }
 
-        // Position indicator
-        if (this._iconParent && this._stockIcon) {
-            this._iconParent.insert_child_above(this._indicator, this._stockIcon);
-            this._stockWasVisible = this._stockIcon.visible;
+    /**
+     * Apply the display mode setting to the main indicator
+     * @private
+     */
+    _updateDisplayMode() {
+        const mode = this._settings.get_string(this._getDisplayModeKey());
+        this._indicator?.setDisplayMode(mode);
+        this._service?.update({displayMode: mode});
+    }
 
-            // Defer hiding to ensure panel is fully initialized
-            GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
-                if (this._stockIcon) {
-                    this._stockIcon.hide();
-                }
-                return GLib.SOURCE_REMOVE;
-            });
-        } else {
-            // Fallback if panel structure changed
-            console.warn('[BatteryIcon] Warning: Using fallback positioning');
-            Main.panel._rightBox.insert_child_at_index(this._indicator, 0);
+    /**
+     * Update all peripheral indicators
+     * @private
+     */
+    _updatePeripherals() {
+        for (const peripheral of this._peripherals?.values() ?? []) {
+            this._updatePeripheral(peripheral);
         }
     }
 
@@ -363,45 +1851,132 @@ export default class BatteryIconExtension extends Extension {
      */
     _setupSignals() {
         this._signals = [
-            this._settings.connect(`changed::${CHARGING_KEY}`,
-                                  () => this._updateIndicator()),
-            this._settings.connect(`changed::${DISCHARGING_KEY}`,
-                                  () => this._updateIndicator()),
-            this._device.connect('notify::percentage',
-                                () => this._updateIndicator()),
-            this._device.connect('notify::state',
-                                () => this._updateIndicator()),
+            [this._settings, this._settings.connect(`changed::${CHARGING_KEY}`,
+                                  () => this._updateIndicator())],
+            [this._settings, this._settings.connect(`changed::${DISCHARGING_KEY}`,
+                                  () => this._updateIndicator())],
+            ...[DISPLAY_MODE_KEY, LOCK_SCREEN_DISPLAY_MODE_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updateDisplayMode())]),
+            ...[COLOR_SCHEME_KEY, COLOR_STOPS_KEY, USE_CHARGING_COLOR_KEY, CHARGING_COLOR_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updateColorScheme())]),
+            ...[INDICATOR_STYLE_KEY, STYLE_OPTIONS_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updateStyle())]),
+            [this._settings, this._settings.connect(`changed::${HIGH_VISIBILITY_KEY}`,
+                                  () => this._updateHighVisibility())],
+            [this._settings, this._settings.connect(`changed::${FORCE_SHOW_KEY}`, () => {
+                this._updateIndicator();
+                this._updatePeripherals();
+            })],
+            [this._settings, this._settings.connect(`changed::${PERIPHERAL_KINDS_KEY}`,
+                                  () => this._updatePeripherals())],
+            [this._settings, this._settings.connect(`changed::${PERIPHERAL_THRESHOLDS_KEY}`,
+                                  () => this._updatePeripherals())],
+            ...['percentage', 'state', 'time-to-empty', 'time-to-full', 'energy-rate']
+                .map(property => [this._device, this._device.connect(`notify::${property}`,
+                                () => this._queueUpdate())]),
+            [this._upowerClient, this._upowerClient.connect('notify::on-battery',
+                                () => this._queueUpdate())],
+            ...[STATE_VISIBILITY_KEY, HIDE_MARGIN_KEY, MINIMUM_VISIBLE_TIME_KEY,
+                SHOW_AFTER_PLUG_TIME_KEY, SCHEDULES_ENABLED_KEY, SCHEDULES_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updateIndicator())]),
+            ...[CHARGE_LIMIT_ENABLED_KEY, CHARGE_LIMIT_START_KEY, CHARGE_LIMIT_END_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._queueApplyChargeLimit())]),
+            [this._upowerClient, this._upowerClient.connect('device-added',
+                                (client, device) => this._addPeripheral(device))],
+            [this._upowerClient, this._upowerClient.connect('device-removed',
+                                (client, device) => this._removePeripheral(device))],
+            // The display device follows every battery, except hotplugged ones
+            ...['device-added', 'device-removed']
+                .map(signal => [this._upowerClient, this._upowerClient.connect(signal,
+                                () => this._queueUpdate())]),
+            [this._settings, this._settings.connect(`changed::${BATTERY_LAYOUT_KEY}`,
+                                  () => this._updateIndicator())],
+            ...[PANEL_BOX_KEY, PANEL_POSITION_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._placeIndicator())]),
+            [this._settings, this._settings.connect(`changed::${STOCK_ICON_MODE_KEY}`,
+                                  () => this._syncStockIcon())],
+            ...[ANIMATE_LEVEL_KEY, CHARGING_PULSE_KEY, CRITICAL_BLINK_KEY, CRITICAL_LEVEL_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updateAnimations())]),
+            ...[POWER_READOUT_KEY, POWER_READOUT_DISCHARGING_ONLY_KEY, POWER_DRAW_LOW_KEY,
+                POWER_DRAW_HIGH_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`,
+                                  () => this._updatePowerReadout())]),
+            [this._settings, this._settings.connect(`changed::${POWER_AVERAGE_WINDOW_KEY}`,
+                                  () => this._updateIndicator())],
         ];
+
+        if (this._healthBattery) {
+            this._signals.push(...['energy-full', 'energy-full-design', 'charge-cycles']
+                .map(property => [this._healthBattery, this._healthBattery.connect(
+                    `notify::${property}`, () => this._updateHealth())]));
+        }
+        this._signals.push([this._settings, this._settings.connect(
+            `changed::${SHOW_LOST_CAPACITY_KEY}`, () => {
+                this._updateHealth();
+                this._updateIndicator();
+            })]);
+
+        this._signals.push(
+            [this._settings, this._settings.connect(`changed::${PROFILE_BADGE_KEY}`,
+                                  () => this._updateProfileBadge())],
+            ...[PROFILE_RULES_ENABLED_KEY, PROFILE_RULES_KEY]
+                .map(key => [this._settings, this._settings.connect(`changed::${key}`, () => {
+                    this._updateProfileRules();
+                    this._updateIndicator();
+                })]));
+
+        const thresholdBattery = this._chargeLimitController.getUPowerBattery();
+        if (thresholdBattery) {
+            this._signals.push([thresholdBattery, thresholdBattery.connect(
+                'notify::charge-threshold-enabled', () => this._updateChargeLimitMark())]);
+        }
     }
 
     /**
-     * Start periodic update timer
+     * Coalesce device property changes into a single update
+     *
+     * UPower notifies every changed property separately.
      * @private
      */
-    _startUpdateTimer() {
-        this._updateIndicator();
+    _queueUpdate() {
+        if (this._updateId) {
+            return;
+        }
 
-        this._timeoutId = GLib.timeout_add_seconds(
-            GLib.PRIORITY_DEFAULT,
-            UPDATE_INTERVAL_SECONDS,
-            () => {
-                this._updateIndicator();
-                return GLib.SOURCE_CONTINUE;
-            }
-        );
+        this._updateId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._updateId = 0;
+            this._updateIndicator();
+            return GLib.SOURCE_REMOVE;
+        });
     }
 
     /**
-     * Get validated threshold from settings
+     * Update the indicator again once its visibility may change by time
      *
-     * @param {string} key - Settings key
-     * @returns {number} Validated threshold value (0-100)
+     * @param {number} seconds - Delay, 0 to cancel
      * @private
      */
-    _getValidatedThreshold(key) {
-        const value = this._settings.get_int(key);
-        return Math.max(MIN_BATTERY_PERCENT,
-                       Math.min(MAX_BATTERY_PERCENT, value));
+    _queueVisibilityCheck(seconds) {
+        if (this._visibilityCheckId) {
+            GLib.source_remove(this._visibilityCheckId);
+            this._visibilityCheckId = 0;
+        }
+
+        if (seconds > 0) {
+            this._visibilityCheckId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+                seconds, () => {
+                    this._visibilityCheckId = 0;
+                    this._updateIndicator();
+                    return GLib.SOURCE_REMOVE;
+                });
+        }
     }
 
     /**
@@ -409,78 +1984,120 @@ export default class BatteryIconExtension extends Extension {
      * @private
      */
     _updateIndicator() {
-        const percentage = Math.round(this._device.percentage ?? -1);
-        const isCharging = this._device.state === UPowerGlib.DeviceState.CHARGING;
-
-        // Try to find stock icon if not found during initial setup
-        if (!this._stockIcon) {
-            this._system = Main.panel.statusArea.quickSettings?._system ?? null;
-            this._stockIcon = this._system?._indicator ?? null;
-            this._iconParent = this._stockIcon?.get_parent() ?? null;
-
-            // Reposition custom indicator if we found the stock icon
-            if (this._iconParent && this._stockIcon && this._indicator) {
-                this._stockWasVisible = this._stockIcon.visible;
-                if (this._indicator.get_parent() !== this._iconParent) {
-                    const oldParent = this._indicator.get_parent();
-                    if (oldParent) {
-                        oldParent.remove_child(this._indicator);
-                    }
-                    this._iconParent.insert_child_above(this._indicator, this._stockIcon);
-                }
-            }
-        }
+        const timestamp = GLib.get_monotonic_time() / GLib.USEC_PER_SEC;
+        const status = Status.readStatus(this._device, this._estimator, {
+            onBattery: this._upowerClient.on_battery,
+            timestamp,
+        });
 
-        // Ensure stock icon stays hidden
-        if (this._stockIcon) {
-            this._stockIcon.hide();
-        }
+        this._quickSettingsIndicator?.update(this._device.icon_name);
 
         // Hide indicator if battery info unavailable
-        if (percentage < MIN_BATTERY_PERCENT) {
+        if (status.percentage < Status.MIN_BATTERY_PERCENT) {
+            this._queueVisibilityCheck(0);
             this._indicator?.hide();
+            this._publishStatus(status, false);
             return;
         }
 
-        // Update indicator display
-        this._indicator?.update({percentage, isCharging});
-
-        // Determine visibility based on thresholds
-        const chargingThreshold = this._getValidatedThreshold(CHARGING_KEY);
-        const dischargingThreshold = this._getValidatedThreshold(DISCHARGING_KEY);
-
-        const shouldShow = isCharging
-            ? (percentage < chargingThreshold || percentage < dischargingThreshold)
-            : (percentage < dischargingThreshold);
+        // Update indicator display, with the power draw averaged for it
+        this._powerAverage.addSample(status.energyRate, status.isCharging, timestamp);
+        this._indicator?.update({
+            ...status,
+            averageEnergyRate: this._powerAverage.getAverage(
+                this._settings.get_int(POWER_AVERAGE_WINDOW_KEY), timestamp),
+        });
+        this._indicator?.setPacks(
+            Health.findLaptopBatteries(this._upowerClient).map(device => ({
+                ...Status.readPackStatus(device),
+                lostCapacity: this._getLostCapacity(Health.readHealth(device)),
+            })),
+            this._settings.get_string(BATTERY_LAYOUT_KEY));
+        this._notifier?.update({...status, onBattery: this._upowerClient.on_battery});
+        this._history?.record(status);
+        // The daily capacity entry is due without UPower reporting a change
+        this._recordCapacity();
+        this._profileSwitcher?.update({
+            percentage: status.percentage,
+            onBattery: this._upowerClient.on_battery,
+        });
+
+        // Determine visibility from the rules, unless hidden or flashed
+        // over D-Bus
+        const {visible, recheckSeconds} = this._visibility.update(status,
+            Visibility.readRules(this._settings),
+            {onBattery: this._upowerClient.on_battery});
+        this._queueVisibilityCheck(recheckSeconds);
+
+        const shouldShow = this._flashing || (!this._forceHidden && visible);
 
         if (shouldShow) {
             this._indicator?.show();
         } else {
             this._indicator?.hide();
         }
+        this._publishStatus(status, shouldShow);
     }
 
     /**
      * Disable the extension and clean up resources
      */
     disable() {
-        this._stopUpdateTimer();
-        this._disconnectSignals();
+        if (this._sessionModeId) {
+            Main.sessionMode.disconnect(this._sessionModeId);
+            this._sessionModeId = 0;
+        }
+        this._disableInterface();
+        this._disableServices();
+
+        console.debug('[BatteryIcon] Extension disabled successfully');
+    }
+
+    /**
+     * Tear down what _enableInterface() built
+     * @private
+     */
+    _disableInterface() {
         this._restoreStockIcon();
+        this._destroyQuickSettings();
+        this._destroyPeripherals();
+        this._destroyHistoryPopup();
         this._destroyIndicator();
-        this._cleanupReferences();
+    }
 
-        console.debug('[BatteryIcon] Extension disabled successfully');
+    /**
+     * Stop what _enableServices() started, in any state it left
+     * @private
+     */
+    _disableServices() {
+        this._cancelQueuedUpdate();
+        this._disconnectSignals();
+        this._destroyService();
+        this._destroyHistory();
+        this._destroyHealth();
+        this._destroyPowerProfiles();
+        this._destroyNotifier();
+        this._cleanupReferences();
     }
 
     /**
-     * Stop update timer
+     * Cancel a pending coalesced update
      * @private
      */
-    _stopUpdateTimer() {
-        if (this._timeoutId) {
-            GLib.source_remove(this._timeoutId);
-            this._timeoutId = 0;
+    _cancelQueuedUpdate() {
+        if (this._updateId) {
+            GLib.source_remove(this._updateId);
+            this._updateId = 0;
+        }
+
+        if (this._chargeLimitTimeoutId) {
+            GLib.source_remove(this._chargeLimitTimeoutId);
+            this._chargeLimitTimeoutId = 0;
+        }
+
+        if (this._visibilityCheckId) {
+            GLib.source_remove(this._visibilityCheckId);
+            this._visibilityCheckId = 0;
         }
     }
 
@@ -489,38 +2106,160 @@ export default class BatteryIconExtension extends Extension {
      * @private
      */
     _disconnectSignals() {
-        for (const signalId of this._signals ?? []) {
-            if (this._settings && signalId) {
-                this._settings.disconnect(signalId);
+        for (const [object, signalId] of this._signals ?? []) {
+            if (object && signalId) {
+                object.disconnect(signalId);
             }
         }
         this._signals = [];
     }
 
     /**
-     * Restore stock battery icon
+     * Restore stock battery icon and take the indicators out of the panel
      * @private
      */
     _restoreStockIcon() {
-        if (this._iconParent && this._stockIcon) {
-            if (this._stockWasVisible) {
-                this._stockIcon.show();
-            }
+        if (this._indicatorsAddedId) {
+            this._indicatorsActor.disconnect(this._indicatorsAddedId);
+            this._indicatorsAddedId = 0;
+        }
+        this._indicatorsActor = null;
 
-            if (this._indicator && this._iconParent.contains(this._indicator)) {
-                this._iconParent.remove_child(this._indicator);
-            }
+        for (const signalId of this._stockSignals ?? []) {
+            this._stockIcon.disconnect(signalId);
+        }
+        this._stockSignals = [];
+
+        if (this._stockIcon && this._stockHidden && this._stockWasVisible) {
+            this._stockIcon.show();
+        }
+        this._stockHidden = false;
+
+        this._destroyPercentageLabel();
+        this._box?.get_parent()?.remove_child(this._box);
+        this._stockIcon = null;
+        this._iconParent = null;
+        this._system = null;
+    }
+
+    /**
+     * Close the history popup
+     * @private
+     */
+    _destroyHistoryPopup() {
+        if (this._indicatorClickId) {
+            this._indicator.disconnect(this._indicatorClickId);
+            this._indicatorClickId = 0;
+        }
+
+        if (this._historyPopup) {
+            this._menuManager.removeMenu(this._historyPopup);
+            this._historyPopup.destroy();
+            this._historyPopup = null;
+        }
+        this._menuManager = null;
+    }
+
+    /**
+     * Save the charge history
+     * @private
+     */
+    _destroyHistory() {
+        if (this._history) {
+            this._history.destroy();
+            this._history = null;
+        }
+    }
+
+    /**
+     * Leave the session bus
+     * @private
+     */
+    _destroyService() {
+        if (this._service) {
+            this._service.destroy();
+            this._service = null;
+        }
+        this._forceHidden = false;
+        this._flashing = false;
+    }
+
+    /**
+     * Remove the battery toggle from Quick Settings
+     * @private
+     */
+    _destroyQuickSettings() {
+        if (this._quickSettingsIndicator) {
+            this._quickSettingsIndicator.destroy();
+            this._quickSettingsIndicator = null;
+        }
+    }
+
+    /**
+     * Drop the capacity history, which is saved on every entry
+     * @private
+     */
+    _destroyHealth() {
+        this._capacityHistory = null;
+        this._capacityHistoryLoaded = false;
+        this._healthBattery = null;
+    }
+
+    /**
+     * Restore the power profile active before the rules took effect and
+     * disconnect from power-profiles-daemon
+     * @private
+     */
+    _destroyPowerProfiles() {
+        if (this._profileSwitcher) {
+            this._profileSwitcher.restore();
+            this._profileSwitcher = null;
+        }
+
+        if (this._powerProfilesClient) {
+            this._powerProfilesClient.destroy();
+            this._powerProfilesClient = null;
+        }
+    }
+
+    /**
+     * Disconnect and destroy peripheral indicators
+     * @private
+     */
+    _destroyPeripherals() {
+        for (const objectPath of [...this._peripherals?.keys() ?? []]) {
+            this._removePeripheral(objectPath);
         }
+        this._peripherals = null;
     }
 
     /**
-     * Destroy indicator widget
+     * Destroy indicator widgets
      * @private
      */
     _destroyIndicator() {
         if (this._indicator) {
             this._indicator.destroy();
-            this._indicator = null;
+        }
+
+        if (this._box) {
+            this._box.destroy();
+            this._box = null;
+        }
+        this._indicator = null;
+
+        // A flash ends with its indicator
+        this._flashing = false;
+    }
+
+    /**
+     * Withdraw notifications
+     * @private
+     */
+    _destroyNotifier() {
+        if (this._notifier) {
+            this._notifier.destroy();
+            this._notifier = null;
         }
     }
 
@@ -530,10 +2269,11 @@ export default class BatteryIconExtension extends Extension {
      */
     _cleanupReferences() {
         this._device = null;
+        this._estimator = null;
+        this._powerAverage = null;
+        this._visibility = null;
+        this._chargeLimitController = null;
         this._upowerClient = null;
         this._settings = null;
-        this._system = null;
-        this._stockIcon = null;
-        this._iconParent = null;
     }
 }
@@ -0,0 +1,197 @@
+// health.js — GNOME 48 (ESM)
+//
+// Shared by extension.js and prefs.js, so it must not import Shell or GTK.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import UPowerGlib from 'gi://UPowerGlib';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async',
+               'replace_contents_finish');
+
+// Log location, below ~/.local/share
+const HEALTH_DIR_NAME = 'batteryIcon';
+const HEALTH_FILE_NAME = 'capacity.json';
+const HEALTH_VERSION = 1;
+
+// At most one entry per battery and interval
+const RECORD_INTERVAL_SECONDS = 24 * 3600;
+
+// Entries older than this are dropped
+const MAX_AGE_SECONDS = 2 * 365 * 24 * 3600;
+
+const FULL_PERCENT = 100;
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Human-readable battery technologies
+const TECHNOLOGY_NAMES = {
+    [UPowerGlib.DeviceTechnology.LITHIUM_ION]: N_('Lithium ion'),
+    [UPowerGlib.DeviceTechnology.LITHIUM_POLYMER]: N_('Lithium polymer'),
+    [UPowerGlib.DeviceTechnology.LITHIUM_IRON_PHOSPHATE]: N_('Lithium iron phosphate'),
+    [UPowerGlib.DeviceTechnology.LEAD_ACID]: N_('Lead acid'),
+    [UPowerGlib.DeviceTechnology.NICKEL_CADMIUM]: N_('Nickel cadmium'),
+    [UPowerGlib.DeviceTechnology.NICKEL_METAL_HYDRIDE]: N_('Nickel metal hydride'),
+};
+
+/**
+ * Current wall-clock time
+ *
+ * @returns {number} Unix time in seconds
+ */
+function now() {
+    return Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+}
+
+/**
+ * Find the laptop batteries, such as BAT0 and BAT1 of dual-battery laptops
+ *
+ * @param {UPowerGlib.Client} client - UPower client
+ * @returns {UPowerGlib.Device[]} Batteries, in UPower's order
+ */
+export function findLaptopBatteries(client) {
+    return (client?.get_devices() ?? []).filter(device =>
+        device.kind === UPowerGlib.DeviceKind.BATTERY &&
+        device.power_supply &&
+        device.is_present);
+}
+
+/**
+ * Find the first laptop battery
+ *
+ * @param {UPowerGlib.Client} client - UPower client
+ * @returns {UPowerGlib.Device|null} Battery or null if there is none
+ */
+export function findLaptopBattery(client) {
+    return findLaptopBatteries(client)[0] ?? null;
+}
+
+/**
+ * Read the health of a battery
+ *
+ * @param {UPowerGlib.Device} device - UPower battery, or an object with
+ *   the same properties
+ * @returns {Object} Health with id, vendor, model, technology, energyFull
+ *   and energyFullDesign (Wh), capacity and wear (percent, null if
+ *   unknown) and cycles (null if unknown)
+ */
+export function readHealth(device) {
+    const vendor = device.vendor || '';
+    const model = device.model || '';
+    const {energy_full: energyFull = 0, energy_full_design: energyFullDesign = 0} = device;
+
+    // New batteries may exceed their design capacity
+    const capacity = energyFullDesign > 0
+        ? Math.min(FULL_PERCENT, energyFull / energyFullDesign * 100)
+        : null;
+    const cycles = device.charge_cycles ?? -1;
+
+    return {
+        id: device.serial || [vendor, model].filter(Boolean).join(' ') || 'battery',
+        vendor,
+        model,
+        technology: TECHNOLOGY_NAMES[device.technology] ?? N_('Unknown'),
+        energyFull,
+        energyFullDesign,
+        capacity,
+        wear: capacity === null ? null : FULL_PERCENT - capacity,
+        cycles: cycles >= 0 ? cycles : null,
+    };
+}
+
+/**
+ * CapacityHistory - Persisted log of battery capacity over weeks
+ *
+ * Keeps at most one entry per battery and day, {t, c, n}: Unix time,
+ * capacity in percent of design and charge cycles (-1 if unknown).
+ * Batteries are keyed by serial number, so the log of several laptops
+ * can be merged.
+ */
+export class CapacityHistory {
+    /**
+     * @param {string} [dir] - Log directory, for tests
+     */
+    constructor(dir = GLib.build_filenamev([GLib.get_user_data_dir(), HEALTH_DIR_NAME])) {
+        this._file = Gio.File.new_for_path(GLib.build_filenamev([dir, HEALTH_FILE_NAME]));
+        this._batteries = {};
+    }
+
+    /**
+     * Load the persisted log, keeping entries recorded in the meantime
+     */
+    async load() {
+        try {
+            const [contents] = await this._file.load_contents_async(null);
+            const data = JSON.parse(new TextDecoder().decode(contents));
+
+            if (data.version !== HEALTH_VERSION || typeof data.batteries !== 'object') {
+                throw new Error(`Unsupported capacity log format in ${this._file.get_path()}`);
+            }
+
+            for (const [id, entries] of Object.entries(data.batteries)) {
+                const recorded = this._batteries[id] ?? [];
+                const firstRecorded = recorded[0]?.t ?? Infinity;
+                this._batteries[id] = [
+                    ...entries.filter(entry => entry.t < firstRecorded),
+                    ...recorded,
+                ];
+            }
+        } catch (error) {
+            if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error('[BatteryIcon] Failed to load capacity history', error);
+            }
+        }
+    }
+
+    /**
+     * Record the capacity of a battery, at most once per day
+     *
+     * @param {Object} health - Health from readHealth()
+     * @param {number} [timestamp] - Unix time in seconds
+     * @returns {boolean} True if an entry was added
+     */
+    record(health, timestamp = now()) {
+        if (health.capacity === null) {
+            return false;
+        }
+
+        const entries = this._batteries[health.id] ?? [];
+        const last = entries[entries.length - 1];
+        if (last && timestamp - last.t < RECORD_INTERVAL_SECONDS) {
+            return false;
+        }
+
+        entries.push({
+            t: timestamp,
+            c: Math.round(health.capacity * 10) / 10,
+            n: health.cycles ?? -1,
+        });
+        this._batteries[health.id] = entries.filter(entry =>
+            entry.t >= timestamp - MAX_AGE_SECONDS);
+        return true;
+    }
+
+    /**
+     * Get the entries of a battery
+     *
+     * @param {string} id - Battery id from readHealth()
+     * @returns {Object[]} Entries, oldest first
+     */
+    getEntries(id) {
+        return this._batteries[id] ?? [];
+    }
+
+    /**
+     * Write the log
+     */
+    async save() {
+        GLib.mkdir_with_parents(this._file.get_parent().get_path(), 0o700);
+
+        const data = JSON.stringify({version: HEALTH_VERSION, batteries: this._batteries});
+        await this._file.replace_contents_bytes_async(
+            new GLib.Bytes(new TextEncoder().encode(data)),
+            null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    }
+}
@@ -0,0 +1,287 @@
+// history.js — GNOME 48 (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import UPowerGlib from 'gi://UPowerGlib';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async',
+               'replace_contents_finish');
+
+// Log location, below ~/.local/share
+const HISTORY_DIR_NAME = 'batteryIcon';
+const HISTORY_FILE_NAME = 'history.json';
+const HISTORY_VERSION = 1;
+
+// Writes are batched; the log is also saved on destroy
+const SAVE_DELAY_SECONDS = 300;
+
+// Samples younger than this are kept as recorded
+const FULL_RESOLUTION_SECONDS = 24 * 3600;
+
+// Older samples are merged into buckets of this size
+const COMPACT_BUCKET_SECONDS = 15 * 60;
+
+// Samples older than this are dropped
+const MAX_AGE_SECONDS = 7 * 24 * 3600;
+
+// Hard bound on the number of samples
+const MAX_SAMPLES = 5000;
+
+// Shortest discharge span the average drain is computed from
+const MIN_DRAIN_SPAN_SECONDS = 600;
+
+const FULL_PERCENT = 100;
+
+/**
+ * Current wall-clock time
+ *
+ * @returns {number} Unix time in seconds
+ */
+function now() {
+    return Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+}
+
+/**
+ * ChargeHistory - Persisted log of battery level and energy rate
+ *
+ * A sample is recorded whenever the percentage or state changes. Each
+ * sample is {t, p, r, s}: Unix time, percentage, energy rate in watts
+ * (negative while discharging) and UPower device state. Samples older
+ * than a day are compacted into 15 minute buckets, and samples older
+ * than a week are dropped.
+ */
+export class ChargeHistory {
+    constructor() {
+        const dir = GLib.build_filenamev([GLib.get_user_data_dir(), HISTORY_DIR_NAME]);
+
+        this._file = Gio.File.new_for_path(GLib.build_filenamev([dir, HISTORY_FILE_NAME]));
+        this._samples = [];
+        this._sessionStart = now();
+        this._dirty = false;
+        this._saveId = 0;
+        this._loading = null;
+        this._loaded = false;
+    }
+
+    /**
+     * Load the persisted log, keeping samples recorded in the meantime
+     *
+     * @returns {Promise} Resolves once loaded, or once loading failed
+     */
+    load() {
+        this._loading ??= this._load();
+        return this._loading;
+    }
+
+    /**
+     * Read the persisted log and merge it before the recorded samples
+     * @private
+     */
+    async _load() {
+        try {
+            const [contents] = await this._file.load_contents_async(null);
+            const data = JSON.parse(new TextDecoder().decode(contents));
+
+            if (data.version !== HISTORY_VERSION || !Array.isArray(data.samples)) {
+                throw new Error(`Unsupported history format in ${this._file.get_path()}`);
+            }
+
+            const firstRecorded = this._samples[0]?.t ?? Infinity;
+            const loaded = data.samples.filter(sample => sample.t < firstRecorded);
+            this._samples = [...loaded, ...this._samples];
+            this._compact();
+        } catch (error) {
+            if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error('[BatteryIcon] Failed to load charge history', error);
+            }
+        }
+
+        this._loaded = true;
+    }
+
+    /**
+     * Record a sample if the percentage or state changed
+     *
+     * @param {Object} status - Battery status
+     * @param {number} status.percentage - Battery percentage (0-100)
+     * @param {number} status.state - UPower device state
+     * @param {number} status.energyRate - Energy rate in watts
+     */
+    record({percentage, state, energyRate}) {
+        const last = this._samples[this._samples.length - 1];
+
+        if (last && last.p === percentage && last.s === state) {
+            return;
+        }
+
+        const rate = state === UPowerGlib.DeviceState.DISCHARGING
+            ? -energyRate
+            : energyRate;
+        this._samples.push({
+            t: now(),
+            p: percentage,
+            r: Math.round(rate * 100) / 100,
+            s: state,
+        });
+
+        this._dirty = true;
+        this._scheduleSave();
+    }
+
+    /**
+     * Get the samples of a recent time range
+     *
+     * @param {number} rangeSeconds - Length of the range, ending now
+     * @returns {Object[]} Samples, oldest first
+     */
+    getSamples(rangeSeconds) {
+        const start = now() - rangeSeconds;
+        return this._samples.filter(sample => sample.t >= start);
+    }
+
+    /**
+     * Compute statistics of the current session
+     *
+     * @returns {Object} Stats with drainPerHour (percent per hour or null),
+     *   lastFullCharge (Unix time or null) and timeOnBattery (seconds)
+     */
+    getSessionStats() {
+        const {DISCHARGING, FULLY_CHARGED} = UPowerGlib.DeviceState;
+
+        // Average drain over discharging spans of this session
+        let drained = 0;
+        let dischargeSeconds = 0;
+        const session = this._samples.filter(sample => sample.t >= this._sessionStart);
+        for (let i = 1; i < session.length; i++) {
+            const previous = session[i - 1];
+            if (previous.s === DISCHARGING && session[i].s === DISCHARGING) {
+                drained += Math.max(0, previous.p - session[i].p);
+                dischargeSeconds += session[i].t - previous.t;
+            }
+        }
+
+        const lastFull = this._samples.findLast(sample =>
+            sample.p >= FULL_PERCENT || sample.s === FULLY_CHARGED);
+
+        // Time since the battery was last unplugged
+        let timeOnBattery = 0;
+        let runStart = this._samples.length;
+        while (runStart > 0 && this._samples[runStart - 1].s === DISCHARGING) {
+            runStart--;
+        }
+        if (runStart < this._samples.length) {
+            timeOnBattery = now() - this._samples[runStart].t;
+        }
+
+        return {
+            drainPerHour: dischargeSeconds >= MIN_DRAIN_SPAN_SECONDS
+                ? drained / (dischargeSeconds / 3600)
+                : null,
+            lastFullCharge: lastFull?.t ?? null,
+            timeOnBattery,
+        };
+    }
+
+    /**
+     * Merge old samples into buckets and enforce the age and size bounds
+     * @private
+     */
+    _compact() {
+        const current = now();
+        const oldest = current - MAX_AGE_SECONDS;
+        const fullResolutionStart = current - FULL_RESOLUTION_SECONDS;
+
+        const compacted = [];
+        let bucket = null;
+
+        const flush = () => {
+            if (!bucket) {
+                return;
+            }
+            const count = bucket.samples.length;
+            compacted.push({
+                t: bucket.samples[0].t,
+                p: Math.round(bucket.samples.reduce((sum, {p}) => sum + p, 0) / count),
+                r: Math.round(bucket.samples.reduce((sum, {r}) => sum + r, 0) / count * 100) / 100,
+                s: bucket.s,
+            });
+            bucket = null;
+        };
+
+        for (const sample of this._samples) {
+            if (sample.t < oldest) {
+                continue;
+            }
+
+            if (sample.t >= fullResolutionStart) {
+                flush();
+                compacted.push(sample);
+                continue;
+            }
+
+            // Buckets never span a state change
+            const index = Math.floor(sample.t / COMPACT_BUCKET_SECONDS);
+            if (bucket?.index !== index || bucket.s !== sample.s) {
+                flush();
+                bucket = {index, s: sample.s, samples: []};
+            }
+            bucket.samples.push(sample);
+        }
+        flush();
+
+        this._samples = compacted.slice(-MAX_SAMPLES);
+    }
+
+    /**
+     * Save the log after a delay, batching samples
+     * @private
+     */
+    _scheduleSave() {
+        if (this._saveId) {
+            return;
+        }
+
+        this._saveId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, SAVE_DELAY_SECONDS, () => {
+            this._saveId = 0;
+            this._save().catch(error =>
+                console.error('[BatteryIcon] Failed to save charge history', error));
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Compact and write the log
+     * @private
+     */
+    async _save() {
+        // Writing before the log is merged would replace it with this
+        // session's samples
+        if (!this._dirty || !this._loaded) {
+            return;
+        }
+
+        this._compact();
+        this._dirty = false;
+
+        GLib.mkdir_with_parents(this._file.get_parent().get_path(), 0o700);
+
+        const data = JSON.stringify({version: HISTORY_VERSION, samples: this._samples});
+        await this._file.replace_contents_bytes_async(
+            new GLib.Bytes(new TextEncoder().encode(data)),
+            null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    }
+
+    /**
+     * Stop the save timer and write pending samples, once the log is loaded
+     */
+    destroy() {
+        if (this._saveId) {
+            GLib.source_remove(this._saveId);
+            this._saveId = 0;
+        }
+
+        Promise.resolve(this._loading).then(() => this._save()).catch(error =>
+            console.error('[BatteryIcon] Failed to save charge history', error));
+    }
+}
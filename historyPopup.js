@@ -0,0 +1,261 @@
+// historyPopup.js — GNOME 48 (ESM)
+
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import * as Colors from './colors.js';
+import {formatDuration} from './estimator.js';
+import * as Locale from './locale.js';
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Chart ranges in seconds, with their button labels
+const RANGES = [
+    {seconds: 24 * 3600, label: N_('24 h')},
+    {seconds: 7 * 24 * 3600, label: N_('7 days')},
+];
+
+// Chart geometry
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_LINE_WIDTH = 2;
+const GRID_LINE_WIDTH = 1;
+const GRID_ALPHA = 0.2;
+const FILL_ALPHA = 0.15;
+
+// Energy rate line color (blue)
+const RATE_COLOR = [0.21, 0.52, 0.89];
+
+/**
+ * HistoryPopup - Charge history chart, session statistics and battery health
+ *
+ * Shows the percentage (filled line) and energy rate (blue line, charging
+ * above the middle, discharging below) over the last day or week.
+ */
+export class HistoryPopup extends PopupMenu.PopupMenu {
+    /**
+     * @param {Clutter.Actor} sourceActor - Actor the popup points at
+     * @param {ChargeHistory} history - Charge history to show
+     * @param {Function} getHealth - Returns the laptop battery health, see
+     *   health.js, or null
+     */
+    constructor(sourceActor, history, getHealth) {
+        super(sourceActor, 0.5, St.Side.TOP);
+
+        this._history = history;
+        this._getHealth = getHealth;
+        this._range = RANGES[0];
+
+        this._addRangeButtons();
+        this._addChart();
+        this._addStats();
+        this._addHealth();
+
+        this.connect('open-state-changed', (menu, isOpen) => {
+            if (isOpen) {
+                this._refresh();
+            }
+        });
+    }
+
+    /**
+     * Add the range toggle buttons
+     * @private
+     */
+    _addRangeButtons() {
+        const item = new PopupMenu.PopupBaseMenuItem({reactive: false});
+        const box = new St.BoxLayout({x_expand: true, style: 'spacing: 6px;'});
+
+        this._rangeButtons = RANGES.map(range => {
+            const button = new St.Button({
+                label: _(range.label),
+                style_class: 'button',
+                toggle_mode: true,
+                can_focus: true,
+                x_expand: true,
+            });
+            button.connect('clicked', () => {
+                this._range = range;
+                this._refresh();
+            });
+            box.add_child(button);
+            return button;
+        });
+
+        item.add_child(box);
+        this.addMenuItem(item);
+    }
+
+    /**
+     * Add the chart drawing area
+     * @private
+     */
+    _addChart() {
+        const item = new PopupMenu.PopupBaseMenuItem({reactive: false});
+
+        this._chart = new St.DrawingArea({width: CHART_WIDTH, height: CHART_HEIGHT});
+        this._chart.connect('repaint', this._onChartRepaint.bind(this));
+
+        item.add_child(this._chart);
+        this.addMenuItem(item);
+    }
+
+    /**
+     * Add the session statistics labels
+     * @private
+     */
+    _addStats() {
+        this.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_('This Session')));
+
+        const addStat = () => {
+            const item = new PopupMenu.PopupMenuItem('', {reactive: false});
+            this.addMenuItem(item);
+            return item.label;
+        };
+
+        this._drainLabel = addStat();
+        this._lastFullLabel = addStat();
+        this._onBatteryLabel = addStat();
+    }
+
+    /**
+     * Add the battery health section
+     * @private
+     */
+    _addHealth() {
+        this._healthSection = new PopupMenu.PopupMenuSection();
+        this._healthSection.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_('Battery Health')));
+
+        const addLine = () => {
+            const item = new PopupMenu.PopupMenuItem('', {reactive: false});
+            this._healthSection.addMenuItem(item);
+            return item.label;
+        };
+
+        this._capacityLabel = addLine();
+        this._cyclesLabel = addLine();
+        this._modelLabel = addLine();
+        this.addMenuItem(this._healthSection);
+    }
+
+    /**
+     * Update the battery health section
+     * @private
+     */
+    _refreshHealth() {
+        const health = this._getHealth();
+
+        this._healthSection.actor.visible = !!health;
+        if (!health) {
+            return;
+        }
+
+        this._capacityLabel.text = health.capacity === null
+            ? _('Capacity: unknown')
+            : _('Capacity: %s of design (%s wear)').format(
+                Locale.formatPercent(health.capacity, 1), Locale.formatPercent(health.wear, 1));
+
+        this._cyclesLabel.text = health.cycles === null
+            ? _('Charge cycles: unknown')
+            : _('Charge cycles: %s').format(Locale.formatNumber(health.cycles));
+
+        this._modelLabel.text = [health.vendor, health.model, _(health.technology)]
+            .filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Update buttons, chart, statistics and health
+     * @private
+     */
+    _refresh() {
+        this._rangeButtons.forEach((button, index) => {
+            button.checked = RANGES[index] === this._range;
+        });
+
+        this._chart.queue_repaint();
+
+        const {drainPerHour, lastFullCharge, timeOnBattery} =
+            this._history.getSessionStats();
+
+        this._drainLabel.text = drainPerHour === null
+            ? _('Average drain: not enough data')
+            : _('Average drain: %s per hour').format(Locale.formatPercent(drainPerHour, 1));
+
+        this._lastFullLabel.text = lastFullCharge === null
+            ? _('Last full charge: not in the last week')
+            : _('Last full charge: %s').format(
+                GLib.DateTime.new_from_unix_local(lastFullCharge).format('%a %H:%M'));
+
+        this._onBatteryLabel.text = timeOnBattery > 0
+            ? _('On battery: %s').format(formatDuration(timeOnBattery))
+            : _('On battery: plugged in');
+
+        this._refreshHealth();
+    }
+
+    /**
+     * Draw the percentage and energy rate chart
+     *
+     * @param {St.DrawingArea} area - Chart drawing area
+     * @private
+     */
+    _onChartRepaint(area) {
+        const context = area.get_context();
+        const [width, height] = area.get_surface_size();
+        const foreground = Colors.fromThemeColor(
+            area.get_theme_node().get_foreground_color()).slice(0, 3);
+
+        const samples = this._history.getSamples(this._range.seconds);
+        const end = Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+        const start = end - this._range.seconds;
+        const toX = t => (t - start) / this._range.seconds * width;
+
+        // Grid at 0%, 50% and 100%
+        context.setSourceRGBA(...foreground, GRID_ALPHA);
+        context.setLineWidth(GRID_LINE_WIDTH);
+        for (const y of [0.5, height / 2, height - 0.5]) {
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+        }
+        context.stroke();
+
+        if (samples.length === 0) {
+            return;
+        }
+
+        // Percentage as a step line, held until now
+        const toY = percentage => height - percentage / 100 * height;
+        context.moveTo(toX(samples[0].t), toY(samples[0].p));
+        for (let i = 1; i < samples.length; i++) {
+            context.lineTo(toX(samples[i].t), toY(samples[i - 1].p));
+            context.lineTo(toX(samples[i].t), toY(samples[i].p));
+        }
+        context.lineTo(width, toY(samples[samples.length - 1].p));
+
+        context.setSourceRGB(...foreground);
+        context.setLineWidth(CHART_LINE_WIDTH);
+        context.strokePreserve();
+
+        context.lineTo(width, height);
+        context.lineTo(toX(samples[0].t), height);
+        context.closePath();
+        context.setSourceRGBA(...foreground, FILL_ALPHA);
+        context.fill();
+
+        // Energy rate around the middle, scaled to the largest magnitude
+        const maxRate = Math.max(...samples.map(({r}) => Math.abs(r)));
+        if (maxRate > 0) {
+            const toRateY = rate => height / 2 - rate / maxRate * height / 2;
+            context.moveTo(toX(samples[0].t), toRateY(samples[0].r));
+            for (const sample of samples.slice(1)) {
+                context.lineTo(toX(sample.t), toRateY(sample.r));
+            }
+            context.setSourceRGB(...RATE_COLOR);
+            context.setLineWidth(CHART_LINE_WIDTH / 2);
+            context.stroke();
+        }
+    }
+}
@@ -0,0 +1,69 @@
+// locale.js — GNOME 48 (ESM)
+//
+// Number formatting in the user's locale, such as Arabic-Indic digits.
+// Shared by extension.js and prefs.js, so it must not import Shell or GTK.
+
+// Formatters by their options, as creating one is slow
+const formatters = new Map();
+
+/**
+ * Get a number formatter for the current locale
+ *
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {Intl.NumberFormat} The formatter
+ * @private
+ */
+function getFormatter(options) {
+    const key = JSON.stringify(options);
+    let formatter = formatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.NumberFormat(undefined, options);
+        formatters.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Format a number with the locale's digits, without grouping
+ *
+ * @param {number} value - Number to format
+ * @param {Object} [options] - Optional parameters
+ * @param {number} [options.fractionDigits] - Digits after the decimal point
+ * @param {number} [options.integerDigits] - Minimum digits before it,
+ *   padded with zeros
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, {fractionDigits = 0, integerDigits = 1} = {}) {
+    return getFormatter({
+        useGrouping: false,
+        minimumIntegerDigits: integerDigits,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+    }).format(value);
+}
+
+/**
+ * Format a percentage with the locale's digits and percent sign
+ *
+ * @param {number} percentage - Percentage from 0 to 100
+ * @param {number} [fractionDigits] - Digits after the decimal point
+ * @returns {string} Formatted percentage, e.g. "42%" or "٤٢٪"
+ */
+export function formatPercent(percentage, fractionDigits = 0) {
+    return getFormatter({
+        style: 'percent',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+    }).format(percentage / 100);
+}
+
+/**
+ * Format hours and minutes as a clock time or duration, e.g. "1:05"
+ *
+ * @param {number} hours - Whole hours
+ * @param {number} minutes - Whole minutes, below 60
+ * @returns {string} Formatted time
+ */
+export function formatClock(hours, minutes) {
+    return `${formatNumber(hours)}:${formatNumber(minutes, {integerDigits: 2})}`;
+}
@@ -0,0 +1,66 @@
+// migration.js — GNOME 48 (ESM)
+//
+// Shared by extension.js and prefs.js, so it must not import Shell or GTK.
+
+// Settings key recording how many migrations were applied
+export const SETTINGS_VERSION_KEY = 'settings-version';
+
+/**
+ * Migrations, in order
+ *
+ * Migration n is a function upgrading settings from version n to n + 1.
+ * Keys a migration reads stay in the schema, with "Deprecated" in their
+ * summary, so the user's old values remain readable; see moveValue().
+ */
+export const MIGRATIONS = [];
+
+// Version of settings written by this extension version
+export const SETTINGS_VERSION = MIGRATIONS.length;
+
+/**
+ * Move a user value to another key and reset the old one
+ *
+ * Keys left at their default are not touched.
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @param {string} oldKey - Key holding the value
+ * @param {string} newKey - Key receiving it
+ * @param {Function} [convert] - Turns the old GLib.Variant into one of the
+ *   new key's type
+ */
+export function moveValue(settings, oldKey, newKey, convert = value => value) {
+    const value = settings.get_user_value(oldKey);
+    if (value === null) {
+        return;
+    }
+
+    settings.set_value(newKey, convert(value));
+    settings.reset(oldKey);
+}
+
+/**
+ * Apply the migrations the settings have not seen yet
+ *
+ * Settings from a newer extension version are left alone.
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @param {Function[]} [migrations] - Migrations, for tests
+ * @returns {number} Number of migrations applied
+ */
+export function migrateSettings(settings, migrations = MIGRATIONS) {
+    const version = settings.get_int(SETTINGS_VERSION_KEY);
+
+    if (version > migrations.length) {
+        console.warn(`[BatteryIcon] Settings version ${version} is newer than ` +
+                     `this extension's ${migrations.length}`);
+        return 0;
+    }
+
+    for (let index = version; index < migrations.length; index++) {
+        migrations[index](settings);
+        settings.set_int(SETTINGS_VERSION_KEY, index + 1);
+        console.debug(`[BatteryIcon] Migrated settings to version ${index + 1}`);
+    }
+
+    return migrations.length - version;
+}
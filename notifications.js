@@ -0,0 +1,290 @@
+// notifications.js — GNOME 48 (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import * as Locale from './locale.js';
+
+// Settings keys
+const LOW_BATTERY_KEY = 'notify-low-battery';
+const LOW_LEVELS_KEY = 'notify-low-levels';
+const CHARGE_LIMIT_KEY = 'notify-charge-limit';
+const CHARGE_LIMIT_LEVEL_KEY = 'notify-charge-limit-level';
+const REPEAT_INTERVAL_KEY = 'notify-repeat-interval';
+
+// Percentage the battery must move back past a level before it fires again
+const REARM_MARGIN = 3;
+
+// GNOME 46 moved the message tray sources and notifications to
+// construct properties
+const SHELL_MAJOR_VERSION = parseInt(Config.PACKAGE_VERSION, 10);
+const HAS_NOTIFICATION_PROPERTIES = SHELL_MAJOR_VERSION >= 46;
+
+// Alert kinds
+const ALERT_LOW = 'low';
+const ALERT_CHARGE_LIMIT = 'charge-limit';
+
+/**
+ * BatteryNotifier - Low-battery and charge-limit notifications
+ *
+ * Fires a notification when the battery drops to one of the configured
+ * levels while discharging, or reaches the charge limit while charging.
+ * A level only fires again once the battery has moved REARM_MARGIN past
+ * it or the charger was plugged/unplugged, so hovering around a level
+ * does not spam. Active alerts can repeat at a configured interval.
+ */
+export class BatteryNotifier {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._firedLevels = new Set();
+        this._chargeLimitFired = false;
+        this._wasOnBattery = null;
+        this._activeAlert = null;
+        this._source = null;
+        this._notification = null;
+        this._repeatId = 0;
+    }
+
+    /**
+     * Check the battery status against the configured alerts
+     *
+     * @param {Object} status - Battery status
+     * @param {number} status.percentage - Battery percentage (0-100)
+     * @param {boolean} status.isCharging - Charging state
+     * @param {boolean} status.onBattery - Whether the system runs on battery
+     */
+    update({percentage, isCharging, onBattery}) {
+        // Plugging or unplugging re-arms every alert and clears the current
+        // one. Charging stopping and resuming on AC does not: a battery held
+        // at its limit switches between both states.
+        if (onBattery !== this._wasOnBattery) {
+            this._wasOnBattery = onBattery;
+            this._firedLevels.clear();
+            this._chargeLimitFired = false;
+            this._clearAlert();
+        }
+
+        // Repeats show the current level
+        if (this._activeAlert) {
+            this._activeAlert.percentage = percentage;
+        }
+
+        if (isCharging) {
+            this._checkChargeLimit(percentage);
+        } else {
+            this._checkLowLevels(percentage);
+        }
+    }
+
+    /**
+     * Get the configured low battery levels
+     *
+     * @returns {number[]} Levels in percent
+     * @private
+     */
+    _getLowLevels() {
+        return this._settings.get_value(LOW_LEVELS_KEY).deepUnpack();
+    }
+
+    /**
+     * Fire a low battery alert for the lowest newly crossed level
+     *
+     * @param {number} percentage - Battery percentage (0-100)
+     * @private
+     */
+    _checkLowLevels(percentage) {
+        const levels = this._getLowLevels();
+
+        for (const level of this._firedLevels) {
+            if (!levels.includes(level) || percentage > level + REARM_MARGIN) {
+                this._firedLevels.delete(level);
+            }
+        }
+
+        if (this._activeAlert?.kind === ALERT_LOW &&
+            !this._firedLevels.has(this._activeAlert.level)) {
+            this._clearAlert();
+        }
+
+        if (!this._settings.get_boolean(LOW_BATTERY_KEY)) {
+            return;
+        }
+
+        const crossed = levels.filter(level =>
+            percentage <= level && !this._firedLevels.has(level));
+
+        if (crossed.length === 0) {
+            return;
+        }
+
+        crossed.forEach(level => this._firedLevels.add(level));
+
+        const level = Math.min(...crossed);
+        const isCritical = level === Math.min(...levels);
+        this._raiseAlert({kind: ALERT_LOW, level, percentage, isCritical});
+    }
+
+    /**
+     * Fire the charge limit alert once the configured level is reached
+     *
+     * @param {number} percentage - Battery percentage (0-100)
+     * @private
+     */
+    _checkChargeLimit(percentage) {
+        const level = this._settings.get_int(CHARGE_LIMIT_LEVEL_KEY);
+
+        if (this._chargeLimitFired && percentage < level - REARM_MARGIN) {
+            this._chargeLimitFired = false;
+            this._clearAlert();
+        }
+
+        if (!this._settings.get_boolean(CHARGE_LIMIT_KEY) ||
+            this._chargeLimitFired || percentage < level) {
+            return;
+        }
+
+        this._chargeLimitFired = true;
+        this._raiseAlert({kind: ALERT_CHARGE_LIMIT, level, percentage});
+    }
+
+    /**
+     * Show an alert and schedule its repeats
+     *
+     * @param {Object} alert - Alert description
+     * @private
+     */
+    _raiseAlert(alert) {
+        this._clearAlert();
+        this._activeAlert = alert;
+        this._showAlert();
+
+        const minutes = this._settings.get_int(REPEAT_INTERVAL_KEY);
+        if (minutes > 0) {
+            this._repeatId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT,
+                minutes * 60,
+                () => {
+                    this._showAlert();
+                    return GLib.SOURCE_CONTINUE;
+                }
+            );
+        }
+    }
+
+    /**
+     * Stop repeating and withdraw the active alert
+     * @private
+     */
+    _clearAlert() {
+        if (this._repeatId) {
+            GLib.source_remove(this._repeatId);
+            this._repeatId = 0;
+        }
+
+        this._activeAlert = null;
+        this._notification?.destroy();
+        this._notification = null;
+    }
+
+    /**
+     * Show the notification of the active alert
+     * @private
+     */
+    _showAlert() {
+        const {kind, level, percentage, isCritical} = this._activeAlert;
+
+        if (kind === ALERT_LOW) {
+            this._notify({
+                title: _('Battery low'),
+                body: _('%s remaining. Connect the charger soon.')
+                    .format(Locale.formatPercent(percentage)),
+                iconName: 'battery-caution-symbolic',
+                urgency: isCritical
+                    ? MessageTray.Urgency.CRITICAL
+                    : MessageTray.Urgency.HIGH,
+            });
+        } else {
+            this._notify({
+                title: _('Battery charged to %s').format(Locale.formatPercent(level)),
+                body: _('Unplug the charger now to protect battery health.'),
+                iconName: 'battery-full-charging-symbolic',
+                urgency: MessageTray.Urgency.NORMAL,
+            });
+        }
+    }
+
+    /**
+     * Replace the current notification with a new one
+     *
+     * @param {Object} params - Notification parameters
+     * @param {string} params.title - Notification title
+     * @param {string} params.body - Notification body
+     * @param {string} params.iconName - Themed icon name
+     * @param {MessageTray.Urgency} params.urgency - Notification urgency
+     * @private
+     */
+    _notify({title, body, iconName, urgency}) {
+        this._notification?.destroy();
+
+        const source = this._getSource();
+        const gicon = new Gio.ThemedIcon({name: iconName});
+        let notification;
+        if (HAS_NOTIFICATION_PROPERTIES) {
+            notification = new MessageTray.Notification({source, title, body, gicon, urgency});
+        } else {
+            notification = new MessageTray.Notification(source, title, body, {gicon});
+            notification.setUrgency(urgency);
+        }
+
+        notification.connect('destroy', () => {
+            if (this._notification === notification) {
+                this._notification = null;
+            }
+        });
+
+        this._notification = notification;
+        if (HAS_NOTIFICATION_PROPERTIES) {
+            source.addNotification(notification);
+        } else {
+            source.showNotification(notification);
+        }
+    }
+
+    /**
+     * Get the message tray source, creating it on first use
+     *
+     * @returns {MessageTray.Source} Notification source
+     * @private
+     */
+    _getSource() {
+        if (!this._source) {
+            const title = _('Battery Icon');
+            const iconName = 'battery-symbolic';
+            this._source = HAS_NOTIFICATION_PROPERTIES
+                ? new MessageTray.Source({title, iconName})
+                : new MessageTray.Source(title, iconName);
+            this._source.connect('destroy', () => {
+                this._source = null;
+            });
+            Main.messageTray.add(this._source);
+        }
+        return this._source;
+    }
+
+    /**
+     * Withdraw notifications and stop timers
+     */
+    destroy() {
+        this._clearAlert();
+        this._source?.destroy();
+        this._source = null;
+        this._settings = null;
+    }
+}
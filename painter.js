@@ -0,0 +1,600 @@
+// painter.js — GNOME 48 (ESM)
+//
+// Draws a complete indicator on a Cairo context. Free of St and Shell
+// imports, so the tests can render to an image surface under plain gjs.
+
+import Rsvg from 'gi://Rsvg';
+import Cairo from 'cairo';
+
+import * as PowerProfiles from './powerProfiles.js';
+import * as Renderers from './renderers.js';
+import * as Status from './status.js';
+
+// Content proportions; the text overlaps the power state icon by a share
+// of the icon width
+const OVERLAY_ICON_SCALE = 1.7;
+const OVERLAY_ICON_SPACING = 1.05;
+const OVERLAY_ICON_TEXT_OVERLAP_RATIO = 0.45;
+const GLYPH_SIZE_RATIO = 0.45;
+const TEXT_MAX_WIDTH_RATIO = 0.8;
+const SUBTEXT_SIZE_RATIO = 0.6;
+const SUBTEXT_GAP_RATIO = 0.3;
+
+/**
+ * Font of the text unless the scene has its own; the extension reads it
+ * from stylesheet.css. The size is a share of the indicator height.
+ */
+export const DEFAULT_FONT = {
+    family: 'Sans',
+    italic: false,
+    bold: true,
+    sizeRatio: 0.33,
+};
+
+// Tinted icons kept per indicator; colors follow the level, so each
+// percentage may need its own
+const SVG_CACHE_SIZE = 16;
+
+// Opacity of the lost capacity segment
+const LOST_CAPACITY_ALPHA = 0.3;
+
+// High visibility: thicker shapes, outlined text, and the level hatched
+// below these percentages so it does not rely on color alone
+const HIGH_VISIBILITY_THICKNESS_SCALE = 1.5;
+const HIGH_VISIBILITY_THICKNESS_MAX = 50;
+const TEXT_OUTLINE_RATIO = 0.15;
+const HATCH_BELOW_PERCENT = 50;
+const CROSS_HATCH_BELOW_PERCENT = 20;
+const HATCH_SPACING_RATIO = 0.2;
+const HATCH_LINE_RATIO = 0.06;
+
+// Power profile badge in the top right corner, cut out of the shape by a
+// gap so it stays visible over the filled level
+const PROFILE_BADGE_RADIUS_RATIO = 0.12;
+const PROFILE_BADGE_GAP_RATIO = 0.06;
+
+/**
+ * Badge color of each power profile; balanced has none
+ */
+export const PROFILE_BADGE_COLORS = {
+    [PowerProfiles.PROFILE_POWER_SAVER]: [0.2, 0.75, 0.3],
+    [PowerProfiles.PROFILE_PERFORMANCE]: [0.95, 0.4, 0.2],
+};
+
+/**
+ * Icon drawn left of the text in each power state, relative to the
+ * extension directory; discharging has none
+ */
+export const OVERLAY_ICONS = {
+    [Status.POWER_STATE_CHARGING]: 'charging.svg',
+    [Status.POWER_STATE_PLUGGED_DISCHARGING]: 'plugged.svg',
+    [Status.POWER_STATE_PENDING_CHARGE]: 'paused.svg',
+    [Status.POWER_STATE_FULLY_CHARGED]: 'full.svg',
+    [Status.POWER_STATE_EMPTY]: 'warning.svg',
+    [Status.POWER_STATE_UNKNOWN]: 'warning.svg',
+};
+
+/**
+ * Get the overlay icon of a power state
+ *
+ * @param {string} extensionPath - Absolute path to extension directory
+ * @param {string} powerState - Power state name
+ * @returns {string|null} Absolute SVG path, or null for none
+ */
+export function getOverlayIconPath(extensionPath, powerState) {
+    const fileName = OVERLAY_ICONS[powerState];
+    return fileName ? `${extensionPath}/${fileName}` : null;
+}
+
+/**
+ * Load an SVG icon and tint it with a single color
+ *
+ * @param {string} svgPath - Absolute path to the SVG file
+ * @param {number[]} color - RGB color array [r, g, b]
+ * @param {number} [size] - Pixels of the larger side, the SVG's own size
+ *   if missing
+ * @returns {Cairo.Surface|null} Tinted SVG surface or null on error
+ */
+export function loadTintedSvg(svgPath, [red, green, blue], size = null) {
+    try {
+        const handle = Rsvg.Handle.new_from_file(svgPath);
+
+        if (!handle) {
+            throw new Error(`Failed to load SVG from ${svgPath}`);
+        }
+
+        const dimensions = handle.get_dimensions();
+        const scale = size ? size / Math.max(dimensions.width, dimensions.height) : 1;
+        const width = Math.max(1, Math.round(dimensions.width * scale));
+        const height = Math.max(1, Math.round(dimensions.height * scale));
+
+        // Render the vector SVG at the target size, so it stays crisp
+        const surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, width, height);
+        const context = new Cairo.Context(surface);
+        context.scale(scale, scale);
+        handle.render_cairo(context);
+
+        // Apply color tint
+        const tintSurface = new Cairo.ImageSurface(Cairo.Format.ARGB32, width, height);
+        const tintContext = new Cairo.Context(tintSurface);
+        tintContext.setSourceSurface(surface, 0, 0);
+        tintContext.paint();
+        tintContext.setOperator(Cairo.Operator.IN);
+        tintContext.setSourceRGB(red, green, blue);
+        tintContext.paint();
+
+        return tintSurface;
+    } catch (error) {
+        console.error(`[BatteryIcon] Failed to load icon ${svgPath}`, error);
+        return null;
+    }
+}
+
+/**
+ * SvgCache - Tinted icons rasterized once per size, color and scale
+ *
+ * Parsing and tinting an SVG on every repaint is slow, and scaling a
+ * surface of the SVG's own size blurs it on HiDPI displays.
+ */
+export class SvgCache {
+    constructor() {
+        this._surfaces = new Map();
+    }
+
+    /**
+     * Get an icon rasterized for the device pixels it is painted on
+     *
+     * @param {string} svgPath - Absolute path to the SVG file
+     * @param {number[]} color - RGB color array [r, g, b]
+     * @param {number} size - Painted size of the larger side, in surface
+     *   units
+     * @param {number} scale - Device pixels per surface unit
+     * @returns {Cairo.Surface|null} Tinted surface or null on error
+     */
+    get(svgPath, color, size, scale) {
+        const pixels = Math.max(1, Math.ceil(size * scale));
+        const key = [svgPath, color.join(','), pixels, scale].join('|');
+
+        if (!this._surfaces.has(key)) {
+            // Drop the oldest icon; Map keeps insertion order
+            if (this._surfaces.size >= SVG_CACHE_SIZE) {
+                this._surfaces.delete(this._surfaces.keys().next().value);
+            }
+            this._surfaces.set(key, loadTintedSvg(svgPath, color, pixels));
+        }
+
+        return this._surfaces.get(key);
+    }
+
+    /**
+     * Drop all icons
+     */
+    clear() {
+        this._surfaces.clear();
+    }
+}
+
+/**
+ * Paint a surface scaled around a point
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {Cairo.Surface} surface - Surface to paint
+ * @param {number} x - Left edge after scaling
+ * @param {number} y - Top edge after scaling
+ * @param {number} scale - Scale factor
+ */
+function paintScaled(context, surface, x, y, scale) {
+    context.save();
+    context.scale(scale, scale);
+    context.setSourceSurface(surface, x / scale, y / scale);
+    context.paint();
+    context.restore();
+}
+
+/**
+ * Draw the power profile badge
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number[]} color - RGB badge color
+ */
+function drawProfileBadge(context, width, height, color) {
+    const size = Math.min(width, height);
+    const radius = size * PROFILE_BADGE_RADIUS_RATIO;
+    const centerX = width - radius;
+    const centerY = radius;
+
+    context.save();
+    context.setOperator(Cairo.Operator.CLEAR);
+    context.arc(centerX, centerY, radius + size * PROFILE_BADGE_GAP_RATIO, 0, 2 * Math.PI);
+    context.fill();
+    context.restore();
+
+    context.setSourceRGB(...color);
+    context.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+    context.fill();
+}
+
+/**
+ * Cut hatching out of the level, denser at lower levels
+ *
+ * Leaves the level solid from HATCH_BELOW_PERCENT up, hatches it below,
+ * and cross-hatches it below CROSS_HATCH_BELOW_PERCENT.
+ *
+ * @param {Cairo.Context} context - Cairo drawing context, clipped to the
+ *   level
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} percentage - Level the hatching stands for
+ */
+function cutHatching(context, width, height, percentage) {
+    if (percentage >= HATCH_BELOW_PERCENT) {
+        return;
+    }
+
+    const size = Math.max(width, height);
+    const spacing = size * HATCH_SPACING_RATIO;
+    const directions = percentage < CROSS_HATCH_BELOW_PERCENT ? [1, -1] : [1];
+
+    context.save();
+    context.setOperator(Cairo.Operator.DEST_OUT);
+    context.setLineWidth(size * HATCH_LINE_RATIO);
+    for (const direction of directions) {
+        for (let offset = -size; offset < 2 * size; offset += spacing) {
+            context.moveTo(offset, direction > 0 ? size : 0);
+            context.lineTo(offset + size, direction > 0 ? 0 : size);
+        }
+    }
+    context.stroke();
+    context.restore();
+}
+
+/**
+ * Get a color that stands out around text of a color
+ *
+ * @param {number[]} color - RGB text color
+ * @returns {number[]} Black around light text, white around dark text
+ */
+function getOutlineColor([red, green, blue]) {
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue > 0.5 ? [0, 0, 0] : [1, 1, 1];
+}
+
+/**
+ * Draw a line of text, outlined if asked
+ *
+ * @param {Cairo.Context} context - Cairo drawing context, with the font set
+ * @param {string} text - Text to draw
+ * @param {number} x - Left edge of the text
+ * @param {number} y - Baseline of the text
+ * @param {number[]} color - RGB text color
+ * @param {number|null} outlineWidth - Outline width, or null for none
+ */
+function drawTextLine(context, text, x, y, color, outlineWidth) {
+    context.moveTo(x, y);
+    if (!outlineWidth) {
+        context.setSourceRGB(...color);
+        context.showText(text);
+        context.newPath();
+        return;
+    }
+
+    context.save();
+    context.textPath(text);
+    context.setSourceRGB(...getOutlineColor(color));
+    context.setLineWidth(outlineWidth);
+    context.setLineJoin(Cairo.LineJoin.ROUND);
+    context.strokePreserve();
+    context.setSourceRGB(...color);
+    context.fill();
+    context.restore();
+}
+
+/**
+ * Draw a glyph centered in the content area
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {Object} area - Content area reported by the renderer
+ * @param {Function} loadGlyph - Returns the tinted glyph surface for a
+ *   painted size, or null
+ */
+function drawGlyph(context, area, loadGlyph) {
+    const glyphSize = area.width * GLYPH_SIZE_RATIO;
+    const glyph = loadGlyph(glyphSize);
+    if (!glyph) {
+        return;
+    }
+
+    const scale = glyphSize / Math.max(glyph.getWidth(), glyph.getHeight());
+
+    paintScaled(context, glyph,
+                area.centerX - glyph.getWidth() * scale / 2,
+                area.centerY - glyph.getHeight() * scale / 2,
+                scale);
+}
+
+/**
+ * Draw the power state icon left of the text
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {Object} area - Content area reported by the renderer
+ * @param {Object} textExtents - Text extents for positioning
+ * @param {Function} loadIcon - Returns the tinted overlay icon surface
+ *   for a painted size, or null
+ * @returns {number} New X position for text
+ */
+function drawOverlayIcon(context, area, textExtents, loadIcon) {
+    const iconHeight = textExtents.height * OVERLAY_ICON_SCALE;
+    const icon = loadIcon(iconHeight);
+    if (!icon) {
+        return area.centerX - textExtents.width / 2;
+    }
+
+    const scale = iconHeight / icon.getHeight();
+    const scaledWidth = icon.getWidth() * scale;
+    const scaledHeight = icon.getHeight() * scale;
+
+    const iconX = area.centerX -
+        OVERLAY_ICON_SPACING * (textExtents.width + scaledWidth) / 2;
+    const iconY = area.centerY - scaledHeight / 2;
+
+    paintScaled(context, icon, iconX, iconY, scale);
+
+    return iconX + scaledWidth * (1 - OVERLAY_ICON_TEXT_OVERLAP_RATIO);
+}
+
+/**
+ * Draw the text (with power state icon) or glyph in the content area
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {Object} area - Content area reported by the renderer
+ * @param {number} height - Surface height
+ * @param {Object} content - Content to draw
+ * @param {string|null} content.text - Text, or null to draw the glyph
+ * @param {Function|null} content.glyph - Loads the tinted glyph surface
+ *   for a painted size
+ * @param {Function|null} content.overlayIcon - Loads the tinted power
+ *   state icon for a painted size, or null for none
+ * @param {Object} content.font - Font, see DEFAULT_FONT
+ * @param {string|null} content.subtext - Smaller second line under the
+ *   text, or null for none
+ * @param {number[]} content.subtextColor - RGB color of the second line
+ * @param {boolean} content.outline - Outline the text for high visibility
+ * @param {number[]} color - RGB color array [r, g, b]
+ */
+function drawContent(context, area, height, content, color) {
+    const {text, glyph, overlayIcon, font, subtext, outline} = content;
+
+    // Peripherals show their kind instead of the percentage
+    if (text === null) {
+        if (glyph) {
+            drawGlyph(context, area, glyph);
+        }
+        return;
+    }
+
+    context.selectFontFace(font.family,
+        font.italic ? Cairo.FontSlant.ITALIC : Cairo.FontSlant.NORMAL,
+        font.bold ? Cairo.FontWeight.BOLD : Cairo.FontWeight.NORMAL);
+    const fontSize = Math.round(height * font.sizeRatio);
+    context.setFontSize(fontSize);
+
+    let textExtents = context.textExtents(text);
+
+    // Shrink longer texts such as "10:45" to fit the content area
+    const maxTextWidth = area.width * TEXT_MAX_WIDTH_RATIO;
+    let textFontSize = fontSize;
+    if (textExtents.width > maxTextWidth) {
+        textFontSize = fontSize * maxTextWidth / textExtents.width;
+        context.setFontSize(textFontSize);
+        textExtents = context.textExtents(text);
+    }
+
+    // Move the text up to center both lines together
+    let textArea = area;
+    if (subtext) {
+        const subtextFontSize = fontSize * SUBTEXT_SIZE_RATIO;
+        context.setFontSize(subtextFontSize);
+        let subtextExtents = context.textExtents(subtext);
+        if (subtextExtents.width > maxTextWidth) {
+            context.setFontSize(subtextFontSize * maxTextWidth / subtextExtents.width);
+            subtextExtents = context.textExtents(subtext);
+        }
+
+        const gap = subtextExtents.height * SUBTEXT_GAP_RATIO;
+        textArea = {...area, centerY: area.centerY - (subtextExtents.height + gap) / 2};
+
+        drawTextLine(context, subtext, area.centerX - subtextExtents.width / 2,
+                     textArea.centerY + textExtents.height / 2 + gap + subtextExtents.height,
+                     content.subtextColor,
+                     outline ? subtextFontSize * TEXT_OUTLINE_RATIO : null);
+        context.setFontSize(textFontSize);
+    }
+
+    let textX = area.centerX - textExtents.width / 2;
+    const textY = textArea.centerY + textExtents.height / 2;
+
+    if (overlayIcon) {
+        textX = drawOverlayIcon(context, textArea, textExtents, overlayIcon);
+    }
+
+    drawTextLine(context, text, textX, textY, color,
+                 outline ? textFontSize * TEXT_OUTLINE_RATIO : null);
+}
+
+/**
+ * Paint an indicator
+ *
+ * Clears the surface, draws the optional lost capacity segment, the level
+ * shape, the optional charge limit mark and power profile badge, then
+ * draws the content and knocks it out of the filled level so it stays
+ * readable. Given several lanes and a style that supports them, the level
+ * shape shows one lane per battery instead.
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {Object} scene - What to draw
+ * @param {number} scene.percentage - Battery percentage (0-100)
+ * @param {string} scene.text - Text drawn in the center
+ * @param {number[]} scene.color - RGB level color
+ * @param {number[]} scene.foregroundColor - RGB theme foreground color,
+ *   used for the charge limit mark
+ * @param {string} scene.style - Style name, see renderers.js
+ * @param {Object} scene.styleOptions - Complete options of the style
+ * @param {number|null} scene.chargeLimit - Marked limit, or null for none
+ * @param {number} [scene.lostCapacity] - Lost capacity in percent, grayed
+ *   out at the end of the scale; lanes carry their own
+ * @param {string|null} scene.glyphPath - SVG drawn in place of the text
+ * @param {string|null} scene.overlayIconPath - Power state icon drawn
+ *   left of the text, see getOverlayIconPath()
+ * @param {string|null} [scene.profile] - Active power profile, badged
+ *   unless balanced
+ * @param {Object[]} [scene.lanes] - Levels drawn side by side, each with
+ *   percentage (0-100), RGB color and optional lostCapacity in percent;
+ *   the text stays the combined level
+ * @param {number} [scene.scale] - Device pixels per surface unit, for
+ *   crisp icons on HiDPI and fractionally scaled displays
+ * @param {SvgCache} [scene.svgCache] - Icons kept between paints
+ * @param {Object} [scene.font] - Font of the text, see DEFAULT_FONT
+ * @param {number[]|null} [scene.textColor] - RGB text color, the level
+ *   color if null
+ * @param {number[]|null} [scene.trackColor] - RGBA color of the unfilled
+ *   shape, none if null
+ * @param {number|null} [scene.ringWidth] - Ring width in surface units,
+ *   replacing the thickness option of the ring style
+ * @param {number} [scene.levelAlpha] - Alpha of the level from 0 to 1, for
+ *   the charging pulse and critical blink
+ * @param {string|null} [scene.subtext] - Smaller second line under the
+ *   text, such as the power draw
+ * @param {number[]|null} [scene.subtextColor] - RGB color of the second
+ *   line, the text color if null
+ * @param {boolean} [scene.highVisibility] - Thicken the shape, outline the
+ *   text and hatch low levels, so the level does not rely on color alone
+ */
+export function paintIndicator(context, width, height, scene) {
+    const {percentage, color, style} = scene;
+    const renderer = Renderers.getRenderer(style);
+    const lanes = scene.lanes?.length > 1 && renderer.lanePath ? scene.lanes : null;
+    const laneCount = lanes?.length ?? 1;
+    const themedOptions = scene.ringWidth && style === Renderers.STYLE_RING
+        ? {
+            ...scene.styleOptions,
+            [Renderers.OPTION_THICKNESS]: Renderers.getRingThickness(width, height,
+                                                                     scene.ringWidth),
+        }
+        : scene.styleOptions;
+    const thickness = themedOptions[Renderers.OPTION_THICKNESS];
+    const styleOptions = scene.highVisibility && thickness !== undefined
+        ? {
+            ...themedOptions,
+            [Renderers.OPTION_THICKNESS]: Math.max(thickness, Math.min(
+                HIGH_VISIBILITY_THICKNESS_MAX, thickness * HIGH_VISIBILITY_THICKNESS_SCALE)),
+        }
+        : themedOptions;
+
+    // Clear canvas
+    context.setSourceRGBA(0, 0, 0, 0);
+    context.setOperator(Cairo.Operator.CLEAR);
+    context.paint();
+    context.setOperator(Cairo.Operator.OVER);
+
+    // Fill the whole shape in the track color, under the level
+    if (scene.trackColor) {
+        context.setSourceRGBA(...scene.trackColor);
+        Renderers.drawTrack(context, style, width, height, styleOptions, laneCount);
+    }
+
+    // Gray out the capacity each worn battery lost
+    (lanes ?? [{lostCapacity: scene.lostCapacity}]).forEach(({lostCapacity = 0}, index) => {
+        if (lostCapacity > 0) {
+            context.setSourceRGBA(...scene.foregroundColor, LOST_CAPACITY_ALPHA);
+            Renderers.drawLost(context, style, width, height, lostCapacity, styleOptions,
+                               index, laneCount);
+        }
+    });
+
+    // Draw battery level, or one lane per battery, faded as a whole; the
+    // hatching is cut from the level only, not the track below it
+    const levelAlpha = scene.levelAlpha ?? 1;
+    const grouped = levelAlpha < 1 || scene.highVisibility;
+    if (grouped) {
+        context.pushGroup();
+    }
+    context.setSourceRGB(...color);
+    if (lanes) {
+        Renderers.drawLanes(context, style, width, height, lanes, styleOptions);
+    } else {
+        Renderers.drawShape(context, style, width, height, percentage, styleOptions);
+    }
+    if (scene.highVisibility) {
+        (lanes ?? [{percentage}]).forEach((lane, index) => {
+            context.save();
+            if (lanes) {
+                renderer.lanePath(context, width, height, lane.percentage, index,
+                                  laneCount, styleOptions);
+            } else {
+                renderer.fillPath(context, width, height, percentage, styleOptions);
+            }
+            context.clip();
+            cutHatching(context, width, height, lane.percentage);
+            context.restore();
+        });
+    }
+    if (grouped) {
+        context.popGroupToSource();
+        context.paintWithAlpha(levelAlpha);
+    }
+    context.setSourceRGB(...color);
+
+    // Mark the charge limit in the theme foreground color
+    if (scene.chargeLimit !== null) {
+        context.setSourceRGB(...scene.foregroundColor);
+        Renderers.drawMark(context, style, width, height,
+                           scene.chargeLimit, styleOptions, laneCount);
+        context.setSourceRGB(...color);
+    }
+
+    const badgeColor = PROFILE_BADGE_COLORS[scene.profile];
+    if (badgeColor) {
+        drawProfileBadge(context, width, height, badgeColor);
+        context.setSourceRGB(...color);
+    }
+
+    if (!scene.glyphPath && !styleOptions[Renderers.OPTION_SHOW_TEXT]) {
+        return;
+    }
+
+    // Both content passes share the icons, rasterized for the device pixels
+    const textColor = scene.textColor ?? color;
+    const svgCache = scene.svgCache ?? new SvgCache();
+    const scale = scene.scale ?? 1;
+    const loader = svgPath => svgPath
+        ? size => svgCache.get(svgPath, textColor, size, scale)
+        : null;
+    const content = {
+        text: scene.glyphPath ? null : scene.text,
+        glyph: loader(scene.glyphPath),
+        overlayIcon: scene.glyphPath ? null : loader(scene.overlayIconPath),
+        font: scene.font ?? DEFAULT_FONT,
+        subtext: scene.glyphPath ? null : scene.subtext ?? null,
+        subtextColor: scene.subtextColor ?? textColor,
+        outline: Boolean(scene.highVisibility),
+    };
+
+    const contentArea = renderer.getContentArea(width, height, styleOptions, laneCount);
+    drawContent(context, contentArea, height, content, textColor);
+
+    // Knock the content out of the filled level so it stays readable
+    context.save();
+    if (lanes) {
+        lanes.forEach((lane, index) => renderer.lanePath(context, width, height,
+            lane.percentage, index, laneCount, styleOptions));
+    } else {
+        renderer.fillPath(context, width, height, percentage, styleOptions);
+    }
+    context.clip();
+    context.setOperator(Cairo.Operator.DEST_OUT);
+    drawContent(context, contentArea, height, content, textColor);
+    context.restore();
+}
@@ -0,0 +1,208 @@
+// powerProfiles.js — GNOME 48 (ESM)
+//
+// Free of Shell imports, so the tests can run it against a mock service
+// on the session bus.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.DBusProxy, 'new', 'new_finish');
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+
+// power-profiles-daemon D-Bus interface
+export const BUS_NAME = 'net.hadess.PowerProfiles';
+export const OBJECT_PATH = '/net/hadess/PowerProfiles';
+export const INTERFACE_NAME = 'net.hadess.PowerProfiles';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+// Profile names
+export const PROFILE_POWER_SAVER = 'power-saver';
+export const PROFILE_BALANCED = 'balanced';
+export const PROFILE_PERFORMANCE = 'performance';
+
+// Power sources a rule applies to, as named in settings
+export const SOURCE_BATTERY = 'battery';
+export const SOURCE_AC = 'ac';
+export const SOURCE_ANY = 'any';
+
+/**
+ * Find the first rule matching the battery status
+ *
+ * A rule is [source, below, profile]: it matches on the given power source
+ * while the percentage is below the level, or at any level if 0.
+ *
+ * @param {Array[]} rules - Rules, in priority order
+ * @param {Object} context - Battery status
+ * @param {number} context.percentage - Battery percentage (0-100)
+ * @param {boolean} context.onBattery - Whether the system runs on battery
+ * @returns {Array|null} Matching rule or null
+ */
+export function findMatchingRule(rules, {percentage, onBattery}) {
+    const currentSource = onBattery ? SOURCE_BATTERY : SOURCE_AC;
+
+    return rules.find(([source, below]) =>
+        (source === SOURCE_ANY || source === currentSource) &&
+        (below === 0 || percentage < below)) ?? null;
+}
+
+/**
+ * PowerProfilesClient - Active profile of power-profiles-daemon
+ */
+export class PowerProfilesClient {
+    /**
+     * @param {Object} [params] - Optional parameters
+     * @param {Gio.DBusConnection} [params.connection] - Bus to use, the
+     *   system bus unless testing
+     * @param {Function} [params.onChanged] - Called when the active profile
+     *   or the available profiles change
+     */
+    constructor({connection = Gio.DBus.system, onChanged = null} = {}) {
+        this._connection = connection;
+        this._onChanged = onChanged;
+        this._proxy = null;
+        this._proxyChangedId = 0;
+    }
+
+    /**
+     * Connect to the service
+     */
+    async init() {
+        this._proxy = await Gio.DBusProxy.new(this._connection,
+            Gio.DBusProxyFlags.DO_NOT_AUTO_START, null,
+            BUS_NAME, OBJECT_PATH, INTERFACE_NAME, null);
+        this._proxyChangedId = this._proxy.connect('g-properties-changed',
+            () => this._onChanged?.());
+    }
+
+    /**
+     * Active profile, or null if the service is not running
+     *
+     * @type {string|null}
+     */
+    get activeProfile() {
+        return this._proxy?.get_cached_property('ActiveProfile')?.unpack() ?? null;
+    }
+
+    /**
+     * Names of the profiles the hardware supports
+     *
+     * @type {string[]}
+     */
+    get profiles() {
+        const profiles = this._proxy?.get_cached_property('Profiles')?.recursiveUnpack() ?? [];
+        return profiles.map(profile => profile.Profile);
+    }
+
+    /**
+     * Switch the active profile
+     *
+     * @param {string} profile - Profile name
+     */
+    async setActiveProfile(profile) {
+        await this._connection.call(BUS_NAME, OBJECT_PATH, PROPERTIES_INTERFACE, 'Set',
+            new GLib.Variant('(ssv)', [INTERFACE_NAME, 'ActiveProfile',
+                new GLib.Variant('s', profile)]),
+            null, Gio.DBusCallFlags.NONE, -1, null);
+    }
+
+    /**
+     * Disconnect from the service
+     */
+    destroy() {
+        if (this._proxyChangedId) {
+            this._proxy.disconnect(this._proxyChangedId);
+            this._proxyChangedId = 0;
+        }
+        this._proxy = null;
+        this._onChanged = null;
+    }
+}
+
+/**
+ * ProfileSwitcher - Switches profiles by battery level and power source
+ *
+ * Only acts when the matching rule changes, so switching profiles by hand
+ * is respected until then. The profile active before the first rule took
+ * effect is restored once no rule matches.
+ */
+export class ProfileSwitcher {
+    /**
+     * @param {PowerProfilesClient} client - Connected client
+     */
+    constructor(client) {
+        this._client = client;
+        this._rules = [];
+        this._ruleKey = null;
+        this._savedProfile = null;
+    }
+
+    /**
+     * Replace the rules; they apply on the next update
+     *
+     * @param {Array[]} rules - Rules, see findMatchingRule()
+     */
+    setRules(rules) {
+        this._rules = rules;
+    }
+
+    /**
+     * Apply the rule matching the battery status
+     *
+     * @param {Object} context - Battery status, see findMatchingRule()
+     * @returns {Promise} Resolves once the profile is switched
+     */
+    async update(context) {
+        const active = this._client.activeProfile;
+        if (active === null) {
+            return;
+        }
+
+        const rule = findMatchingRule(this._rules, context);
+        const ruleKey = rule?.join('|') ?? null;
+        if (ruleKey === this._ruleKey) {
+            return;
+        }
+        this._ruleKey = ruleKey;
+
+        if (rule) {
+            this._savedProfile ??= active;
+            await this._switchTo(rule[2]);
+        } else {
+            await this.restore();
+        }
+    }
+
+    /**
+     * Restore the profile active before the rules took effect
+     *
+     * @returns {Promise} Resolves once the profile is switched
+     */
+    async restore() {
+        const saved = this._savedProfile;
+        this._savedProfile = null;
+        this._ruleKey = null;
+
+        if (saved !== null) {
+            await this._switchTo(saved);
+        }
+    }
+
+    /**
+     * Switch to a profile the hardware supports
+     *
+     * @param {string} profile - Profile name
+     * @private
+     */
+    async _switchTo(profile) {
+        if (profile === this._client.activeProfile ||
+            !this._client.profiles.includes(profile)) {
+            return;
+        }
+
+        try {
+            await this._client.setActiveProfile(profile);
+        } catch (error) {
+            console.error(`[BatteryIcon] Failed to switch to ${profile} profile`, error);
+        }
+    }
+}
@@ -1,13 +1,82 @@
 // prefs.js — GNOME 48 (ESM)
 
 import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
+import UPowerGlib from 'gi://UPowerGlib';
+import Cairo from 'cairo';
 
-import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import {
+    ExtensionPreferences,
+    gettext as _,
+    ngettext,
+} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import {ChargeLimitController} from './chargeLimit.js';
+import * as Colors from './colors.js';
+import * as Health from './health.js';
+import * as Locale from './locale.js';
+import {migrateSettings} from './migration.js';
+import * as PowerProfiles from './powerProfiles.js';
+import * as Renderers from './renderers.js';
+import * as SettingsFile from './settingsFile.js';
+import * as Status from './status.js';
+import * as Visibility from './visibility.js';
+
+Gio._promisify(Gtk.FileDialog.prototype, 'open', 'open_finish');
+Gio._promisify(Gtk.FileDialog.prototype, 'save', 'save_finish');
 
 // Settings keys
 const CHARGING_KEY = 'charging-threshold';
 const DISCHARGING_KEY = 'discharging-threshold';
+const DISPLAY_MODE_KEY = 'display-mode';
+const FORCE_SHOW_KEY = 'force-show';
+const STATE_VISIBILITY_KEY = 'state-visibility';
+const SHOW_LOST_CAPACITY_KEY = 'show-lost-capacity';
+const COLOR_SCHEME_KEY = 'color-scheme';
+const COLOR_STOPS_KEY = 'color-stops';
+const USE_CHARGING_COLOR_KEY = 'use-charging-color';
+const CHARGING_COLOR_KEY = 'charging-color';
+const INDICATOR_STYLE_KEY = 'indicator-style';
+const STYLE_OPTIONS_KEY = 'style-options';
+const CHARGE_LIMIT_ENABLED_KEY = 'charge-limit-enabled';
+const CHARGE_LIMIT_START_KEY = 'charge-limit-start';
+const CHARGE_LIMIT_END_KEY = 'charge-limit-end';
+const NOTIFY_LOW_BATTERY_KEY = 'notify-low-battery';
+const NOTIFY_LOW_LEVELS_KEY = 'notify-low-levels';
+const NOTIFY_CHARGE_LIMIT_KEY = 'notify-charge-limit';
+const NOTIFY_CHARGE_LIMIT_LEVEL_KEY = 'notify-charge-limit-level';
+const NOTIFY_REPEAT_INTERVAL_KEY = 'notify-repeat-interval';
+const PERIPHERAL_KINDS_KEY = 'peripheral-kinds';
+const PERIPHERAL_THRESHOLDS_KEY = 'peripheral-thresholds';
+const PROFILE_BADGE_KEY = 'profile-badge';
+const PROFILE_RULES_ENABLED_KEY = 'profile-rules-enabled';
+const PROFILE_RULES_KEY = 'profile-rules';
+const BATTERY_LAYOUT_KEY = 'battery-layout';
+const HIDE_MARGIN_KEY = 'hide-margin';
+const MINIMUM_VISIBLE_TIME_KEY = 'minimum-visible-time';
+const SHOW_AFTER_PLUG_TIME_KEY = 'show-after-plug-time';
+const SCHEDULES_ENABLED_KEY = 'schedules-enabled';
+const SCHEDULES_KEY = 'schedules';
+const PANEL_BOX_KEY = 'panel-box';
+const PANEL_POSITION_KEY = 'panel-position';
+const STOCK_ICON_MODE_KEY = 'stock-icon-mode';
+const ANIMATE_LEVEL_KEY = 'animate-level';
+const CHARGING_PULSE_KEY = 'charging-pulse';
+const CRITICAL_BLINK_KEY = 'critical-blink';
+const CRITICAL_LEVEL_KEY = 'critical-level';
+const POWER_READOUT_KEY = 'power-readout';
+const POWER_AVERAGE_WINDOW_KEY = 'power-average-window';
+const POWER_READOUT_DISCHARGING_ONLY_KEY = 'power-readout-discharging-only';
+const POWER_DRAW_LOW_KEY = 'power-draw-low';
+const POWER_DRAW_HIGH_KEY = 'power-draw-high';
+const HIGH_VISIBILITY_KEY = 'high-visibility';
+const LOCK_SCREEN_INDICATOR_KEY = 'lock-screen-indicator';
+const LOCK_SCREEN_DISPLAY_MODE_KEY = 'lock-screen-display-mode';
+const LOCK_SCREEN_PERIPHERALS_KEY = 'lock-screen-peripherals';
 
 // Slider configuration
 const SLIDER_MIN = 0;
@@ -16,7 +85,175 @@ const SLIDER_STEP = 1;
 
 // Window dimensions
 const WINDOW_DEFAULT_WIDTH = 650;
-const WINDOW_DEFAULT_HEIGHT = 220;
+const WINDOW_DEFAULT_HEIGHT = 560;
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Display modes as named in settings, with their display titles
+const DISPLAY_MODES = [
+    {name: 'percent', title: N_('Percentage')},
+    {name: 'time', title: N_('Time Remaining')},
+    {name: 'alternate', title: N_('Alternate')},
+];
+
+// Power draw readouts as named in settings, with their display titles
+const POWER_READOUTS = [
+    {name: 'off', title: N_('Off')},
+    {name: 'replace', title: N_('Instead of Percentage')},
+    {name: 'second-line', title: N_('Second Line')},
+];
+
+// High visibility modes as named in settings, with their display titles
+const HIGH_VISIBILITY_MODES = [
+    {name: 'off', title: N_('Off')},
+    {name: 'on', title: N_('On')},
+    {name: 'system', title: N_('With High Contrast')},
+];
+
+// Power draw readout limits, in seconds and watts
+const POWER_AVERAGE_WINDOW_MAX = 600;
+const POWER_AVERAGE_WINDOW_STEP = 5;
+const POWER_DRAW_MAX = 200;
+
+// Layouts of laptops with several batteries as named in settings, with
+// their display titles
+const BATTERY_LAYOUTS = [
+    {name: 'aggregate', title: N_('Combined')},
+    {name: 'per-pack', title: N_('Per Battery')},
+    {name: 'both', title: N_('Both')},
+];
+
+// Panel boxes as named in settings, with their display titles
+const PANEL_BOXES = [
+    {name: 'left', title: N_('Left')},
+    {name: 'center', title: N_('Center')},
+    {name: 'right', title: N_('Right')},
+];
+
+// Position in the panel box, -1 for next to the stock battery icon
+const PANEL_POSITION_MAX = 99;
+
+// Ways to coexist with the stock battery icon as named in settings, with
+// their display titles
+const STOCK_ICON_MODES = [
+    {name: 'replace', title: N_('Replace')},
+    {name: 'beside', title: N_('Show Beside')},
+    {name: 'percentage', title: N_('Show Percentage Only')},
+];
+
+// Visibility rules of a power state, with their display titles
+const STATE_RULES = [
+    {name: Status.RULE_THRESHOLD, title: N_('Below Threshold')},
+    {name: Status.RULE_ALWAYS, title: N_('Always')},
+    {name: Status.RULE_NEVER, title: N_('Never')},
+];
+
+// Visibility rule limits
+const HIDE_MARGIN_MAX = 50;
+const VISIBLE_TIME_MAX = 3600;
+const VISIBLE_TIME_STEP = 5;
+
+// Days of schedules as bit masks, with their display titles
+const SCHEDULE_DAYS = [
+    {days: Visibility.DAYS_ALL, title: N_('Every Day')},
+    {days: Visibility.DAYS_WEEKDAYS, title: N_('Weekdays')},
+    {days: Visibility.DAYS_WEEKEND, title: N_('Weekends')},
+    ...[N_('Mondays'), N_('Tuesdays'), N_('Wednesdays'), N_('Thursdays'), N_('Fridays'),
+        N_('Saturdays'), N_('Sundays')]
+        .map((title, index) => ({days: 1 << index, title})),
+];
+
+// Times offered by the schedule editor, in minutes after midnight
+const SCHEDULE_TIME_STEP = 30;
+const SCHEDULE_TIMES = Array.from(
+    {length: Visibility.MINUTES_PER_DAY / SCHEDULE_TIME_STEP},
+    (_, index) => index * SCHEDULE_TIME_STEP);
+
+// Schedule added by the schedule editor
+const NEW_SCHEDULE = [Visibility.DAYS_WEEKDAYS, 9 * 60, 17 * 60];
+
+// Visibility preview
+const VISIBILITY_PREVIEW_HEIGHT = 64;
+const VISIBILITY_PREVIEW_SHADE_ALPHA = 0.25;
+const VISIBILITY_PREVIEW_LINE_WIDTH = 1.5;
+
+// Indicator styles as named in settings, with their display titles
+const INDICATOR_STYLES = [
+    {name: Renderers.STYLE_RING, title: N_('Ring')},
+    {name: Renderers.STYLE_BATTERY, title: N_('Battery')},
+    {name: Renderers.STYLE_PIE, title: N_('Pie')},
+    {name: Renderers.STYLE_BAR, title: N_('Bar')},
+    {name: Renderers.STYLE_DOT, title: N_('Dot')},
+];
+
+// Style option limits
+const THICKNESS_MIN = 5;
+const THICKNESS_MAX = 50;
+const START_ANGLE_MAX = 359;
+const START_ANGLE_STEP = 15;
+
+// Color schemes as named in settings, with their display titles
+const COLOR_SCHEMES = [
+    {name: Colors.SCHEME_DEFAULT, title: N_('Red to Green')},
+    {name: Colors.SCHEME_COLORBLIND, title: N_('Colorblind Safe')},
+    {name: Colors.SCHEME_MONOCHROME, title: N_('Monochrome')},
+    {name: Colors.SCHEME_HIGH_CONTRAST, title: N_('High Contrast')},
+    {name: Colors.SCHEME_CUSTOM, title: N_('Custom')},
+];
+
+// Color preview
+const PREVIEW_LEVELS = [5, 25, 50, 75, 100];
+const PREVIEW_RING_SIZE = 48;
+const PREVIEW_SPACING = 12;
+const PREVIEW_FONT_SIZE_RATIO = 0.33;
+
+// Critical level limits of the blink animation
+const CRITICAL_LEVEL_MIN = 1;
+const CRITICAL_LEVEL_MAX = 50;
+
+// Notification repeat interval limits, in minutes
+const REPEAT_INTERVAL_MAX = 240;
+
+// Stop added by the gradient editor
+const NEW_STOP = [50, '#ffffff'];
+
+// Power sources of profile rules as named in settings, with their
+// display titles
+const PROFILE_SOURCES = [
+    {name: PowerProfiles.SOURCE_BATTERY, title: N_('On Battery')},
+    {name: PowerProfiles.SOURCE_AC, title: N_('On AC')},
+    {name: PowerProfiles.SOURCE_ANY, title: N_('Always')},
+];
+
+// Power profiles as named by power-profiles-daemon, with their display
+// titles
+const POWER_PROFILES = [
+    {name: PowerProfiles.PROFILE_POWER_SAVER, title: N_('Power Saver')},
+    {name: PowerProfiles.PROFILE_BALANCED, title: N_('Balanced')},
+    {name: PowerProfiles.PROFILE_PERFORMANCE, title: N_('Performance')},
+];
+
+// Rule added by the profile rule editor
+const NEW_PROFILE_RULE = [PowerProfiles.SOURCE_BATTERY, 20, PowerProfiles.PROFILE_POWER_SAVER];
+
+// Peripheral kinds as named in settings, with their display titles
+const PERIPHERAL_KINDS = [
+    {name: 'mouse', title: N_('Mouse')},
+    {name: 'keyboard', title: N_('Keyboard')},
+    {name: 'headset', title: N_('Headset')},
+    {name: 'phone', title: N_('Phone')},
+    {name: 'tablet', title: N_('Tablet')},
+    {name: 'gaming-input', title: N_('Game Controller')},
+];
+const DEFAULT_PERIPHERAL_THRESHOLD = 50;
+
+// Suggested name of exported settings
+const EXPORT_FILE_NAME = 'batteryIcon-settings.json';
+
+// Capacity history rows, one per week
+const CAPACITY_HISTORY_WEEKS = 12;
+const WEEK_SECONDS = 7 * 24 * 3600;
 
 /**
  * BatteryIconPreferences - Preferences window for battery icon extension
@@ -32,8 +269,26 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
      */
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
+        migrateSettings(settings);
+
+        this._addPages(window, settings);
+        window.set_default_size(WINDOW_DEFAULT_WIDTH, WINDOW_DEFAULT_HEIGHT);
+    }
+
+    /**
+     * Add the preferences pages, replacing those added before
+     *
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addPages(window, settings) {
+        for (const oldPage of this._pages ?? []) {
+            window.remove(oldPage);
+        }
 
-        const page = this._createPreferencesPage();
+        const page = this._createPreferencesPage(_('General'),
+                                                 'preferences-system-symbolic');
         const group = this._createPreferencesGroup();
 
         window.add(page);
@@ -43,17 +298,95 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
         this._addChargingThresholdRow(group, settings);
         this._addDischargingThresholdRow(group, settings);
 
-        window.set_default_size(WINDOW_DEFAULT_WIDTH, WINDOW_DEFAULT_HEIGHT);
+        // Add per-state visibility controls
+        const stateGroup = this._createStateGroup();
+        page.add(stateGroup);
+        for (const [state, title] of Object.entries(Status.POWER_STATE_NAMES)) {
+            this._addStateRuleRow(stateGroup, settings, state, _(title));
+        }
+
+        // Add time-dependent visibility controls
+        const visibilityGroup = this._createVisibilityGroup();
+        page.add(visibilityGroup);
+        this._addVisibilityRuleRows(visibilityGroup, settings);
+
+        // Add display controls
+        const displayGroup = this._createDisplayGroup();
+        page.add(displayGroup);
+        this._addDisplayModeRow(displayGroup, settings);
+        this._addBatteryLayoutRow(displayGroup, settings);
+        this._addForceShowRow(displayGroup, settings);
+
+        // Add power draw readout controls
+        const powerDrawGroup = this._createPowerDrawGroup();
+        page.add(powerDrawGroup);
+        this._addPowerDrawRows(powerDrawGroup, settings);
+
+        // Add panel placement controls
+        const panelGroup = this._createPanelGroup();
+        page.add(panelGroup);
+        this._addPanelRows(panelGroup, settings);
+
+        // Add lock screen controls
+        const lockScreenGroup = this._createLockScreenGroup();
+        page.add(lockScreenGroup);
+        this._addLockScreenRows(lockScreenGroup, settings);
+
+        // Add notification controls
+        const notificationGroup = this._createNotificationGroup();
+        page.add(notificationGroup);
+        this._addLowBatteryRows(notificationGroup, settings);
+        this._addChargeLimitRows(notificationGroup, settings);
+        this._addRepeatIntervalRow(notificationGroup, settings);
+
+        // Add charge limit controls
+        const chargeLimitGroup = this._createChargeLimitGroup();
+        page.add(chargeLimitGroup);
+        this._addChargeLimitControlRows(chargeLimitGroup, settings);
+
+        // Add power profile controls
+        const powerProfileGroup = this._createPowerProfileGroup();
+        page.add(powerProfileGroup);
+        this._addPowerProfileRows(powerProfileGroup, settings);
+
+        // Add peripheral controls
+        const peripheralGroup = this._createPeripheralGroup();
+        page.add(peripheralGroup);
+
+        for (const kind of PERIPHERAL_KINDS) {
+            this._addPeripheralRow(peripheralGroup, settings, kind);
+        }
+
+        // Add export and import
+        const settingsFileGroup = this._createSettingsFileGroup();
+        page.add(settingsFileGroup);
+        this._addSettingsFileRows(settingsFileGroup, window, settings);
+
+        // Add appearance controls
+        const appearancePage = this._createPreferencesPage(_('Appearance'),
+                                                           'color-select-symbolic');
+        window.add(appearancePage);
+        this._addAppearanceControls(appearancePage, settings);
+
+        // Add battery health
+        const healthPage = this._createPreferencesPage(_('Health'),
+                                                       'battery-good-symbolic');
+        window.add(healthPage);
+        this._addHealthControls(healthPage, settings);
+
+        this._pages = [page, appearancePage, healthPage];
     }
 
     /**
-     * Create the main preferences page
+     * Create a preferences page
      *
+     * @param {string} title - Page title
+     * @param {string} iconName - Page icon name
      * @returns {Adw.PreferencesPage} The preferences page
      * @private
      */
-    _createPreferencesPage() {
-        return new Adw.PreferencesPage();
+    _createPreferencesPage(title, iconName) {
+        return new Adw.PreferencesPage({title, icon_name: iconName});
     }
 
     /**
@@ -64,8 +397,127 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
      */
     _createPreferencesGroup() {
         return new Adw.PreferencesGroup({
-            title: 'Battery Thresholds',
-            description: 'Configure when the battery indicator is shown',
+            title: _('Battery Thresholds'),
+            description: _('Configure when the battery indicator is shown'),
+        });
+    }
+
+    /**
+     * Create the display preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createDisplayGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Display'),
+            description: _('Configure what the indicator shows'),
+        });
+    }
+
+    /**
+     * Create the power draw readout preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createPowerDrawGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Power Draw'),
+            description: _('Show the power draw in watts on the indicator'),
+        });
+    }
+
+    /**
+     * Create the panel placement preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createPanelGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Panel'),
+            description: _('Configure where the indicators are placed'),
+        });
+    }
+
+    /**
+     * Create the lock screen preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createLockScreenGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Lock Screen'),
+            description: _('The lock screen keeps the thresholds and shape, without the ' +
+                'history popup, Quick Settings toggle or tooltip'),
+        });
+    }
+
+    /**
+     * Create the notifications preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createNotificationGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Notifications'),
+            description: _('Configure battery alerts'),
+        });
+    }
+
+    /**
+     * Create the charge limit preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createChargeLimitGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Charge Limit'),
+            description: _('Stop charging early to protect battery health. ' +
+                'Levels other than UPower’s need the helper from the helper/ directory.'),
+        });
+    }
+
+    /**
+     * Create the power profiles preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createPowerProfileGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Power Profiles'),
+            description: _('Show and switch the profile of power-profiles-daemon'),
+        });
+    }
+
+    /**
+     * Create the peripherals preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createPeripheralGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Peripherals'),
+            description: _('Choose which devices get their own indicator'),
+        });
+    }
+
+    /**
+     * Create the export and import preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createSettingsFileGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Settings File'),
+            description: _('Copy this setup to other machines'),
         });
     }
 
@@ -102,8 +554,8 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
      */
     _addChargingThresholdRow(group, settings) {
         const row = new Adw.ActionRow({
-            title: 'Charging Threshold',
-            subtitle: 'Show indicator when charging below this percentage',
+            title: _('Charging Threshold'),
+            subtitle: _('Show indicator when charging below this percentage'),
         });
 
         const scale = this._createThresholdScale(
@@ -130,8 +582,8 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
      */
     _addDischargingThresholdRow(group, settings) {
         const row = new Adw.ActionRow({
-            title: 'Discharging Threshold',
-            subtitle: 'Show indicator when battery is below this percentage',
+            title: _('Discharging Threshold'),
+            subtitle: _('Show indicator when battery is below this percentage'),
         });
 
         const scale = this._createThresholdScale(
@@ -148,4 +600,1601 @@ export default class BatteryIconPreferences extends ExtensionPreferences {
         row.activatable_widget = scale;
         group.add(row);
     }
+
+    /**
+     * Create the per-state visibility preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createStateGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Visibility by State'),
+            description: _('When to show the battery indicator in each power state'),
+        });
+    }
+
+    /**
+     * Add a visibility rule row for a power state
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @param {string} state - Power state name
+     * @param {string} title - Power state title
+     * @private
+     */
+    _addStateRuleRow(group, settings, state, title) {
+        const row = new Adw.ComboRow({
+            title,
+            model: Gtk.StringList.new(STATE_RULES.map(rule => _(rule.title))),
+        });
+
+        const rules = settings.get_value(STATE_VISIBILITY_KEY).deepUnpack();
+        row.selected = Math.max(0,
+            STATE_RULES.findIndex(rule => rule.name === rules[state]));
+
+        // Bind selection to the per-state rules dictionary
+        row.connect('notify::selected', () => {
+            const values = settings.get_value(STATE_VISIBILITY_KEY).deepUnpack();
+            values[state] = STATE_RULES[row.selected].name;
+            settings.set_value(STATE_VISIBILITY_KEY, new GLib.Variant('a{ss}', values));
+        });
+
+        group.add(row);
+    }
+
+    /**
+     * Create the visibility rules preferences group
+     *
+     * @returns {Adw.PreferencesGroup} The preferences group
+     * @private
+     */
+    _createVisibilityGroup() {
+        return new Adw.PreferencesGroup({
+            title: _('Visibility Rules'),
+            description: _('Keep the battery indicator from flickering, and show it at set times'),
+        });
+    }
+
+    /**
+     * Add hysteresis, timing and schedule rows with a preview
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addVisibilityRuleRows(group, settings) {
+        const preview = this._createVisibilityPreview(settings);
+        const previewRow = new Adw.PreferencesRow({activatable: false, child: preview});
+        group.add(previewRow);
+
+        const marginRow = Adw.SpinRow.new_with_range(0, HIDE_MARGIN_MAX, SLIDER_STEP);
+        marginRow.title = _('Hide Margin');
+        marginRow.subtitle = _('Once shown, hide only this many percent above the threshold');
+        settings.bind(HIDE_MARGIN_KEY, marginRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        group.add(marginRow);
+
+        const minimumRow = Adw.SpinRow.new_with_range(0, VISIBLE_TIME_MAX, VISIBLE_TIME_STEP);
+        minimumRow.title = _('Minimum Visible Time');
+        minimumRow.subtitle = _('Seconds the indicator stays once shown');
+        settings.bind(MINIMUM_VISIBLE_TIME_KEY, minimumRow, 'value',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(minimumRow);
+
+        const plugRow = Adw.SpinRow.new_with_range(0, VISIBLE_TIME_MAX, VISIBLE_TIME_STEP);
+        plugRow.title = _('Show After Plugging In or Out');
+        plugRow.subtitle = _('Seconds to show the indicator when the power source changes, ' +
+            '0 for never');
+        settings.bind(SHOW_AFTER_PLUG_TIME_KEY, plugRow, 'value',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(plugRow);
+
+        const scheduleRow = new Adw.SwitchRow({
+            title: _('Show on Schedule'),
+            subtitle: _('Always show the indicator at the times below'),
+        });
+        settings.bind(SCHEDULES_ENABLED_KEY, scheduleRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(scheduleRow);
+
+        const expander = new Adw.ExpanderRow({
+            title: _('Schedules'),
+            subtitle: _('Ending before the start runs past midnight, ' +
+                'ending at the start lasts all day'),
+        });
+
+        const readSchedules = () => settings.get_value(SCHEDULES_KEY).deepUnpack();
+        const writeSchedules = schedules => settings.set_value(SCHEDULES_KEY,
+            new GLib.Variant('a(iii)', schedules));
+
+        let rows = [];
+        const rebuild = () => {
+            rows.forEach(row => expander.remove(row));
+            rows = readSchedules().map((schedule, index) => this._createScheduleRow(
+                schedule,
+                newSchedule => {
+                    const schedules = readSchedules();
+                    schedules[index] = newSchedule;
+                    writeSchedules(schedules);
+                },
+                () => {
+                    const schedules = readSchedules();
+                    schedules.splice(index, 1);
+                    writeSchedules(schedules);
+                    rebuild();
+                }
+            ));
+            rows.forEach(row => expander.add_row(row));
+        };
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Schedule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => {
+            writeSchedules([...readSchedules(), NEW_SCHEDULE]);
+            rebuild();
+            expander.expanded = true;
+        });
+        expander.add_suffix(addButton);
+
+        scheduleRow.bind_property('active', expander, 'sensitive',
+                                  GObject.BindingFlags.SYNC_CREATE);
+
+        rebuild();
+        group.add(expander);
+
+        // Redraw the preview on any visibility change while it exists;
+        // pages are replaced after importing settings
+        let signalIds = [];
+        preview.connect('realize', () => {
+            signalIds = [CHARGING_KEY, DISCHARGING_KEY, STATE_VISIBILITY_KEY, FORCE_SHOW_KEY,
+                HIDE_MARGIN_KEY, MINIMUM_VISIBLE_TIME_KEY, SHOW_AFTER_PLUG_TIME_KEY,
+                SCHEDULES_ENABLED_KEY, SCHEDULES_KEY].map(key =>
+                settings.connect(`changed::${key}`, () => preview.queue_draw()));
+        });
+        preview.connect('unrealize', () => {
+            signalIds.forEach(signalId => settings.disconnect(signalId));
+            signalIds = [];
+        });
+    }
+
+    /**
+     * Create a drawing area previewing visibility over a battery cycle
+     *
+     * Plots the level of a simulated cycle starting now, discharging and
+     * then charging, and shades the times the indicator is shown.
+     *
+     * @param {Gio.Settings} settings - Settings object
+     * @returns {Gtk.DrawingArea} The preview widget
+     * @private
+     */
+    _createVisibilityPreview(settings) {
+        const area = new Gtk.DrawingArea({
+            content_height: VISIBILITY_PREVIEW_HEIGHT,
+            hexpand: true,
+            margin_top: PREVIEW_SPACING,
+            margin_bottom: PREVIEW_SPACING,
+            margin_start: PREVIEW_SPACING,
+            margin_end: PREVIEW_SPACING,
+            tooltip_text: _('A simulated battery cycle starting now: the line is the level, ' +
+                'shaded times show the indicator'),
+        });
+
+        area.set_draw_func((widget, context, width, height) => {
+            const samples = Visibility.simulateCycle(Visibility.readRules(settings));
+            const {red, green, blue} = widget.get_color();
+            const step = width / samples.length;
+            const levelY = percentage =>
+                height - percentage / Status.MAX_BATTERY_PERCENT * height;
+
+            context.setSourceRGBA(red, green, blue, VISIBILITY_PREVIEW_SHADE_ALPHA);
+            samples.forEach(({visible}, index) => {
+                if (visible) {
+                    context.rectangle(index * step, 0, step, height);
+                }
+            });
+            context.fill();
+
+            context.setSourceRGB(red, green, blue);
+            context.setLineWidth(VISIBILITY_PREVIEW_LINE_WIDTH);
+            samples.forEach(({percentage}, index) => {
+                context.lineTo((index + 0.5) * step, levelY(percentage));
+            });
+            context.stroke();
+        });
+
+        return area;
+    }
+
+    /**
+     * Create an editor row for a single schedule
+     *
+     * @param {Array} schedule - Schedule as [days, start, end]
+     * @param {Function} onChanged - Called with the edited schedule
+     * @param {Function} onRemoved - Called when the schedule is removed
+     * @returns {Adw.ActionRow} The schedule row
+     * @private
+     */
+    _createScheduleRow(schedule, onChanged, onRemoved) {
+        let [days, start, end] = schedule;
+
+        const row = new Adw.ActionRow({title: _('Schedule')});
+
+        const daysDropDown = Gtk.DropDown.new_from_strings(
+            SCHEDULE_DAYS.map(entry => _(entry.title)));
+        daysDropDown.selected = Math.max(0,
+            SCHEDULE_DAYS.findIndex(entry => entry.days === days));
+        daysDropDown.valign = Gtk.Align.CENTER;
+        daysDropDown.connect('notify::selected', () => {
+            days = SCHEDULE_DAYS[daysDropDown.selected].days;
+            onChanged([days, start, end]);
+        });
+
+        const createTimeDropDown = (minutes, tooltip, onSelected) => {
+            const dropDown = Gtk.DropDown.new_from_strings(SCHEDULE_TIMES.map(time =>
+                Locale.formatClock(Math.floor(time / 60), time % 60)));
+            dropDown.selected = Math.max(0, SCHEDULE_TIMES.indexOf(minutes));
+            dropDown.valign = Gtk.Align.CENTER;
+            dropDown.tooltip_text = tooltip;
+            dropDown.connect('notify::selected', () =>
+                onSelected(SCHEDULE_TIMES[dropDown.selected]));
+            return dropDown;
+        };
+
+        const startDropDown = createTimeDropDown(start, _('From'), time => {
+            start = time;
+            onChanged([days, start, end]);
+        });
+        const endDropDown = createTimeDropDown(end, _('Until'), time => {
+            end = time;
+            onChanged([days, start, end]);
+        });
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove Schedule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        removeButton.connect('clicked', onRemoved);
+
+        row.add_suffix(daysDropDown);
+        row.add_suffix(startDropDown);
+        row.add_suffix(endDropDown);
+        row.add_suffix(removeButton);
+        return row;
+    }
+
+    /**
+     * Add display mode selection row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addDisplayModeRow(group, settings) {
+        const row = new Adw.ComboRow({
+            title: _('Display Mode'),
+            subtitle: _('Show the percentage, the time until empty or full, or both in turn'),
+            model: Gtk.StringList.new(DISPLAY_MODES.map(mode => _(mode.title))),
+        });
+
+        const current = settings.get_string(DISPLAY_MODE_KEY);
+        row.selected = Math.max(0,
+            DISPLAY_MODES.findIndex(mode => mode.name === current));
+
+        // Bind selection to settings
+        row.connect('notify::selected', () => {
+            settings.set_string(DISPLAY_MODE_KEY, DISPLAY_MODES[row.selected].name);
+        });
+
+        group.add(row);
+    }
+
+    /**
+     * Add the multiple battery layout selection row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addBatteryLayoutRow(group, settings) {
+        const row = new Adw.ComboRow({
+            title: _('Multiple Batteries'),
+            subtitle: _('Show the combined level, a ring or lane per battery, or both'),
+            model: Gtk.StringList.new(BATTERY_LAYOUTS.map(layout => _(layout.title))),
+        });
+
+        const current = settings.get_string(BATTERY_LAYOUT_KEY);
+        row.selected = Math.max(0,
+            BATTERY_LAYOUTS.findIndex(layout => layout.name === current));
+
+        // Bind selection to settings
+        row.connect('notify::selected', () => {
+            settings.set_string(BATTERY_LAYOUT_KEY, BATTERY_LAYOUTS[row.selected].name);
+        });
+
+        group.add(row);
+    }
+
+    /**
+     * Add the power draw readout, averaging and color level rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addPowerDrawRows(group, settings) {
+        const readoutRow = new Adw.ComboRow({
+            title: _('Readout'),
+            subtitle: _('Show the power draw instead of the percentage or under it'),
+            model: Gtk.StringList.new(POWER_READOUTS.map(readout => _(readout.title))),
+        });
+        const current = settings.get_string(POWER_READOUT_KEY);
+        readoutRow.selected = Math.max(0,
+            POWER_READOUTS.findIndex(readout => readout.name === current));
+        group.add(readoutRow);
+
+        const dischargingRow = new Adw.SwitchRow({
+            title: _('Only While Discharging'),
+            subtitle: _('Hide the power draw while charging or full'),
+        });
+        settings.bind(POWER_READOUT_DISCHARGING_ONLY_KEY, dischargingRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(dischargingRow);
+
+        const spinRows = [
+            [POWER_AVERAGE_WINDOW_KEY, 0, POWER_AVERAGE_WINDOW_MAX, POWER_AVERAGE_WINDOW_STEP,
+                _('Averaging Window'), _('Seconds to average the power draw over, 0 for none')],
+            [POWER_DRAW_LOW_KEY, 0, POWER_DRAW_MAX, SLIDER_STEP,
+                _('Low Draw'), _('Watts colored as a full battery')],
+            [POWER_DRAW_HIGH_KEY, 1, POWER_DRAW_MAX, SLIDER_STEP,
+                _('High Draw'), _('Watts colored as an empty battery')],
+        ].map(([key, min, max, step, title, subtitle]) => {
+            const row = Adw.SpinRow.new_with_range(min, max, step);
+            row.title = title;
+            row.subtitle = subtitle;
+            settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+            group.add(row);
+            return row;
+        });
+
+        // The other rows only apply while the readout shows
+        const syncSensitive = () => {
+            const shown = POWER_READOUTS[readoutRow.selected].name !== 'off';
+            for (const row of [dischargingRow, ...spinRows]) {
+                row.sensitive = shown;
+            }
+        };
+        readoutRow.connect('notify::selected', () => {
+            settings.set_string(POWER_READOUT_KEY, POWER_READOUTS[readoutRow.selected].name);
+            syncSensitive();
+        });
+        syncSensitive();
+    }
+
+    /**
+     * Add the panel box, position and stock icon rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addPanelRows(group, settings) {
+        const createComboRow = (key, entries, title, subtitle) => {
+            const row = new Adw.ComboRow({
+                title,
+                subtitle,
+                model: Gtk.StringList.new(entries.map(entry => _(entry.title))),
+            });
+
+            const current = settings.get_string(key);
+            row.selected = Math.max(0, entries.findIndex(entry => entry.name === current));
+            row.connect('notify::selected', () => {
+                settings.set_string(key, entries[row.selected].name);
+            });
+            return row;
+        };
+
+        group.add(createComboRow(PANEL_BOX_KEY, PANEL_BOXES,
+            _('Panel Box'), _('Part of the top panel the indicators are placed in')));
+
+        const positionRow = Adw.SpinRow.new_with_range(-1, PANEL_POSITION_MAX, SLIDER_STEP);
+        positionRow.title = _('Position');
+        positionRow.subtitle = _('Index in the panel box from 0, or -1 for next to the ' +
+            'battery icon on the right and last elsewhere');
+        settings.bind(PANEL_POSITION_KEY, positionRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        group.add(positionRow);
+
+        group.add(createComboRow(STOCK_ICON_MODE_KEY, STOCK_ICON_MODES,
+            _('Stock Battery Icon'), _('Replace the battery icon of the shell, keep it, ' +
+                'or keep only its percentage')));
+    }
+
+    /**
+     * Add the lock screen indicator, display mode and peripheral rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addLockScreenRows(group, settings) {
+        const indicatorRow = new Adw.SwitchRow({
+            title: _('Show on Lock Screen'),
+            subtitle: _('Keep the battery indicator while the screen is locked'),
+        });
+        settings.bind(LOCK_SCREEN_INDICATOR_KEY, indicatorRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(indicatorRow);
+
+        const modeRow = new Adw.ComboRow({
+            title: _('Display Mode'),
+            subtitle: _('What the indicator shows on the lock screen'),
+            model: Gtk.StringList.new(DISPLAY_MODES.map(mode => _(mode.title))),
+        });
+        const current = settings.get_string(LOCK_SCREEN_DISPLAY_MODE_KEY);
+        modeRow.selected = Math.max(0,
+            DISPLAY_MODES.findIndex(mode => mode.name === current));
+        modeRow.connect('notify::selected', () => {
+            settings.set_string(LOCK_SCREEN_DISPLAY_MODE_KEY,
+                                DISPLAY_MODES[modeRow.selected].name);
+        });
+        group.add(modeRow);
+
+        const peripheralsRow = new Adw.SwitchRow({
+            title: _('Peripherals'),
+            subtitle: _('Also show the enabled peripherals on the lock screen'),
+        });
+        settings.bind(LOCK_SCREEN_PERIPHERALS_KEY, peripheralsRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(peripheralsRow);
+
+        for (const row of [modeRow, peripheralsRow]) {
+            indicatorRow.bind_property('active', row, 'sensitive',
+                                       GObject.BindingFlags.SYNC_CREATE);
+        }
+    }
+
+    /**
+     * Add the always-show switch row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addForceShowRow(group, settings) {
+        const row = new Adw.SwitchRow({
+            title: _('Always Show'),
+            subtitle: _('Ignore the thresholds, also available from Quick Settings'),
+        });
+        settings.bind(FORCE_SHOW_KEY, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+    }
+
+    /**
+     * Add a peripheral kind row with an enable switch and threshold
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @param {Object} kind - Peripheral kind
+     * @param {string} kind.name - Kind name used in settings
+     * @param {string} kind.title - Display title
+     * @private
+     */
+    _addPeripheralRow(group, settings, kind) {
+        const expander = new Adw.ExpanderRow({
+            title: _(kind.title),
+            show_enable_switch: true,
+            enable_expansion: settings.get_strv(PERIPHERAL_KINDS_KEY)
+                .includes(kind.name),
+        });
+
+        // Keep the enabled kinds list in sync with the switch
+        expander.connect('notify::enable-expansion', () => {
+            const kinds = settings.get_strv(PERIPHERAL_KINDS_KEY)
+                .filter(name => name !== kind.name);
+
+            if (expander.enable_expansion) {
+                kinds.push(kind.name);
+            }
+            settings.set_strv(PERIPHERAL_KINDS_KEY, kinds);
+        });
+
+        const row = new Adw.ActionRow({
+            title: _('Threshold'),
+            subtitle: _('Show indicator when the device is below this percentage'),
+        });
+
+        const thresholds = settings.get_value(PERIPHERAL_THRESHOLDS_KEY)
+            .deepUnpack();
+        const scale = this._createThresholdScale(
+            thresholds[kind.name] ?? DEFAULT_PERIPHERAL_THRESHOLD
+        );
+
+        // Bind scale to the per-kind thresholds dictionary
+        scale.connect('value-changed', () => {
+            const values = settings.get_value(PERIPHERAL_THRESHOLDS_KEY)
+                .deepUnpack();
+            values[kind.name] = Math.round(scale.get_value());
+            settings.set_value(PERIPHERAL_THRESHOLDS_KEY,
+                new GLib.Variant('a{si}', values));
+        });
+
+        row.add_suffix(scale);
+        row.activatable_widget = scale;
+        expander.add_row(row);
+        group.add(expander);
+    }
+
+    /**
+     * Add preview, shape and color controls
+     *
+     * @param {Adw.PreferencesPage} page - The preferences page
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addAppearanceControls(page, settings) {
+        const previewGroup = new Adw.PreferencesGroup({
+            title: _('Preview'),
+            description: _('The indicator at different battery levels'),
+        });
+        const preview = this._createPreview(settings);
+        previewGroup.add(preview);
+        page.add(previewGroup);
+
+        const shapeGroup = new Adw.PreferencesGroup({
+            title: _('Shape'),
+            description: _('Configure how the battery level is drawn'),
+        });
+        page.add(shapeGroup);
+        this._addStyleRows(shapeGroup, settings);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Colors'),
+            description: _('Configure how the battery level is colored'),
+        });
+        page.add(group);
+
+        const schemeRow = this._addColorSchemeRow(group, settings);
+        const stopsRow = this._addColorStopsRow(group, settings);
+        this._addChargingColorRow(group, settings);
+
+        // The gradient editor only applies to the custom scheme
+        const syncStopsRow = () => {
+            stopsRow.sensitive =
+                settings.get_string(COLOR_SCHEME_KEY) === Colors.SCHEME_CUSTOM;
+        };
+        syncStopsRow();
+        schemeRow.connect('notify::selected', syncStopsRow);
+
+        const animationGroup = new Adw.PreferencesGroup({
+            title: _('Animations'),
+            description: _('Animations run only while the shell animates, and stop while ' +
+                'the indicator is hidden'),
+        });
+        page.add(animationGroup);
+        this._addAnimationRows(animationGroup, settings);
+
+        const accessibilityGroup = new Adw.PreferencesGroup({
+            title: _('Accessibility'),
+            description: _('Screen readers always read the level, state and time'),
+        });
+        page.add(accessibilityGroup);
+        this._addHighVisibilityRow(accessibilityGroup, settings);
+
+        // Redraw the preview on any appearance change while it exists;
+        // pages are replaced after importing settings
+        let signalIds = [];
+        preview.connect('realize', () => {
+            signalIds = [INDICATOR_STYLE_KEY, STYLE_OPTIONS_KEY,
+                COLOR_SCHEME_KEY, COLOR_STOPS_KEY,
+                USE_CHARGING_COLOR_KEY, CHARGING_COLOR_KEY].map(key =>
+                settings.connect(`changed::${key}`, () => preview.queue_draw()));
+        });
+        preview.connect('unrealize', () => {
+            signalIds.forEach(signalId => settings.disconnect(signalId));
+            signalIds = [];
+        });
+    }
+
+    /**
+     * Create a drawing area previewing the indicator at several levels
+     *
+     * The last indicator is drawn charging.
+     *
+     * @param {Gio.Settings} settings - Settings object
+     * @returns {Gtk.DrawingArea} The preview widget
+     * @private
+     */
+    _createPreview(settings) {
+        const count = PREVIEW_LEVELS.length;
+        const area = new Gtk.DrawingArea({
+            content_width: count * PREVIEW_RING_SIZE + (count - 1) * PREVIEW_SPACING,
+            content_height: PREVIEW_RING_SIZE,
+            halign: Gtk.Align.CENTER,
+        });
+
+        area.set_draw_func((widget, context) => {
+            const stops = Colors.getSchemeStops(
+                settings.get_string(COLOR_SCHEME_KEY),
+                settings.get_value(COLOR_STOPS_KEY).deepUnpack());
+            const chargingColor = settings.get_boolean(USE_CHARGING_COLOR_KEY)
+                ? Colors.parseColor(settings.get_string(CHARGING_COLOR_KEY))
+                : null;
+            const style = settings.get_string(INDICATOR_STYLE_KEY);
+            const options = Renderers.getStyleOptions(style,
+                settings.get_value(STYLE_OPTIONS_KEY).recursiveUnpack());
+            const renderer = Renderers.getRenderer(style);
+            const {red, green, blue} = widget.get_color();
+            const size = PREVIEW_RING_SIZE;
+
+            PREVIEW_LEVELS.forEach((percentage, index) => {
+                const isCharging = index === count - 1;
+                let color = stops.length > 0
+                    ? Colors.colorForPercentage(stops, percentage)
+                    : [red, green, blue];
+                if (isCharging && chargingColor) {
+                    color = chargingColor;
+                }
+
+                context.save();
+                context.translate(index * (size + PREVIEW_SPACING), 0);
+                context.setSourceRGB(...color);
+                Renderers.drawShape(context, style, size, size, percentage, options);
+
+                if (options[Renderers.OPTION_SHOW_TEXT]) {
+                    const text = isCharging
+                        ? `${Locale.formatNumber(percentage)}+`
+                        : Locale.formatNumber(percentage);
+                    const contentArea = renderer.getContentArea(size, size, options);
+                    const drawText = () => {
+                        context.selectFontFace('Sans', Cairo.FontSlant.NORMAL,
+                                               Cairo.FontWeight.BOLD);
+                        context.setFontSize(size * PREVIEW_FONT_SIZE_RATIO);
+                        const extents = context.textExtents(text);
+                        context.moveTo(contentArea.centerX - extents.width / 2,
+                                       contentArea.centerY + extents.height / 2);
+                        context.showText(text);
+                        context.newPath();
+                    };
+
+                    // Knock the text out of the filled level, like the indicator
+                    drawText();
+                    renderer.fillPath(context, size, size, percentage, options);
+                    context.clip();
+                    context.setOperator(Cairo.Operator.DEST_OUT);
+                    drawText();
+                }
+                context.restore();
+            });
+        });
+
+        return area;
+    }
+
+    /**
+     * Add the indicator style row and the options of the selected style
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addStyleRows(group, settings) {
+        const styleRow = new Adw.ComboRow({
+            title: _('Style'),
+            subtitle: _('Options below apply to the selected style'),
+            model: Gtk.StringList.new(INDICATOR_STYLES.map(style => _(style.title))),
+        });
+        const current = settings.get_string(INDICATOR_STYLE_KEY);
+        styleRow.selected = Math.max(0,
+            INDICATOR_STYLES.findIndex(style => style.name === current));
+        group.add(styleRow);
+
+        const thicknessRow = Adw.SpinRow.new_with_range(THICKNESS_MIN, THICKNESS_MAX, 1);
+        thicknessRow.title = _('Thickness');
+        thicknessRow.subtitle = _('Width of the ring, outline or bar, in percent');
+
+        const angleRow = Adw.SpinRow.new_with_range(0, START_ANGLE_MAX, START_ANGLE_STEP);
+        angleRow.title = _('Start Angle');
+        angleRow.subtitle = _('Degrees clockwise from the top');
+
+        const clockwiseRow = new Adw.SwitchRow({
+            title: _('Clockwise'),
+            subtitle: _('Fill clockwise, or left to right for the bar'),
+        });
+
+        const textRow = new Adw.SwitchRow({
+            title: _('Show Text'),
+            subtitle: _('Draw the percentage or time on the indicator'),
+        });
+
+        const optionRows = [
+            [Renderers.OPTION_THICKNESS, thicknessRow, 'value'],
+            [Renderers.OPTION_START_ANGLE, angleRow, 'value'],
+            [Renderers.OPTION_CLOCKWISE, clockwiseRow, 'active'],
+            [Renderers.OPTION_SHOW_TEXT, textRow, 'active'],
+        ];
+
+        // Show the options of the selected style with its current values
+        let syncing = false;
+        const syncRows = () => {
+            const style = INDICATOR_STYLES[styleRow.selected].name;
+            const options = Renderers.getStyleOptions(style,
+                settings.get_value(STYLE_OPTIONS_KEY).recursiveUnpack());
+
+            syncing = true;
+            for (const [name, row, property] of optionRows) {
+                row.visible = name in options;
+                if (row.visible) {
+                    row[property] = options[name];
+                }
+            }
+            syncing = false;
+        };
+
+        styleRow.connect('notify::selected', () => {
+            settings.set_string(INDICATOR_STYLE_KEY,
+                                INDICATOR_STYLES[styleRow.selected].name);
+            syncRows();
+        });
+
+        for (const [name, row, property] of optionRows) {
+            row.connect(`notify::${property}`, () => {
+                if (!syncing) {
+                    this._writeStyleOption(settings,
+                        INDICATOR_STYLES[styleRow.selected].name, name, row[property]);
+                }
+            });
+            group.add(row);
+        }
+
+        syncRows();
+    }
+
+    /**
+     * Store one option of a style, keeping the other stored options
+     *
+     * @param {Gio.Settings} settings - Settings object
+     * @param {string} style - Style name
+     * @param {string} name - Option name
+     * @param {number|boolean} value - Option value
+     * @private
+     */
+    _writeStyleOption(settings, style, name, value) {
+        const stored = settings.get_value(STYLE_OPTIONS_KEY).recursiveUnpack();
+        stored[style] = {...stored[style], [name]: value};
+
+        const packed = {};
+        for (const [styleName, options] of Object.entries(stored)) {
+            packed[styleName] = {};
+            for (const [optionName, optionValue] of Object.entries(options)) {
+                packed[styleName][optionName] = typeof optionValue === 'boolean'
+                    ? new GLib.Variant('b', optionValue)
+                    : new GLib.Variant('i', Math.round(optionValue));
+            }
+        }
+
+        settings.set_value(STYLE_OPTIONS_KEY, new GLib.Variant('a{sa{sv}}', packed));
+    }
+
+    /**
+     * Add color scheme selection row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @returns {Adw.ComboRow} The added row
+     * @private
+     */
+    _addColorSchemeRow(group, settings) {
+        const row = new Adw.ComboRow({
+            title: _('Color Scheme'),
+            subtitle: _('Monochrome follows the shell text color'),
+            model: Gtk.StringList.new(COLOR_SCHEMES.map(scheme => _(scheme.title))),
+        });
+
+        const current = settings.get_string(COLOR_SCHEME_KEY);
+        row.selected = Math.max(0,
+            COLOR_SCHEMES.findIndex(scheme => scheme.name === current));
+
+        // Bind selection to settings
+        row.connect('notify::selected', () => {
+            settings.set_string(COLOR_SCHEME_KEY, COLOR_SCHEMES[row.selected].name);
+        });
+
+        group.add(row);
+        return row;
+    }
+
+    /**
+     * Create a color button showing a hex color
+     *
+     * @param {string} color - Initial '#rrggbb' color
+     * @param {Function} onChanged - Called with the new '#rrggbb' color
+     * @returns {Gtk.ColorDialogButton} The color button
+     * @private
+     */
+    _createColorButton(color, onChanged) {
+        const rgba = new Gdk.RGBA();
+        rgba.parse(color);
+
+        const button = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({with_alpha: false}),
+            rgba,
+            valign: Gtk.Align.CENTER,
+        });
+
+        button.connect('notify::rgba', () => {
+            const {red, green, blue} = button.rgba;
+            onChanged(Colors.toHexColor([red, green, blue]));
+        });
+
+        return button;
+    }
+
+    /**
+     * Add the gradient stop editor of the custom color scheme
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @returns {Adw.ExpanderRow} The added row
+     * @private
+     */
+    _addColorStopsRow(group, settings) {
+        const expander = new Adw.ExpanderRow({
+            title: _('Gradient Stops'),
+            subtitle: _('Colors of the custom scheme at given percentages'),
+        });
+
+        const readStops = () => settings.get_value(COLOR_STOPS_KEY).deepUnpack();
+        const writeStops = stops => settings.set_value(COLOR_STOPS_KEY,
+            new GLib.Variant('a(is)', stops));
+
+        let rows = [];
+        const rebuild = () => {
+            rows.forEach(row => expander.remove(row));
+            rows = readStops().map((stop, index) => this._createColorStopRow(
+                stop,
+                newStop => {
+                    const stops = readStops();
+                    stops[index] = newStop;
+                    writeStops(stops);
+                },
+                () => {
+                    const stops = readStops();
+                    stops.splice(index, 1);
+                    writeStops(stops);
+                    rebuild();
+                }
+            ));
+            rows.forEach(row => expander.add_row(row));
+        };
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Stop'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => {
+            writeStops([...readStops(), NEW_STOP]);
+            rebuild();
+            expander.expanded = true;
+        });
+        expander.add_suffix(addButton);
+
+        rebuild();
+        group.add(expander);
+        return expander;
+    }
+
+    /**
+     * Create an editor row for a single gradient stop
+     *
+     * @param {Array} stop - Stop as [percentage, '#rrggbb']
+     * @param {Function} onChanged - Called with the edited stop
+     * @param {Function} onRemoved - Called when the stop is removed
+     * @returns {Adw.ActionRow} The stop row
+     * @private
+     */
+    _createColorStopRow(stop, onChanged, onRemoved) {
+        let [percentage, color] = stop;
+
+        const row = new Adw.ActionRow({title: _('Stop')});
+
+        const spin = Gtk.SpinButton.new_with_range(SLIDER_MIN, SLIDER_MAX, SLIDER_STEP);
+        spin.value = percentage;
+        spin.valign = Gtk.Align.CENTER;
+        spin.connect('value-changed', () => {
+            percentage = spin.get_value_as_int();
+            onChanged([percentage, color]);
+        });
+
+        const colorButton = this._createColorButton(color, newColor => {
+            color = newColor;
+            onChanged([percentage, color]);
+        });
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove Stop'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        removeButton.connect('clicked', onRemoved);
+
+        row.add_suffix(spin);
+        row.add_suffix(colorButton);
+        row.add_suffix(removeButton);
+        return row;
+    }
+
+    /**
+     * Add the profile badge switch and the automatic switching rules
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addPowerProfileRows(group, settings) {
+        const badgeRow = new Adw.SwitchRow({
+            title: _('Profile Badge'),
+            subtitle: _('Mark power saver green and performance orange on the indicator'),
+        });
+        settings.bind(PROFILE_BADGE_KEY, badgeRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(badgeRow);
+
+        const switchRow = new Adw.SwitchRow({
+            title: _('Switch Automatically'),
+            subtitle: _('Follow the first matching rule, then restore the previous profile'),
+        });
+        settings.bind(PROFILE_RULES_ENABLED_KEY, switchRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(switchRow);
+
+        const expander = new Adw.ExpanderRow({
+            title: _('Profile Rules'),
+            subtitle: _('Profile to use by power source, below a level or at any level if 0'),
+        });
+
+        const readRules = () => settings.get_value(PROFILE_RULES_KEY).deepUnpack();
+        const writeRules = rules => settings.set_value(PROFILE_RULES_KEY,
+            new GLib.Variant('a(sis)', rules));
+
+        let rows = [];
+        const rebuild = () => {
+            rows.forEach(row => expander.remove(row));
+            rows = readRules().map((rule, index) => this._createProfileRuleRow(
+                rule,
+                newRule => {
+                    const rules = readRules();
+                    rules[index] = newRule;
+                    writeRules(rules);
+                },
+                () => {
+                    const rules = readRules();
+                    rules.splice(index, 1);
+                    writeRules(rules);
+                    rebuild();
+                }
+            ));
+            rows.forEach(row => expander.add_row(row));
+        };
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Rule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => {
+            writeRules([...readRules(), NEW_PROFILE_RULE]);
+            rebuild();
+            expander.expanded = true;
+        });
+        expander.add_suffix(addButton);
+
+        switchRow.bind_property('active', expander, 'sensitive',
+                                GObject.BindingFlags.SYNC_CREATE);
+
+        rebuild();
+        group.add(expander);
+    }
+
+    /**
+     * Create an editor row for a single profile rule
+     *
+     * @param {Array} rule - Rule as [source, below, profile]
+     * @param {Function} onChanged - Called with the edited rule
+     * @param {Function} onRemoved - Called when the rule is removed
+     * @returns {Adw.ActionRow} The rule row
+     * @private
+     */
+    _createProfileRuleRow(rule, onChanged, onRemoved) {
+        let [source, below, profile] = rule;
+
+        const row = new Adw.ActionRow({title: _('Rule')});
+
+        const sourceDropDown = Gtk.DropDown.new_from_strings(
+            PROFILE_SOURCES.map(entry => _(entry.title)));
+        sourceDropDown.selected = Math.max(0,
+            PROFILE_SOURCES.findIndex(entry => entry.name === source));
+        sourceDropDown.valign = Gtk.Align.CENTER;
+        sourceDropDown.connect('notify::selected', () => {
+            source = PROFILE_SOURCES[sourceDropDown.selected].name;
+            onChanged([source, below, profile]);
+        });
+
+        const spin = Gtk.SpinButton.new_with_range(SLIDER_MIN, SLIDER_MAX, SLIDER_STEP);
+        spin.value = below;
+        spin.valign = Gtk.Align.CENTER;
+        spin.tooltip_text = _('Below this percentage, 0 for any level');
+        spin.connect('value-changed', () => {
+            below = spin.get_value_as_int();
+            onChanged([source, below, profile]);
+        });
+
+        const profileDropDown = Gtk.DropDown.new_from_strings(
+            POWER_PROFILES.map(entry => _(entry.title)));
+        profileDropDown.selected = Math.max(0,
+            POWER_PROFILES.findIndex(entry => entry.name === profile));
+        profileDropDown.valign = Gtk.Align.CENTER;
+        profileDropDown.connect('notify::selected', () => {
+            profile = POWER_PROFILES[profileDropDown.selected].name;
+            onChanged([source, below, profile]);
+        });
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove Rule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        removeButton.connect('clicked', onRemoved);
+
+        row.add_suffix(sourceDropDown);
+        row.add_suffix(spin);
+        row.add_suffix(profileDropDown);
+        row.add_suffix(removeButton);
+        return row;
+    }
+
+    /**
+     * Add the level transition, charging pulse and critical blink rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addAnimationRows(group, settings) {
+        const [, , blinkRow] = [
+            [ANIMATE_LEVEL_KEY, _('Smooth Level Changes'),
+                _('Move to a new level instead of jumping')],
+            [CHARGING_PULSE_KEY, _('Pulse While Charging'),
+                _('Slowly fade the level in and out')],
+            [CRITICAL_BLINK_KEY, _('Blink When Critical'),
+                _('Blink the level while discharging at the critical level')],
+        ].map(([key, title, subtitle]) => {
+            const row = new Adw.SwitchRow({title, subtitle});
+            settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+            group.add(row);
+            return row;
+        });
+
+        const levelRow = Adw.SpinRow.new_with_range(CRITICAL_LEVEL_MIN, CRITICAL_LEVEL_MAX,
+                                                    SLIDER_STEP);
+        levelRow.title = _('Critical Level');
+        levelRow.subtitle = _('Blink at or below this percentage');
+        settings.bind(CRITICAL_LEVEL_KEY, levelRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        blinkRow.bind_property('active', levelRow, 'sensitive',
+                               GObject.BindingFlags.SYNC_CREATE);
+        group.add(levelRow);
+    }
+
+    /**
+     * Add the high visibility mode row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addHighVisibilityRow(group, settings) {
+        const row = new Adw.ComboRow({
+            title: _('High Visibility'),
+            subtitle: _('Thicker shapes, outlined text, and low levels hatched so they ' +
+                'do not rely on color alone'),
+            model: Gtk.StringList.new(HIGH_VISIBILITY_MODES.map(mode => _(mode.title))),
+        });
+
+        const current = settings.get_string(HIGH_VISIBILITY_KEY);
+        row.selected = Math.max(0, HIGH_VISIBILITY_MODES.findIndex(mode => mode.name === current));
+        row.connect('notify::selected', () => {
+            settings.set_string(HIGH_VISIBILITY_KEY, HIGH_VISIBILITY_MODES[row.selected].name);
+        });
+        group.add(row);
+    }
+
+    /**
+     * Add the charging color row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addChargingColorRow(group, settings) {
+        const row = new Adw.ActionRow({
+            title: _('Charging Color'),
+            subtitle: _('Use a separate color while charging'),
+        });
+
+        const toggle = new Gtk.Switch({
+            active: settings.get_boolean(USE_CHARGING_COLOR_KEY),
+            valign: Gtk.Align.CENTER,
+        });
+        toggle.connect('notify::active', () => {
+            settings.set_boolean(USE_CHARGING_COLOR_KEY, toggle.active);
+        });
+
+        const colorButton = this._createColorButton(
+            settings.get_string(CHARGING_COLOR_KEY),
+            color => settings.set_string(CHARGING_COLOR_KEY, color)
+        );
+        toggle.bind_property('active', colorButton, 'sensitive',
+                             GObject.BindingFlags.SYNC_CREATE);
+
+        row.add_suffix(colorButton);
+        row.add_suffix(toggle);
+        row.activatable_widget = toggle;
+        group.add(row);
+    }
+
+    /**
+     * Add low battery alert switch and level list
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addLowBatteryRows(group, settings) {
+        const switchRow = new Adw.SwitchRow({
+            title: _('Low Battery Alerts'),
+            subtitle: _('Notify when the battery drops to one of the levels below'),
+        });
+        settings.bind(NOTIFY_LOW_BATTERY_KEY, switchRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(switchRow);
+
+        const levelsRow = new Adw.EntryRow({
+            title: _('Alert Levels (percent, comma separated)'),
+            text: settings.get_value(NOTIFY_LOW_LEVELS_KEY).deepUnpack().join(', '),
+            show_apply_button: true,
+        });
+        switchRow.bind_property('active', levelsRow, 'sensitive',
+                                GObject.BindingFlags.SYNC_CREATE);
+
+        // Only valid lists are stored; invalid input is flagged
+        levelsRow.connect('apply', () => {
+            const levels = this._parseLevels(levelsRow.text);
+
+            if (!levels) {
+                levelsRow.add_css_class('error');
+                return;
+            }
+
+            levelsRow.remove_css_class('error');
+            levelsRow.text = levels.join(', ');
+            settings.set_value(NOTIFY_LOW_LEVELS_KEY,
+                new GLib.Variant('ai', levels));
+        });
+        levelsRow.connect('changed', () => levelsRow.remove_css_class('error'));
+
+        group.add(levelsRow);
+    }
+
+    /**
+     * Parse a comma separated list of percentages
+     *
+     * @param {string} text - User input
+     * @returns {number[]|null} Unique levels, highest first, or null if invalid
+     * @private
+     */
+    _parseLevels(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(part => part);
+        const levels = parts.map(Number);
+
+        if (levels.some(level => !Number.isInteger(level) ||
+                                 level < 1 || level > SLIDER_MAX)) {
+            return null;
+        }
+
+        return [...new Set(levels)].sort((a, b) => b - a);
+    }
+
+    /**
+     * Add charge limit alert switch and level
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addChargeLimitRows(group, settings) {
+        const switchRow = new Adw.SwitchRow({
+            title: _('Charge Limit Alert'),
+            subtitle: _('Notify to unplug the charger when charging reaches a level'),
+        });
+        settings.bind(NOTIFY_CHARGE_LIMIT_KEY, switchRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(switchRow);
+
+        const row = new Adw.ActionRow({
+            title: _('Charge Limit'),
+            subtitle: _('Notify when charging reaches this percentage'),
+        });
+
+        const scale = this._createThresholdScale(
+            settings.get_int(NOTIFY_CHARGE_LIMIT_LEVEL_KEY)
+        );
+        scale.adjustment.lower = 1;
+
+        // Bind scale to settings
+        scale.connect('value-changed', () => {
+            const value = Math.round(scale.get_value());
+            settings.set_int(NOTIFY_CHARGE_LIMIT_LEVEL_KEY, value);
+        });
+
+        switchRow.bind_property('active', row, 'sensitive',
+                                GObject.BindingFlags.SYNC_CREATE);
+
+        row.add_suffix(scale);
+        row.activatable_widget = scale;
+        group.add(row);
+    }
+
+    /**
+     * Add the alert repeat interval row
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addRepeatIntervalRow(group, settings) {
+        const row = Adw.SpinRow.new_with_range(0, REPEAT_INTERVAL_MAX, 1);
+        row.title = _('Repeat Interval');
+        row.subtitle = _('Minutes between repeats of an active alert, 0 to never repeat');
+
+        settings.bind(NOTIFY_REPEAT_INTERVAL_KEY, row, 'value',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+    }
+
+    /**
+     * Find a laptop battery whose thresholds UPower manages
+     *
+     * @returns {UPowerGlib.Device|null} Battery or null if unsupported
+     * @private
+     */
+    _findUPowerThresholdBattery() {
+        try {
+            return new ChargeLimitController(UPowerGlib.Client.new()).getUPowerBattery();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Add charge limit switch and threshold rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addChargeLimitControlRows(group, settings) {
+        const switchRow = new Adw.SwitchRow({
+            title: _('Limit Charging'),
+            subtitle: _('The indicator marks the limit in effect'),
+        });
+        settings.bind(CHARGE_LIMIT_ENABLED_KEY, switchRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        group.add(switchRow);
+
+        const startRow = Adw.SpinRow.new_with_range(SLIDER_MIN, SLIDER_MAX - 1, SLIDER_STEP);
+        startRow.title = _('Start Charging Below');
+        settings.bind(CHARGE_LIMIT_START_KEY, startRow, 'value',
+                      Gio.SettingsBindFlags.DEFAULT);
+
+        const endRow = Adw.SpinRow.new_with_range(SLIDER_MIN + 1, SLIDER_MAX, SLIDER_STEP);
+        endRow.title = _('Stop Charging At');
+        settings.bind(CHARGE_LIMIT_END_KEY, endRow, 'value',
+                      Gio.SettingsBindFlags.DEFAULT);
+
+        // Keep start below end
+        startRow.connect('notify::value', () => {
+            if (startRow.value >= endRow.value) {
+                endRow.value = startRow.value + 1;
+            }
+        });
+        endRow.connect('notify::value', () => {
+            if (startRow.value >= endRow.value) {
+                startRow.value = endRow.value - 1;
+            }
+        });
+
+        // Show UPower's own thresholds next to the configured ones, which
+        // the rows keep editing
+        const battery = this._findUPowerThresholdBattery();
+        if (battery) {
+            startRow.subtitle = _('UPower’s threshold: %s')
+                .format(Locale.formatPercent(battery.charge_start_threshold));
+            endRow.subtitle = _('UPower’s threshold: %s')
+                .format(Locale.formatPercent(battery.charge_end_threshold));
+        }
+
+        for (const row of [startRow, endRow]) {
+            switchRow.bind_property('active', row, 'sensitive',
+                                    GObject.BindingFlags.SYNC_CREATE);
+            group.add(row);
+        }
+    }
+
+    /**
+     * Add the export and import rows
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addSettingsFileRows(group, window, settings) {
+        const rows = [
+            [_('Export Settings…'), 'document-save-symbolic',
+                () => this._exportSettings(window, settings)],
+            [_('Import Settings…'), 'document-open-symbolic',
+                () => this._importSettings(window, settings)],
+        ];
+
+        for (const [title, iconName, onClicked] of rows) {
+            const button = new Gtk.Button({
+                icon_name: iconName,
+                tooltip_text: title,
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            button.connect('clicked', onClicked);
+
+            const row = new Adw.ActionRow({title});
+            row.add_suffix(button);
+            row.activatable_widget = button;
+            group.add(row);
+        }
+    }
+
+    /**
+     * Create a file dialog for settings files
+     *
+     * @param {string} title - Dialog title
+     * @returns {Gtk.FileDialog} The file dialog
+     * @private
+     */
+    _createSettingsFileDialog(title) {
+        const filter = new Gtk.FileFilter({name: _('JSON Files')});
+        filter.add_mime_type('application/json');
+
+        return new Gtk.FileDialog({
+            title,
+            initial_name: EXPORT_FILE_NAME,
+            default_filter: filter,
+        });
+    }
+
+    /**
+     * Ask for a file and write all settings to it
+     *
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    async _exportSettings(window, settings) {
+        try {
+            const file = await this._createSettingsFileDialog(_('Export Settings'))
+                .save(window, null);
+            await SettingsFile.exportSettings(settings, file);
+            window.add_toast(new Adw.Toast({
+                title: _('Settings exported to %s').format(file.get_basename()),
+            }));
+        } catch (error) {
+            if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                this._showSettingsFileError(window, _('Could Not Export Settings'), error);
+            }
+        }
+    }
+
+    /**
+     * Ask for a file and replace all settings with those in it
+     *
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    async _importSettings(window, settings) {
+        try {
+            const file = await this._createSettingsFileDialog(_('Import Settings'))
+                .open(window, null);
+            await SettingsFile.importSettings(settings, file);
+
+            // Not every row follows settings changes
+            this._addPages(window, settings);
+            window.add_toast(new Adw.Toast({
+                title: _('Settings imported from %s').format(file.get_basename()),
+            }));
+        } catch (error) {
+            if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                this._showSettingsFileError(window, _('Could Not Import Settings'), error);
+            }
+        }
+    }
+
+    /**
+     * Report a failed export or import
+     *
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} heading - What failed
+     * @param {Error} error - The error, listing every problem of a bad file
+     * @private
+     */
+    _showSettingsFileError(window, heading, error) {
+        console.warn(`[BatteryIcon] Settings file error: ${error.message}`);
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading,
+            body: this._describeSettingsFileError(error),
+        });
+        dialog.add_response('close', _('Close'));
+        dialog.present();
+    }
+
+    /**
+     * Explain a failed export or import in the user's language
+     *
+     * @param {Error} error - The error
+     * @returns {string} Translated description
+     * @private
+     */
+    _describeSettingsFileError(error) {
+        // File access errors come translated from GIO
+        if (error instanceof GLib.Error) {
+            return error.message;
+        }
+
+        switch (error.reason) {
+        case SettingsFile.ERROR_NOT_JSON:
+        case SettingsFile.ERROR_FOREIGN_FILE:
+            return _('The file is not a Battery Icon settings file.');
+        case SettingsFile.ERROR_UNSUPPORTED_VERSION:
+            return _('The file comes from an unsupported version of Battery Icon.');
+        case SettingsFile.ERROR_NO_SETTINGS:
+            return _('The file holds no settings.');
+        case SettingsFile.ERROR_INVALID_SETTINGS:
+            // Translators: %s is a list of settings keys
+            return _('The file holds invalid values for these settings: %s')
+                .format(error.keys.join(', '));
+        default:
+            return _('An unexpected error occurred. The system log has the details.');
+        }
+    }
+
+    /**
+     * Add the battery details, capacity history and lost capacity switch
+     *
+     * @param {Adw.PreferencesPage} page - The health page
+     * @param {Gio.Settings} settings - Settings object
+     * @private
+     */
+    _addHealthControls(page, settings) {
+        let battery = null;
+        try {
+            battery = Health.findLaptopBattery(UPowerGlib.Client.new());
+        } catch (error) {
+            console.warn(`[BatteryIcon] Cannot reach UPower: ${error.message}`);
+        }
+
+        const detailsGroup = new Adw.PreferencesGroup({
+            title: _('Battery'),
+            description: battery ? null : _('No laptop battery found'),
+        });
+        page.add(detailsGroup);
+
+        const indicatorGroup = new Adw.PreferencesGroup({title: _('Indicator')});
+        const lostRow = new Adw.SwitchRow({
+            title: _('Show Lost Capacity'),
+            subtitle: _('Gray out the worn capacity at the end of the scale'),
+        });
+        settings.bind(SHOW_LOST_CAPACITY_KEY, lostRow, 'active',
+                      Gio.SettingsBindFlags.DEFAULT);
+        indicatorGroup.add(lostRow);
+
+        if (!battery) {
+            page.add(indicatorGroup);
+            return;
+        }
+
+        const health = Health.readHealth(battery);
+        const formatPercent = value =>
+            value === null ? _('Unknown') : Locale.formatPercent(value, 1);
+        const formatEnergy = value => Locale.formatNumber(value, {fractionDigits: 1});
+        const details = [
+            [_('Vendor'), health.vendor || _('Unknown')],
+            [_('Model'), health.model || _('Unknown')],
+            [_('Technology'), _(health.technology)],
+            [_('Capacity'), formatPercent(health.capacity)],
+            [_('Wear'), formatPercent(health.wear)],
+            [_('Energy When Full'),
+                _('%s Wh of %s Wh').format(formatEnergy(health.energyFull),
+                                           formatEnergy(health.energyFullDesign))],
+            [_('Charge Cycles'),
+                health.cycles === null ? _('Unknown') : Locale.formatNumber(health.cycles)],
+        ];
+        for (const [title, value] of details) {
+            this._addDetailRow(detailsGroup, title, value);
+        }
+
+        const historyGroup = new Adw.PreferencesGroup({
+            title: _('Capacity History'),
+            description: _('Recorded daily while the extension runs, ' +
+                'in ~/.local/share/batteryIcon/capacity.json'),
+        });
+        page.add(historyGroup);
+        page.add(indicatorGroup);
+
+        const history = new Health.CapacityHistory();
+        history.load().then(() => {
+            this._addCapacityHistoryRows(historyGroup, history.getEntries(health.id));
+        });
+    }
+
+    /**
+     * Add a read-only row showing a value
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {string} title - Row title
+     * @param {string} value - Value shown at the end of the row
+     * @private
+     */
+    _addDetailRow(group, title, value) {
+        const row = new Adw.ActionRow({title});
+        row.add_suffix(new Gtk.Label({label: value, selectable: true}));
+        group.add(row);
+    }
+
+    /**
+     * Add one row per recent week of capacity history, newest first
+     *
+     * @param {Adw.PreferencesGroup} group - The preferences group
+     * @param {Object[]} entries - Capacity entries, oldest first
+     * @private
+     */
+    _addCapacityHistoryRows(group, entries) {
+        if (entries.length === 0) {
+            group.add(new Adw.ActionRow({title: _('No entries yet')}));
+            return;
+        }
+
+        // Keep the newest entry of each week
+        const weeks = new Map();
+        for (const entry of entries) {
+            weeks.set(Math.floor(entry.t / WEEK_SECONDS), entry);
+        }
+
+        const recent = [...weeks.values()].reverse().slice(0, CAPACITY_HISTORY_WEEKS);
+        for (const {t, c, n} of recent) {
+            const date = GLib.DateTime.new_from_unix_local(t).format('%x');
+            const cycles = n >= 0
+                ? `, ${ngettext('%s cycle', '%s cycles', n).format(Locale.formatNumber(n))}`
+                : '';
+            this._addDetailRow(group, date, `${Locale.formatPercent(c, 1)}${cycles}`);
+        }
+    }
 }
@@ -0,0 +1,219 @@
+// quickSettings.js — GNOME 48 (ESM)
+
+import Gio from 'gi://Gio';
+import GObject from 'gi://GObject';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import * as Locale from './locale.js';
+
+// Settings keys
+const FORCE_SHOW_KEY = 'force-show';
+const DISPLAY_MODE_KEY = 'display-mode';
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Display modes as named in settings, with their menu labels
+const DISPLAY_MODES = [
+    {name: 'percent', title: N_('Show Percentage')},
+    {name: 'time', title: N_('Show Time Remaining')},
+    {name: 'alternate', title: N_('Alternate Both')},
+];
+
+// Toggle icon until the first update
+const DEFAULT_ICON_NAME = 'battery-symbolic';
+
+/**
+ * BatteryMenuToggle - Quick Settings toggle for the battery indicator
+ *
+ * Checked, the indicator is always shown; unchecked, it follows the
+ * thresholds. The menu switches the display mode, lists the level and
+ * state of every battery and peripheral, and opens the preferences.
+ */
+const BatteryMenuToggle = GObject.registerClass(
+class BatteryMenuToggle extends QuickSettings.QuickMenuToggle {
+    /**
+     * Initialize the toggle
+     *
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Object} params - Callbacks into the extension
+     * @param {Function} params.listDevices - Returns the devices to list,
+     *   each {title, iconName, percentage, stateName}
+     * @param {Function} params.openPreferences - Opens the preferences window
+     */
+    _init(settings, {listDevices, openPreferences}) {
+        super._init({
+            title: _('Battery Icon'),
+            iconName: DEFAULT_ICON_NAME,
+            toggleMode: true,
+        });
+
+        this._settings = settings;
+        this._listDevices = listDevices;
+
+        this._settings.bind(FORCE_SHOW_KEY, this, 'checked',
+                            Gio.SettingsBindFlags.DEFAULT);
+
+        this.menu.setHeader(DEFAULT_ICON_NAME, _('Battery Icon'));
+
+        this._addDisplayModeItems();
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._devicesSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this._devicesSection);
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this.menu.addAction(_('Battery Icon Settings'), () => {
+            Main.panel.closeQuickSettings();
+            openPreferences();
+        });
+
+        this._signals = [
+            this._settings.connect(`changed::${FORCE_SHOW_KEY}`,
+                                   () => this._syncSubtitle()),
+            this._settings.connect(`changed::${DISPLAY_MODE_KEY}`,
+                                   () => this._syncDisplayMode()),
+        ];
+        this.menu.connect('open-state-changed', (menu, isOpen) => {
+            if (isOpen) {
+                this._syncDevices();
+            }
+        });
+
+        this._syncSubtitle();
+        this._syncDisplayMode();
+    }
+
+    /**
+     * Add one item per display mode
+     * @private
+     */
+    _addDisplayModeItems() {
+        this._displayModeItems = DISPLAY_MODES.map(({name, title}) => {
+            const item = new PopupMenu.PopupMenuItem(_(title));
+            item.connect('activate', () => {
+                this._settings.set_string(DISPLAY_MODE_KEY, name);
+            });
+            this.menu.addMenuItem(item);
+            return item;
+        });
+    }
+
+    /**
+     * Describe the visibility override in the subtitle
+     * @private
+     */
+    _syncSubtitle() {
+        this.subtitle = this._settings.get_boolean(FORCE_SHOW_KEY)
+            ? _('Always shown')
+            : _('Auto-hide');
+    }
+
+    /**
+     * Check the item of the current display mode
+     * @private
+     */
+    _syncDisplayMode() {
+        const current = this._settings.get_string(DISPLAY_MODE_KEY);
+
+        this._displayModeItems.forEach((item, index) => {
+            item.setOrnament(DISPLAY_MODES[index].name === current
+                ? PopupMenu.Ornament.CHECK
+                : PopupMenu.Ornament.NONE);
+        });
+    }
+
+    /**
+     * Rebuild the device list
+     * @private
+     */
+    _syncDevices() {
+        this._devicesSection.removeAll();
+
+        const devices = this._listDevices();
+        if (devices.length === 0) {
+            this._devicesSection.addMenuItem(
+                new PopupMenu.PopupMenuItem(_('No batteries found'), {reactive: false}));
+            return;
+        }
+
+        for (const {title, iconName, percentage, stateName} of devices) {
+            this._devicesSection.addMenuItem(new PopupMenu.PopupImageMenuItem(
+                // Translators: device name, level and power state
+                _('%s: %s, %s').format(title, Locale.formatPercent(percentage), stateName),
+                iconName, {reactive: false}));
+        }
+    }
+
+    /**
+     * Follow the main battery icon and refresh an open device list
+     *
+     * @param {string} iconName - Icon name of the display device
+     */
+    update(iconName) {
+        this.iconName = iconName || DEFAULT_ICON_NAME;
+        this.menu.setHeader(this.iconName, _('Battery Icon'));
+
+        if (this.menu.isOpen) {
+            this._syncDevices();
+        }
+    }
+
+    /**
+     * Disconnect settings signals and destroy the toggle
+     */
+    destroy() {
+        for (const signalId of this._signals) {
+            this._settings.disconnect(signalId);
+        }
+        this._signals = [];
+        Gio.Settings.unbind(this, 'checked');
+
+        super.destroy();
+    }
+});
+
+/**
+ * BatterySystemIndicator - Holds the battery toggle in Quick Settings
+ *
+ * Has no panel icon of its own; the panel shows the CircleIndicator.
+ */
+export const BatterySystemIndicator = GObject.registerClass(
+class BatterySystemIndicator extends QuickSettings.SystemIndicator {
+    /**
+     * Initialize the indicator and add it to Quick Settings
+     *
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Object} params - Callbacks passed to the toggle
+     */
+    _init(settings, params) {
+        super._init();
+
+        this._toggle = new BatteryMenuToggle(settings, params);
+        this.quickSettingsItems.push(this._toggle);
+
+        Main.panel.statusArea.quickSettings.addExternalIndicator(this);
+    }
+
+    /**
+     * Update the toggle, see BatteryMenuToggle.update()
+     *
+     * @param {string} iconName - Icon name of the display device
+     */
+    update(iconName) {
+        this._toggle?.update(iconName);
+    }
+
+    /**
+     * Destroy the toggle and the indicator
+     */
+    destroy() {
+        this.quickSettingsItems.forEach(item => item.destroy());
+        this.quickSettingsItems = [];
+        this._toggle = null;
+
+        super.destroy();
+    }
+});
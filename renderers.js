@@ -0,0 +1,603 @@
+// renderers.js — GNOME 48 (ESM)
+//
+// Shared by extension.js and prefs.js, so it must only use Cairo.
+
+// Indicator style names as used in settings
+export const STYLE_RING = 'ring';
+export const STYLE_BATTERY = 'battery';
+export const STYLE_PIE = 'pie';
+export const STYLE_BAR = 'bar';
+export const STYLE_DOT = 'dot';
+
+// Per-style option names as used in the style-options setting
+export const OPTION_THICKNESS = 'thickness';
+export const OPTION_START_ANGLE = 'start-angle';
+export const OPTION_CLOCKWISE = 'clockwise';
+export const OPTION_SHOW_TEXT = 'show-text';
+
+// Shared geometry. The outer padding keeps antialiased edges inside the
+// drawing surface; St applies the stylesheet padding around the surface.
+const OUTER_PADDING = 2;
+const MAX_PERCENT = 100;
+
+// Vertical battery proportions, relative to the indicator size
+const BATTERY_BODY_WIDTH_RATIO = 0.55;
+const BATTERY_BODY_HEIGHT_RATIO = 0.78;
+const BATTERY_CAP_WIDTH_RATIO = 0.4;
+const BATTERY_CAP_HEIGHT_RATIO = 0.08;
+
+// Outline drawn around the pie, relative to its radius
+const PIE_OUTLINE_RATIO = 0.08;
+
+// Dot radius relative to the available radius
+const DOT_RADIUS_RATIO = 0.8;
+
+// Charge limit mark
+const MARK_LINE_WIDTH = 1.5;
+const MARK_OVERHANG = 1;
+
+// Space between the lanes of batteries drawn side by side
+const LANE_GAP = 1;
+
+/**
+ * Default options of each style
+ *
+ * Thickness is a percentage: of the radius for the ring, of the body width
+ * for the battery outline and of the height for the bar. The start angle is
+ * in degrees, clockwise from the top.
+ */
+export const STYLE_DEFAULTS = {
+    [STYLE_RING]: {
+        [OPTION_THICKNESS]: 10,
+        [OPTION_START_ANGLE]: 0,
+        [OPTION_CLOCKWISE]: true,
+        [OPTION_SHOW_TEXT]: true,
+    },
+    [STYLE_BATTERY]: {
+        [OPTION_THICKNESS]: 12,
+        [OPTION_SHOW_TEXT]: true,
+    },
+    [STYLE_PIE]: {
+        [OPTION_START_ANGLE]: 0,
+        [OPTION_CLOCKWISE]: true,
+        [OPTION_SHOW_TEXT]: true,
+    },
+    [STYLE_BAR]: {
+        [OPTION_THICKNESS]: 20,
+        [OPTION_CLOCKWISE]: true,
+        [OPTION_SHOW_TEXT]: true,
+    },
+    [STYLE_DOT]: {
+        [OPTION_SHOW_TEXT]: false,
+    },
+};
+
+/**
+ * Merge stored options of a style over its defaults
+ *
+ * Unknown styles fall back to the ring.
+ *
+ * @param {string} style - Style name
+ * @param {Object} storedOptions - Options of all styles, keyed by style name
+ * @returns {Object} Complete options of the style
+ */
+export function getStyleOptions(style, storedOptions) {
+    const defaults = STYLE_DEFAULTS[style] ?? STYLE_DEFAULTS[STYLE_RING];
+    const stored = storedOptions[style] ?? {};
+    const options = {};
+
+    // Only keep options the style supports
+    for (const [name, value] of Object.entries(defaults)) {
+        options[name] = typeof stored[name] === typeof value ? stored[name] : value;
+    }
+    return options;
+}
+
+/**
+ * Compute the start and end angles of a level arc
+ *
+ * @param {number} percentage - Battery percentage (0-100)
+ * @param {Object} options - Style options
+ * @returns {number[]} Start and end angle in radians (Cairo orientation)
+ */
+function getArcAngles(percentage, options) {
+    const start = (options[OPTION_START_ANGLE] - 90) * Math.PI / 180;
+    const sweep = percentage / MAX_PERCENT * 2 * Math.PI;
+    return [start, options[OPTION_CLOCKWISE] ? start + sweep : start - sweep];
+}
+
+/**
+ * Compute the radii of a ring lane
+ *
+ * Lanes are concentric rings of the configured thickness, the first one
+ * outermost.
+ *
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {Object} options - Style options
+ * @param {number} [lane] - Lane index
+ * @returns {Object} Outer and inner radius
+ */
+function getRingRadii(width, height, options, lane = 0) {
+    const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+    const thickness = radius * options[OPTION_THICKNESS] / 100;
+    const outerRadius = radius - lane * (thickness + LANE_GAP);
+
+    return {outerRadius, innerRadius: Math.max(0, outerRadius - thickness)};
+}
+
+/**
+ * Split a length into equal lanes separated by gaps
+ *
+ * @param {number} start - Start of the length
+ * @param {number} length - Length to split
+ * @param {number} lane - Lane index
+ * @param {number} lanes - Number of lanes
+ * @returns {number[]} Start and length of the lane
+ */
+function getLaneSpan(start, length, lane, lanes) {
+    const laneLength = (length - (lanes - 1) * LANE_GAP) / lanes;
+    return [start + lane * (laneLength + LANE_GAP), laneLength];
+}
+
+/**
+ * Trace a ring segment between two levels
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} from - Start level in percent
+ * @param {number} to - End level in percent
+ * @param {Object} options - Style options
+ * @param {number} [lane] - Lane index
+ */
+function ringSegmentPath(context, width, height, from, to, options, lane = 0) {
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const {outerRadius, innerRadius} = getRingRadii(width, height, options, lane);
+    const clockwise = options[OPTION_CLOCKWISE];
+    const [, start] = getArcAngles(from, options);
+    const [, end] = getArcAngles(to, options);
+
+    arcDirected(context, clockwise, centerX, centerY, outerRadius, start, end);
+    arcDirected(context, !clockwise, centerX, centerY, innerRadius, end, start);
+    context.closePath();
+}
+
+/**
+ * Trace an arc in the configured direction
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {boolean} clockwise - Direction of the arc
+ * @param {number[]} args - Arguments of Cairo's arc()
+ */
+function arcDirected(context, clockwise, ...args) {
+    if (clockwise) {
+        context.arc(...args);
+    } else {
+        context.arcNegative(...args);
+    }
+}
+
+/**
+ * Compute the vertical battery body rectangle
+ *
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @returns {Object} Body and cap rectangles
+ */
+function getBatteryRects(width, height) {
+    const size = Math.min(width, height);
+    const bodyWidth = size * BATTERY_BODY_WIDTH_RATIO;
+    const bodyHeight = size * BATTERY_BODY_HEIGHT_RATIO;
+    const capWidth = bodyWidth * BATTERY_CAP_WIDTH_RATIO;
+    const capHeight = size * BATTERY_CAP_HEIGHT_RATIO;
+    const top = (height - bodyHeight - capHeight) / 2 + capHeight;
+
+    return {
+        body: {x: (width - bodyWidth) / 2, y: top, width: bodyWidth, height: bodyHeight},
+        cap: {x: (width - capWidth) / 2, y: top - capHeight, width: capWidth, height: capHeight},
+    };
+}
+
+/**
+ * Compute the horizontal bar rectangle
+ *
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {Object} options - Style options
+ * @returns {Object} Bar rectangle
+ */
+function getBarRect(width, height, options) {
+    const barHeight = Math.max(2, height * options[OPTION_THICKNESS] / 100);
+    return {
+        x: OUTER_PADDING,
+        y: height - OUTER_PADDING - barHeight,
+        width: width - 2 * OUTER_PADDING,
+        height: barHeight,
+    };
+}
+
+/**
+ * Renderers, keyed by style name
+ *
+ * Every renderer traces the filled level with fillPath(), optionally traces
+ * an outline with outlinePath() (returning its line width), and reports
+ * where text or glyphs go with getContentArea(). Content drawn over the
+ * filled level is knocked out by the indicator so it stays readable.
+ * Renderers with markPath() can mark a level, such as the charge limit,
+ * and those with lostPath() can trace the capacity a worn battery lost at
+ * the end of the scale; the dot has no scale for either. Those with
+ * lanePath() can show several batteries at once, each in its own lane:
+ * concentric rings, or the fill area split side by side; lostPath(),
+ * markPath() and getContentArea() then take the lane or number of lanes.
+ */
+export const RENDERERS = {
+    [STYLE_RING]: {
+        fillPath(context, width, height, percentage, options) {
+            ringSegmentPath(context, width, height, 0, percentage, options);
+        },
+
+        lanePath(context, width, height, percentage, lane, lanes, options) {
+            ringSegmentPath(context, width, height, 0, percentage, options, lane);
+        },
+
+        lostPath(context, width, height, lost, options, lane = 0) {
+            ringSegmentPath(context, width, height, MAX_PERCENT - lost, MAX_PERCENT,
+                            options, lane);
+        },
+
+        markPath(context, width, height, percentage, options, lanes = 1) {
+            const centerX = width / 2;
+            const centerY = height / 2;
+            const {outerRadius} = getRingRadii(width, height, options);
+            const {innerRadius} = getRingRadii(width, height, options, lanes - 1);
+            const [, angle] = getArcAngles(percentage, options);
+            const from = innerRadius - MARK_OVERHANG;
+            const to = outerRadius + MARK_OVERHANG;
+
+            context.moveTo(centerX + from * Math.cos(angle), centerY + from * Math.sin(angle));
+            context.lineTo(centerX + to * Math.cos(angle), centerY + to * Math.sin(angle));
+        },
+
+        outlinePath() {
+            return 0;
+        },
+
+        getContentArea(width, height, options, lanes = 1) {
+            const {innerRadius} = getRingRadii(width, height, options, lanes - 1);
+            return {centerX: width / 2, centerY: height / 2, width: innerRadius * 2};
+        },
+    },
+
+    [STYLE_BATTERY]: {
+        fillPath(context, width, height, percentage, options) {
+            const {body} = getBatteryRects(width, height);
+            const gap = body.width * options[OPTION_THICKNESS] / 100 * 2;
+            const fillHeight = (body.height - 2 * gap) * percentage / MAX_PERCENT;
+
+            context.rectangle(body.x + gap, body.y + body.height - gap - fillHeight,
+                              body.width - 2 * gap, fillHeight);
+        },
+
+        lanePath(context, width, height, percentage, lane, lanes, options) {
+            const {body} = getBatteryRects(width, height);
+            const gap = body.width * options[OPTION_THICKNESS] / 100 * 2;
+            const fillHeight = (body.height - 2 * gap) * percentage / MAX_PERCENT;
+            const [x, laneWidth] = getLaneSpan(body.x + gap, body.width - 2 * gap, lane, lanes);
+
+            context.rectangle(x, body.y + body.height - gap - fillHeight, laneWidth, fillHeight);
+        },
+
+        lostPath(context, width, height, lost, options, lane = 0, lanes = 1) {
+            const {body} = getBatteryRects(width, height);
+            const gap = body.width * options[OPTION_THICKNESS] / 100 * 2;
+            const lostHeight = (body.height - 2 * gap) * lost / MAX_PERCENT;
+            const [x, laneWidth] = getLaneSpan(body.x + gap, body.width - 2 * gap, lane, lanes);
+
+            context.rectangle(x, body.y + gap, laneWidth, lostHeight);
+        },
+
+        markPath(context, width, height, percentage, options) {
+            const {body} = getBatteryRects(width, height);
+            const gap = body.width * options[OPTION_THICKNESS] / 100 * 2;
+            const y = body.y + body.height - gap -
+                      (body.height - 2 * gap) * percentage / MAX_PERCENT;
+
+            context.moveTo(body.x, y);
+            context.lineTo(body.x + body.width, y);
+        },
+
+        outlinePath(context, width, height, options) {
+            const {body, cap} = getBatteryRects(width, height);
+            const lineWidth = body.width * options[OPTION_THICKNESS] / 100;
+            const inset = lineWidth / 2;
+
+            context.rectangle(body.x + inset, body.y + inset,
+                              body.width - lineWidth, body.height - lineWidth);
+            context.rectangle(cap.x + inset, cap.y + inset,
+                              cap.width - lineWidth, cap.height);
+            return lineWidth;
+        },
+
+        getContentArea(width, height) {
+            const {body} = getBatteryRects(width, height);
+            return {
+                centerX: body.x + body.width / 2,
+                centerY: body.y + body.height / 2,
+                width: body.width,
+            };
+        },
+    },
+
+    [STYLE_PIE]: {
+        fillPath(context, width, height, percentage, options) {
+            const centerX = width / 2;
+            const centerY = height / 2;
+            const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+            const [start, end] = getArcAngles(percentage, options);
+
+            context.moveTo(centerX, centerY);
+            arcDirected(context, options[OPTION_CLOCKWISE],
+                        centerX, centerY, radius, start, end);
+            context.closePath();
+        },
+
+        lostPath(context, width, height, lost, options) {
+            const centerX = width / 2;
+            const centerY = height / 2;
+            const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+            const [, start] = getArcAngles(MAX_PERCENT - lost, options);
+            const [, end] = getArcAngles(MAX_PERCENT, options);
+
+            context.moveTo(centerX, centerY);
+            arcDirected(context, options[OPTION_CLOCKWISE],
+                        centerX, centerY, radius, start, end);
+            context.closePath();
+        },
+
+        markPath(context, width, height, percentage, options) {
+            const centerX = width / 2;
+            const centerY = height / 2;
+            const radius = Math.min(width, height) / 2 - OUTER_PADDING + MARK_OVERHANG;
+            const [, angle] = getArcAngles(percentage, options);
+
+            context.moveTo(centerX, centerY);
+            context.lineTo(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle));
+        },
+
+        outlinePath(context, width, height) {
+            const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+            const lineWidth = Math.max(1, radius * PIE_OUTLINE_RATIO);
+
+            context.arc(width / 2, height / 2, radius - lineWidth / 2, 0, 2 * Math.PI);
+            return lineWidth;
+        },
+
+        getContentArea(width, height) {
+            const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+            return {centerX: width / 2, centerY: height / 2, width: radius * 2};
+        },
+    },
+
+    [STYLE_BAR]: {
+        fillPath(context, width, height, percentage, options) {
+            const bar = getBarRect(width, height, options);
+            const fillWidth = bar.width * percentage / MAX_PERCENT;
+            const x = options[OPTION_CLOCKWISE] ? bar.x : bar.x + bar.width - fillWidth;
+
+            context.rectangle(x, bar.y, fillWidth, bar.height);
+        },
+
+        lanePath(context, width, height, percentage, lane, lanes, options) {
+            const bar = getBarRect(width, height, options);
+            const fillWidth = bar.width * percentage / MAX_PERCENT;
+            const x = options[OPTION_CLOCKWISE] ? bar.x : bar.x + bar.width - fillWidth;
+            const [y, laneHeight] = getLaneSpan(bar.y, bar.height, lane, lanes);
+
+            context.rectangle(x, y, fillWidth, laneHeight);
+        },
+
+        lostPath(context, width, height, lost, options, lane = 0, lanes = 1) {
+            const bar = getBarRect(width, height, options);
+            const lostWidth = bar.width * lost / MAX_PERCENT;
+            const x = options[OPTION_CLOCKWISE] ? bar.x + bar.width - lostWidth : bar.x;
+            const [y, laneHeight] = getLaneSpan(bar.y, bar.height, lane, lanes);
+
+            context.rectangle(x, y, lostWidth, laneHeight);
+        },
+
+        markPath(context, width, height, percentage, options) {
+            const bar = getBarRect(width, height, options);
+            const offset = bar.width * percentage / MAX_PERCENT;
+            const x = options[OPTION_CLOCKWISE] ? bar.x + offset : bar.x + bar.width - offset;
+
+            context.moveTo(x, bar.y - MARK_OVERHANG);
+            context.lineTo(x, bar.y + bar.height + MARK_OVERHANG);
+        },
+
+        outlinePath(context, width, height, options) {
+            const bar = getBarRect(width, height, options);
+
+            context.rectangle(bar.x + 0.5, bar.y + 0.5, bar.width - 1, bar.height - 1);
+            return 1;
+        },
+
+        getContentArea(width, height, options) {
+            const bar = getBarRect(width, height, options);
+            return {centerX: width / 2, centerY: bar.y / 2, width: bar.width};
+        },
+    },
+
+    [STYLE_DOT]: {
+        fillPath(context, width, height) {
+            const radius = (Math.min(width, height) / 2 - OUTER_PADDING) * DOT_RADIUS_RATIO;
+
+            context.arc(width / 2, height / 2, radius, 0, 2 * Math.PI);
+        },
+
+        outlinePath() {
+            return 0;
+        },
+
+        getContentArea(width, height) {
+            const radius = (Math.min(width, height) / 2 - OUTER_PADDING) * DOT_RADIUS_RATIO;
+            return {centerX: width / 2, centerY: height / 2, width: radius * 2};
+        },
+    },
+};
+
+/**
+ * Get the renderer of a style, falling back to the ring
+ *
+ * @param {string} style - Style name
+ * @returns {Object} Renderer
+ */
+export function getRenderer(style) {
+    return RENDERERS[style] ?? RENDERERS[STYLE_RING];
+}
+
+/**
+ * Draw the level shape of a style in the current source color
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {string} style - Style name
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} percentage - Battery percentage (0-100)
+ * @param {Object} options - Complete style options
+ */
+export function drawShape(context, style, width, height, percentage, options) {
+    const renderer = getRenderer(style);
+
+    context.newPath();
+    const lineWidth = renderer.outlinePath(context, width, height, options);
+    if (lineWidth > 0) {
+        context.setLineWidth(lineWidth);
+        context.stroke();
+    }
+
+    context.newPath();
+    renderer.fillPath(context, width, height, percentage, options);
+    context.fill();
+}
+
+/**
+ * Fill the unfilled track of a style, in the current source color
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {string} style - Style name
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {Object} options - Complete style options
+ * @param {number} [lanes] - Number of lanes, for renderers with lanePath()
+ */
+export function drawTrack(context, style, width, height, options, lanes = 1) {
+    const renderer = getRenderer(style);
+
+    context.newPath();
+    if (lanes > 1 && renderer.lanePath) {
+        for (let lane = 0; lane < lanes; lane++) {
+            renderer.lanePath(context, width, height, MAX_PERCENT, lane, lanes, options);
+        }
+    } else {
+        renderer.fillPath(context, width, height, MAX_PERCENT, options);
+    }
+    context.fill();
+}
+
+/**
+ * Get the ring thickness option drawing a ring of a given line width
+ *
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} lineWidth - Ring width in surface units
+ * @returns {number} Thickness in percent of the radius (0-100)
+ */
+export function getRingThickness(width, height, lineWidth) {
+    const radius = Math.min(width, height) / 2 - OUTER_PADDING;
+    return Math.max(0, Math.min(MAX_PERCENT, lineWidth / radius * MAX_PERCENT));
+}
+
+/**
+ * Draw the shape of a style with one lane per battery
+ *
+ * The outline is drawn in the current source color, each lane in its own.
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {string} style - Style name, of a renderer with lanePath()
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {Object[]} lanes - Lanes, each with percentage (0-100) and RGB
+ *   color
+ * @param {Object} options - Complete style options
+ */
+export function drawLanes(context, style, width, height, lanes, options) {
+    const renderer = getRenderer(style);
+
+    context.newPath();
+    const lineWidth = renderer.outlinePath(context, width, height, options);
+    if (lineWidth > 0) {
+        context.setLineWidth(lineWidth);
+        context.stroke();
+    }
+
+    lanes.forEach(({percentage, color}, index) => {
+        context.newPath();
+        context.setSourceRGB(...color);
+        renderer.lanePath(context, width, height, percentage, index, lanes.length, options);
+        context.fill();
+    });
+}
+
+/**
+ * Mark a level of a style, in the current source color
+ *
+ * Styles without markPath() draw nothing.
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {string} style - Style name
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} percentage - Marked percentage (0-100)
+ * @param {Object} options - Complete style options
+ * @param {number} [lanes] - Number of lanes the mark crosses
+ */
+export function drawMark(context, style, width, height, percentage, options, lanes = 1) {
+    const renderer = getRenderer(style);
+
+    if (!renderer.markPath) {
+        return;
+    }
+
+    context.newPath();
+    renderer.markPath(context, width, height, percentage, options, lanes);
+    context.setLineWidth(MARK_LINE_WIDTH);
+    context.stroke();
+}
+
+/**
+ * Fill the lost capacity of a worn battery, in the current source color
+ *
+ * Styles without lostPath() draw nothing.
+ *
+ * @param {Cairo.Context} context - Cairo drawing context
+ * @param {string} style - Style name
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @param {number} lost - Lost capacity in percent of design
+ * @param {Object} options - Complete style options
+ * @param {number} [lane] - Lane index, for renderers with lanePath()
+ * @param {number} [lanes] - Number of lanes
+ */
+export function drawLost(context, style, width, height, lost, options, lane = 0, lanes = 1) {
+    const renderer = getRenderer(style);
+
+    if (!renderer.lostPath) {
+        return;
+    }
+
+    context.newPath();
+    renderer.lostPath(context, width, height, lost, options, lane, lanes);
+    context.fill();
+}
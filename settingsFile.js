@@ -0,0 +1,207 @@
+// settingsFile.js — GNOME 48 (ESM)
+//
+// Export and import of all settings, to roll one setup out to several
+// machines. Free of GTK imports, so the tests can run it under plain gjs.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {SETTINGS_VERSION, SETTINGS_VERSION_KEY, migrateSettings} from './migration.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async',
+               'replace_contents_finish');
+
+// File identification
+const FILE_FORMAT = 'batteryIcon-settings';
+const FILE_VERSION = 1;
+
+// Settings keys
+const CHARGE_LIMIT_APPLIED_KEY = 'charge-limit-applied';
+
+// Keys describing the settings or this machine rather than the setup
+const EXCLUDED_KEYS = [SETTINGS_VERSION_KEY, CHARGE_LIMIT_APPLIED_KEY];
+
+// Reasons a file is rejected, see SettingsFileError
+export const ERROR_NOT_JSON = 'not-json';
+export const ERROR_FOREIGN_FILE = 'foreign-file';
+export const ERROR_UNSUPPORTED_VERSION = 'unsupported-version';
+export const ERROR_NO_SETTINGS = 'no-settings';
+export const ERROR_INVALID_SETTINGS = 'invalid-settings';
+
+/**
+ * SettingsFileError - A settings file that cannot be imported
+ *
+ * The message is meant for the log; the reason and keys let the
+ * preferences explain the problem in the user's language.
+ */
+export class SettingsFileError extends Error {
+    /**
+     * @param {string} reason - One of the ERROR_* reasons
+     * @param {string} message - Description for the log
+     * @param {string[]} [keys] - Keys with invalid values
+     */
+    constructor(reason, message, keys = []) {
+        super(message);
+        this.name = 'SettingsFileError';
+        this.reason = reason;
+        this.keys = keys;
+    }
+}
+
+/**
+ * Serialize all settings
+ *
+ * Values are kept in GVariant text format, so every schema type survives
+ * the round trip.
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @returns {Object} File contents, ready for JSON.stringify()
+ */
+export function serializeSettings(settings) {
+    const values = {};
+
+    for (const key of settings.settings_schema.list_keys().sort()) {
+        if (!EXCLUDED_KEYS.includes(key)) {
+            values[key] = settings.get_value(key).print(false);
+        }
+    }
+
+    return {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        settingsVersion: settings.get_int(SETTINGS_VERSION_KEY),
+        settings: values,
+    };
+}
+
+/**
+ * Validate file contents against the schema
+ *
+ * @param {Gio.Settings} settings - Settings object providing the schema
+ * @param {Object} data - Parsed file contents
+ * @returns {Object} GLib.Variant values, keyed by settings key
+ * @throws {SettingsFileError} Listing every problem, one per line
+ */
+export function parseSettings(settings, data) {
+    if (data?.format !== FILE_FORMAT) {
+        throw new SettingsFileError(ERROR_FOREIGN_FILE, 'Not a Battery Icon settings file');
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > FILE_VERSION) {
+        throw new SettingsFileError(ERROR_UNSUPPORTED_VERSION,
+            `Unsupported file version ${data.version}, expected at most ${FILE_VERSION}`);
+    }
+
+    if (!Number.isInteger(data.settingsVersion) || data.settingsVersion < 0 ||
+        data.settingsVersion > SETTINGS_VERSION) {
+        throw new SettingsFileError(ERROR_UNSUPPORTED_VERSION,
+            `Settings version ${data.settingsVersion} is not supported, ` +
+            'export them again with this extension version');
+    }
+
+    if (typeof data.settings !== 'object' || data.settings === null ||
+        Array.isArray(data.settings)) {
+        throw new SettingsFileError(ERROR_NO_SETTINGS, 'The file holds no settings');
+    }
+
+    const schema = settings.settings_schema;
+    const values = {};
+    const problems = [];
+
+    for (const [key, text] of Object.entries(data.settings)) {
+        if (!schema.has_key(key) || EXCLUDED_KEYS.includes(key)) {
+            problems.push([key, 'unknown setting']);
+            continue;
+        }
+
+        if (typeof text !== 'string') {
+            problems.push([key, 'expected a value in GVariant text format']);
+            continue;
+        }
+
+        const schemaKey = schema.get_key(key);
+        let value;
+        try {
+            value = GLib.Variant.parse(schemaKey.get_value_type(), text, null, null);
+        } catch (error) {
+            problems.push([key, error.message]);
+            continue;
+        }
+
+        if (!schemaKey.range_check(value)) {
+            problems.push([key, `${text} is out of range`]);
+            continue;
+        }
+
+        values[key] = value;
+    }
+
+    if (problems.length > 0) {
+        const lines = problems.map(([key, problem]) => `${key}: ${problem}`);
+        throw new SettingsFileError(ERROR_INVALID_SETTINGS,
+            `Invalid settings:\n${lines.join('\n')}`, problems.map(([key]) => key));
+    }
+
+    return values;
+}
+
+/**
+ * Replace all settings with file contents
+ *
+ * Nothing changes unless the whole file is valid. Keys missing from the
+ * file are reset, and files from older versions are migrated.
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @param {Object} data - Parsed file contents
+ * @throws {SettingsFileError} If the file is invalid, see parseSettings()
+ */
+export function applySettings(settings, data) {
+    const values = parseSettings(settings, data);
+
+    settings.delay();
+    for (const key of settings.settings_schema.list_keys()) {
+        if (key in values) {
+            settings.set_value(key, values[key]);
+        } else if (!EXCLUDED_KEYS.includes(key)) {
+            settings.reset(key);
+        }
+    }
+    settings.set_int(SETTINGS_VERSION_KEY, data.settingsVersion);
+    settings.apply();
+
+    migrateSettings(settings);
+}
+
+/**
+ * Write all settings to a file
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @param {Gio.File} file - Target file, replaced if it exists
+ */
+export async function exportSettings(settings, file) {
+    const data = JSON.stringify(serializeSettings(settings), null, 2);
+    await file.replace_contents_bytes_async(
+        new GLib.Bytes(new TextEncoder().encode(`${data}\n`)),
+        null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+}
+
+/**
+ * Replace all settings with those of a file
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @param {Gio.File} file - Exported settings file
+ * @throws {GLib.Error|SettingsFileError} If the file cannot be read or is invalid
+ */
+export async function importSettings(settings, file) {
+    const [contents] = await file.load_contents_async(null);
+
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(contents));
+    } catch (error) {
+        throw new SettingsFileError(ERROR_NOT_JSON, `Not a JSON file: ${error.message}`);
+    }
+
+    applySettings(settings, data);
+}
@@ -0,0 +1,196 @@
+// status.js — GNOME 48 (ESM)
+//
+// Device status and indicator visibility. Free of Shell imports, so the
+// tests can run it under plain gjs against fake UPower devices.
+
+import GLib from 'gi://GLib';
+import UPowerGlib from 'gi://UPowerGlib';
+
+// Battery percentage limits
+export const MIN_BATTERY_PERCENT = 0;
+export const MAX_BATTERY_PERCENT = 100;
+
+// Power states as named in settings
+export const POWER_STATE_CHARGING = 'charging';
+export const POWER_STATE_DISCHARGING = 'discharging';
+export const POWER_STATE_PLUGGED_DISCHARGING = 'plugged-discharging';
+export const POWER_STATE_PENDING_CHARGE = 'pending-charge';
+export const POWER_STATE_FULLY_CHARGED = 'fully-charged';
+export const POWER_STATE_EMPTY = 'empty';
+export const POWER_STATE_UNKNOWN = 'unknown';
+
+// Marks strings for translation; they are translated where they are shown
+const N_ = message => message;
+
+// Human-readable power states, in the order shown in the preferences
+export const POWER_STATE_NAMES = {
+    [POWER_STATE_CHARGING]: N_('Charging'),
+    [POWER_STATE_DISCHARGING]: N_('Discharging'),
+    [POWER_STATE_PLUGGED_DISCHARGING]: N_('Discharging while plugged in'),
+    [POWER_STATE_PENDING_CHARGE]: N_('Not charging'),
+    [POWER_STATE_FULLY_CHARGED]: N_('Fully charged'),
+    [POWER_STATE_EMPTY]: N_('Empty'),
+    [POWER_STATE_UNKNOWN]: N_('Unknown'),
+};
+
+// Visibility rules of a power state, as named in settings
+export const RULE_THRESHOLD = 'threshold';
+export const RULE_ALWAYS = 'always';
+export const RULE_NEVER = 'never';
+
+/**
+ * Clamp a value to the battery percentage range
+ *
+ * @param {number} value - Value to clamp
+ * @returns {number} Value between 0 and 100
+ */
+export function clampPercent(value) {
+    return Math.max(MIN_BATTERY_PERCENT, Math.min(MAX_BATTERY_PERCENT, value));
+}
+
+/**
+ * Map a UPower device state to a power state
+ *
+ * @param {number} state - UPower device state
+ * @param {boolean} onBattery - Whether the system runs on battery
+ * @returns {string} Power state name
+ */
+export function getPowerState(state, onBattery) {
+    const {DeviceState} = UPowerGlib;
+
+    switch (state) {
+    case DeviceState.CHARGING:
+        return POWER_STATE_CHARGING;
+    case DeviceState.DISCHARGING:
+        // A charger too weak for the load
+        return onBattery ? POWER_STATE_DISCHARGING : POWER_STATE_PLUGGED_DISCHARGING;
+    case DeviceState.PENDING_CHARGE:
+    case DeviceState.PENDING_DISCHARGE:
+        // Both mean plugged in, neither charging nor discharging
+        return POWER_STATE_PENDING_CHARGE;
+    case DeviceState.FULLY_CHARGED:
+        return POWER_STATE_FULLY_CHARGED;
+    case DeviceState.EMPTY:
+        return POWER_STATE_EMPTY;
+    default:
+        return POWER_STATE_UNKNOWN;
+    }
+}
+
+/**
+ * Read the status of a device for display
+ *
+ * Falls back to the smoothed estimate when UPower reports no time.
+ *
+ * @param {UPowerGlib.Device} device - UPower device, or an object with the
+ *   same properties
+ * @param {TimeEstimator} estimator - Estimator tracking this device
+ * @param {Object} [params] - Optional parameters
+ * @param {boolean} [params.onBattery] - Whether the system runs on battery;
+ *   peripherals always do
+ * @param {number} [params.timestamp] - Sample time in seconds (monotonic)
+ * @returns {Object} Status as accepted by CircleIndicator.update()
+ */
+export function readStatus(device, estimator, {
+    onBattery = true,
+    timestamp = GLib.get_monotonic_time() / GLib.USEC_PER_SEC,
+} = {}) {
+    const percentage = Math.round(device.percentage ?? -1);
+    const state = device.state;
+    const powerState = getPowerState(state, onBattery);
+    const isCharging = powerState === POWER_STATE_CHARGING;
+
+    if (percentage >= MIN_BATTERY_PERCENT) {
+        estimator.addSample(device.percentage, isCharging, timestamp);
+    }
+
+    const timeRemaining = (isCharging ? device.time_to_full : device.time_to_empty) ||
+                          estimator.getTimeRemaining();
+
+    return {
+        percentage,
+        isCharging,
+        state,
+        powerState,
+        energyRate: device.energy_rate ?? 0,
+        timeRemaining,
+    };
+}
+
+/**
+ * Read the level of one battery of several
+ *
+ * @param {UPowerGlib.Device} device - UPower battery, or an object with the
+ *   same properties
+ * @returns {Object} Status with percentage and isCharging, as accepted by
+ *   Colors.colorForStatus()
+ */
+export function readPackStatus(device) {
+    return {
+        percentage: Math.round(device.percentage ?? -1),
+        isCharging: device.state === UPowerGlib.DeviceState.CHARGING,
+    };
+}
+
+/**
+ * Whether the main battery indicator is shown
+ *
+ * Each power state has a rule: always, never, or below a threshold. While
+ * charging, the threshold rule shows the indicator below either threshold
+ * so it does not flicker when the charger is plugged in; all other states
+ * use the discharging threshold. Once shown, the thresholds rise by the
+ * hide margin, so a level hovering at a threshold does not flicker.
+ *
+ * @param {Object} status - Status from readStatus()
+ * @param {Object} rules - Visibility settings
+ * @param {number} rules.chargingThreshold - Show while charging below this
+ * @param {number} rules.dischargingThreshold - Show while discharging below this
+ * @param {Object} [rules.stateRules] - Rule of each power state, threshold
+ *   if missing
+ * @param {boolean} [rules.forceShow] - Ignore the rules
+ * @param {number} [rules.hideMargin] - Percent above the thresholds at
+ *   which a shown indicator hides
+ * @param {boolean} [rules.shown] - Whether the indicator is shown now
+ * @returns {boolean} True if the indicator should be visible
+ */
+export function shouldShowBattery({percentage, isCharging, powerState},
+    {chargingThreshold, dischargingThreshold, stateRules = {}, forceShow = false,
+        hideMargin = 0, shown = false}) {
+    if (percentage < MIN_BATTERY_PERCENT) {
+        return false;
+    }
+
+    if (forceShow) {
+        return true;
+    }
+
+    const rule = stateRules[powerState] ?? RULE_THRESHOLD;
+    if (rule === RULE_ALWAYS) {
+        return true;
+    }
+    if (rule === RULE_NEVER) {
+        return false;
+    }
+
+    const margin = shown ? hideMargin : 0;
+    return isCharging
+        ? percentage < chargingThreshold + margin || percentage < dischargingThreshold + margin
+        : percentage < dischargingThreshold + margin;
+}
+
+/**
+ * Whether a peripheral indicator is shown
+ *
+ * @param {Object} status - Status from readStatus()
+ * @param {Object} rules - Visibility settings
+ * @param {number} rules.threshold - Show below this percentage
+ * @param {boolean} [rules.forceShow] - Ignore the threshold
+ * @returns {boolean} True if the indicator should be visible
+ */
+export function shouldShowPeripheral({percentage}, {threshold, forceShow = false}) {
+    if (percentage < MIN_BATTERY_PERCENT) {
+        return false;
+    }
+
+    return forceShow || percentage < threshold;
+}
@@ -0,0 +1,55 @@
+// animationTests.js — gjs (ESM)
+
+import * as Animation from '../animation.js';
+import {assertEqual, assertFalse, assertTrue, test} from './harness.js';
+
+test('level moves to a new value and settles', () => {
+    const animator = new Animation.IndicatorAnimator();
+    animator.setLevel(50, 0, true);
+    assertEqual(animator.getFrame(0).percentage, 50, 'the first level does not move');
+    assertFalse(animator.isAnimating(0));
+
+    animator.setLevel(60, 1000, true);
+    const halfway = animator.getFrame(1300).percentage;
+    assertTrue(halfway > 50 && halfway < 60, `moving, got ${halfway}`);
+    assertTrue(animator.isAnimating(1300));
+
+    assertEqual(animator.getFrame(5000).percentage, 60);
+    assertFalse(animator.isAnimating(5000));
+});
+
+test('level jumps without animation, when unknown, or when finished', () => {
+    const animator = new Animation.IndicatorAnimator();
+    animator.setLevel(50, 0, false);
+    animator.setLevel(20, 100, false);
+    assertEqual(animator.getFrame(100).percentage, 20);
+
+    animator.setLevel(-1, 200, true);
+    assertEqual(animator.getFrame(200).percentage, -1);
+    animator.setLevel(30, 300, true);
+    assertEqual(animator.getFrame(300).percentage, 30);
+
+    animator.setLevel(80, 400, true);
+    animator.finish();
+    assertEqual(animator.getFrame(400).percentage, 80);
+    assertFalse(animator.isAnimating(400));
+});
+
+test('pulse fades the level and blink wins over it', () => {
+    const animator = new Animation.IndicatorAnimator();
+    animator.setLevel(50, 0, false);
+    assertEqual(animator.getFrame(0).alpha, 1);
+
+    animator.setEffects({pulse: true, blink: false}, 1000);
+    assertEqual(animator.getFrame(1000).alpha, 1, 'a pulse starts at full alpha');
+    assertTrue(animator.getFrame(2200).alpha < 0.5, 'and fades halfway through');
+    assertTrue(animator.isAnimating(2200));
+
+    animator.setEffects({pulse: true, blink: true}, 3000);
+    assertEqual(animator.getFrame(3000).alpha, 1);
+    assertTrue(animator.getFrame(3600).alpha < 0.2, 'blinked off');
+
+    animator.setEffects({pulse: false, blink: false}, 4000);
+    assertEqual(animator.getFrame(4000).alpha, 1);
+    assertFalse(animator.isAnimating(4000));
+});
@@ -0,0 +1,140 @@
+// chargeLimitTests.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {ChargeLimitController} from '../chargeLimit.js';
+import {FakeDevice} from './fakeDevice.js';
+import {assertEqual, assertFalse, assertTrue, test} from './harness.js';
+
+// The polkit helper, run without pkexec against a fake sysfs tree
+const HELPER_PATH = GLib.build_filenamev([
+    Gio.File.new_for_uri(import.meta.url).get_parent().get_parent().get_path(),
+    'helper',
+    'batteryIcon-charge-limit',
+]);
+
+const START_FILE = 'charge_control_start_threshold';
+const END_FILE = 'charge_control_end_threshold';
+
+/**
+ * Create a power supply class directory with one battery
+ *
+ * @param {number} start - Start threshold of the battery
+ * @param {number} end - End threshold of the battery
+ * @returns {string} Directory path
+ */
+function createSysfs(start, end) {
+    const root = GLib.dir_make_tmp('batteryIcon-sysfs-XXXXXX');
+    const battery = GLib.build_filenamev([root, 'BAT0']);
+    GLib.mkdir_with_parents(battery, 0o755);
+    GLib.file_set_contents(GLib.build_filenamev([battery, START_FILE]), `${start}\n`);
+    GLib.file_set_contents(GLib.build_filenamev([battery, END_FILE]), `${end}\n`);
+    return root;
+}
+
+/**
+ * Remove a directory created by createSysfs()
+ *
+ * @param {string} root - Directory path
+ */
+function removeSysfs(root) {
+    for (const name of [START_FILE, END_FILE]) {
+        GLib.unlink(GLib.build_filenamev([root, 'BAT0', name]));
+    }
+    GLib.rmdir(GLib.build_filenamev([root, 'BAT0']));
+    GLib.rmdir(root);
+}
+
+/**
+ * Run a test body against a fake sysfs tree and the real helper
+ *
+ * @param {number[]} thresholds - Start and end threshold of the battery
+ * @param {Function} fn - Test body, called with the controller and root
+ * @param {Object} [upowerClient] - Fake UPower client
+ * @returns {Function} Async test body
+ */
+function withSysfs([start, end], fn, upowerClient = null) {
+    return async () => {
+        const root = createSysfs(start, end);
+        const controller = new ChargeLimitController(upowerClient, {
+            sysfsRoot: root,
+            helperCommand: ['env', `SYSFS_ROOT=${root}`, HELPER_PATH],
+        });
+
+        try {
+            await fn(controller, root);
+        } finally {
+            removeSysfs(root);
+        }
+    };
+}
+
+test('sysfs limit is applied and read back', withSysfs([0, 100], async controller => {
+    assertEqual(controller.getThresholds(), null);
+    assertTrue(await controller.apply({enabled: true, start: 75, end: 80}));
+
+    const thresholds = controller.getThresholds();
+    assertEqual(thresholds.start, 75);
+    assertEqual(thresholds.end, 80);
+    assertFalse(await controller.apply({enabled: true, start: 75, end: 80}),
+                'applying the limit in effect changes nothing');
+}));
+
+test('disabling the sysfs limit lets the battery charge fully',
+    withSysfs([75, 80], async controller => {
+        assertTrue(await controller.apply({enabled: false, start: 75, end: 80}));
+        assertEqual(controller.getThresholds(), null);
+    }));
+
+test('start must stay below end', withSysfs([0, 100], async (controller, root) => {
+    let error = null;
+    try {
+        await controller.apply({enabled: true, start: 80, end: 80});
+    } catch (e) {
+        error = e;
+    }
+
+    assertTrue(error !== null, 'equal thresholds are rejected');
+    assertEqual(controller.getThresholds(), null, 'nothing was written');
+
+    // The helper checks too, as anything may run it through pkexec
+    const proc = Gio.Subprocess.new(['env', `SYSFS_ROOT=${root}`, HELPER_PATH, '90', '80'],
+        Gio.SubprocessFlags.STDERR_SILENCE);
+    proc.wait(null);
+    assertEqual(proc.get_exit_status(), 2);
+    assertEqual(controller.getThresholds(), null);
+}));
+
+test('thresholds other than UPower\'s own go through sysfs', () => {
+    const battery = new FakeDevice({
+        charge_threshold_supported: true,
+        charge_threshold_enabled: false,
+        charge_start_threshold: 75,
+        charge_end_threshold: 80,
+    });
+
+    return withSysfs([0, 100], async controller => {
+        assertTrue(await controller.apply({enabled: true, start: 50, end: 60}));
+        assertEqual(controller.getThresholds().end, 60);
+    }, {get_devices: () => [battery]})();
+});
+
+test('a missing helper leaves the thresholds alone',
+    withSysfs([40, 90], async (controller, root) => {
+        const missing = new ChargeLimitController(null, {
+            sysfsRoot: root,
+            helperCommand: [GLib.build_filenamev([root, 'missing-helper'])],
+        });
+
+        let error = null;
+        try {
+            await missing.apply({enabled: false, start: 75, end: 80});
+        } catch (e) {
+            error = e;
+        }
+
+        assertTrue(error !== null, 'the reset is rejected');
+        assertEqual(controller.getThresholds().start, 40);
+        assertEqual(controller.getThresholds().end, 90);
+    }));
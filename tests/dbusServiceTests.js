@@ -0,0 +1,138 @@
+// dbusServiceTests.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {BatteryIconService, INTERFACE_NAME, OBJECT_PATH} from '../dbusService.js';
+import {assertEqual, assertTrue, test} from './harness.js';
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+
+/**
+ * Call a method of the service over the session bus
+ *
+ * Addressed to the connection's unique name, so tests need not wait for
+ * the well-known name.
+ *
+ * @param {string} interfaceName - Interface of the method
+ * @param {string} method - Method name
+ * @param {GLib.Variant|null} parameters - Method parameters
+ * @returns {Promise<Array>} Unpacked return values
+ */
+async function callService(interfaceName, method, parameters = null) {
+    const connection = Gio.DBus.session;
+    const reply = await connection.call(connection.get_unique_name(), OBJECT_PATH,
+        interfaceName, method, parameters, null, Gio.DBusCallFlags.NONE, -1, null);
+    return reply.recursiveUnpack();
+}
+
+/**
+ * Read a property of the service over the session bus
+ *
+ * @param {string} name - Property name
+ * @returns {Promise<*>} Unpacked value
+ */
+async function getProperty(name) {
+    const [value] = await callService('org.freedesktop.DBus.Properties', 'Get',
+        new GLib.Variant('(ss)', [INTERFACE_NAME, name]));
+    return value;
+}
+
+/**
+ * Create a service recording the calls it hands on
+ *
+ * @returns {Array} Service and the list of recorded calls
+ */
+function createService() {
+    const calls = [];
+    const service = new BatteryIconService({
+        forceShow: enabled => calls.push(`forceShow ${enabled}`),
+        forceHide: enabled => calls.push(`forceHide ${enabled}`),
+        flash: () => calls.push('flash'),
+        setDisplayMode: mode => calls.push(`setDisplayMode ${mode}`),
+    }, Gio.DBus.session);
+    return [service, calls];
+}
+
+test('service publishes the indicator state', async () => {
+    const [service] = createService();
+    try {
+        assertEqual(await getProperty('Percentage'), -1);
+
+        service.update({
+            percentage: 42,
+            powerState: 'discharging',
+            color: '#ff8000',
+            visible: true,
+            timeRemaining: 5400,
+        });
+
+        assertEqual(await getProperty('Percentage'), 42);
+        assertEqual(await getProperty('PowerState'), 'discharging');
+        assertEqual(await getProperty('Color'), '#ff8000');
+        assertEqual(await getProperty('Visible'), true);
+        assertEqual(await getProperty('TimeRemaining'), 5400);
+        assertEqual(await getProperty('DisplayMode'), 'percent');
+    } finally {
+        service.destroy();
+    }
+});
+
+test('service emits PropertiesChanged', async () => {
+    const [service] = createService();
+    const connection = Gio.DBus.session;
+    let changed = null;
+    const subscriptionId = connection.signal_subscribe(null,
+        'org.freedesktop.DBus.Properties', 'PropertiesChanged', OBJECT_PATH, null,
+        Gio.DBusSignalFlags.NONE, (conn, sender, path, iface, signal, parameters) => {
+            changed = parameters.recursiveUnpack()[1];
+        });
+
+    try {
+        service.update({percentage: 17, visible: false});
+
+        // The emission is flushed from the main loop
+        const deadline = GLib.get_monotonic_time() + 2 * GLib.USEC_PER_SEC;
+        while (!changed && GLib.get_monotonic_time() < deadline) {
+            await getProperty('Percentage');
+        }
+
+        assertTrue(changed !== null, 'expected PropertiesChanged');
+        assertEqual(changed.Percentage, 17);
+        assertEqual('Visible' in changed, false, 'unchanged properties are not sent');
+    } finally {
+        connection.signal_unsubscribe(subscriptionId);
+        service.destroy();
+    }
+});
+
+test('service methods reach the extension', async () => {
+    const [service, calls] = createService();
+    try {
+        await callService(INTERFACE_NAME, 'ForceHide', new GLib.Variant('(b)', [true]));
+        await callService(INTERFACE_NAME, 'ForceShow', new GLib.Variant('(b)', [false]));
+        await callService(INTERFACE_NAME, 'Flash');
+        await callService(INTERFACE_NAME, 'SetDisplayMode', new GLib.Variant('(s)', ['time']));
+
+        assertEqual(calls.join(','),
+                    'forceHide true,forceShow false,flash,setDisplayMode time');
+    } finally {
+        service.destroy();
+    }
+});
+
+test('service rejects unknown display modes', async () => {
+    const [service, calls] = createService();
+    let error = null;
+    try {
+        await callService(INTERFACE_NAME, 'SetDisplayMode', new GLib.Variant('(s)', ['bogus']));
+    } catch (callError) {
+        error = callError;
+    } finally {
+        service.destroy();
+    }
+
+    assertTrue(error?.matches(Gio.DBusError, Gio.DBusError.INVALID_ARGS) ?? false,
+               'expected InvalidArgs');
+    assertEqual(calls.length, 0);
+});
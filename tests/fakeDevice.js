@@ -0,0 +1,85 @@
+// fakeDevice.js — gjs (ESM)
+
+import UPowerGlib from 'gi://UPowerGlib';
+
+/**
+ * FakeDevice - Stand-in for UPowerGlib.Device
+ *
+ * Has the properties the extension reads and emits notify:: signals on
+ * set(), so tests need neither a UPower daemon nor a system bus.
+ */
+export class FakeDevice {
+    /**
+     * @param {Object} [properties] - Property values, using UPower's
+     *   underscored names, over those of a discharging laptop battery
+     */
+    constructor(properties = {}) {
+        this.kind = UPowerGlib.DeviceKind.BATTERY;
+        this.vendor = '';
+        this.model = '';
+        this.serial = '';
+        this.technology = UPowerGlib.DeviceTechnology.LITHIUM_ION;
+        this.icon_name = 'battery-good-symbolic';
+        this.power_supply = true;
+        this.is_present = true;
+        this.percentage = 50;
+        this.state = UPowerGlib.DeviceState.DISCHARGING;
+        this.energy_rate = 0;
+        this.time_to_empty = 0;
+        this.time_to_full = 0;
+        this.energy_full = 50;
+        this.energy_full_design = 50;
+        this.charge_cycles = -1;
+        Object.assign(this, properties);
+
+        this._handlers = new Map();
+        this._nextHandlerId = 1;
+    }
+
+    /**
+     * @returns {string} D-Bus object path
+     */
+    get_object_path() {
+        return '/org/freedesktop/UPower/devices/fake';
+    }
+
+    /**
+     * Connect a signal handler
+     *
+     * @param {string} signal - Signal name, e.g. 'notify::percentage'
+     * @param {Function} callback - Handler, called with the device
+     * @returns {number} Handler ID
+     */
+    connect(signal, callback) {
+        const id = this._nextHandlerId++;
+        this._handlers.set(id, {signal, callback});
+        return id;
+    }
+
+    /**
+     * Disconnect a signal handler
+     *
+     * @param {number} id - Handler ID
+     */
+    disconnect(id) {
+        this._handlers.delete(id);
+    }
+
+    /**
+     * Change properties and notify their handlers
+     *
+     * @param {Object} properties - New property values, underscored names
+     */
+    set(properties) {
+        Object.assign(this, properties);
+
+        for (const name of Object.keys(properties)) {
+            const signal = `notify::${name.replaceAll('_', '-')}`;
+            for (const handler of [...this._handlers.values()]) {
+                if (handler.signal === signal) {
+                    handler.callback(this);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,174 @@
+// harness.js — gjs (ESM)
+//
+// Minimal test runner with assertions and PNG snapshot comparison, so the
+// suite runs under plain gjs without extra dependencies.
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+// Reference images, next to this file
+const SNAPSHOT_DIR = GLib.build_filenamev([
+    Gio.File.new_for_uri(import.meta.url).get_parent().get_path(),
+    'snapshots',
+]);
+
+// Set to write missing and rewrite all reference images
+const UPDATE_SNAPSHOTS_ENV = 'UPDATE_SNAPSHOTS';
+
+// Channel difference below which pixels count as equal; covers
+// antialiasing differences between font and Cairo versions
+const PIXEL_TOLERANCE = 16;
+
+// Share of differing pixels a snapshot may have
+const MAX_DIFFERING_RATIO = 0.01;
+
+const tests = [];
+
+/**
+ * Register a test
+ *
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body, throws or rejects on failure
+ */
+export function test(name, fn) {
+    tests.push({name, fn});
+}
+
+/**
+ * Assert strict equality
+ *
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ * @param {string} [message] - What is being checked
+ */
+export function assertEqual(actual, expected, message = 'values differ') {
+    if (actual !== expected) {
+        throw new Error(`${message}: expected ${expected}, got ${actual}`);
+    }
+}
+
+/**
+ * Assert that a value is true
+ *
+ * @param {*} value - Value to check
+ * @param {string} [message] - What is being checked
+ */
+export function assertTrue(value, message = 'expected true') {
+    assertEqual(value, true, message);
+}
+
+/**
+ * Assert that a value is false
+ *
+ * @param {*} value - Value to check
+ * @param {string} [message] - What is being checked
+ */
+export function assertFalse(value, message = 'expected false') {
+    assertEqual(value, false, message);
+}
+
+/**
+ * Count pixels differing by more than the tolerance
+ *
+ * @param {GdkPixbuf.Pixbuf} actual - Rendered image
+ * @param {GdkPixbuf.Pixbuf} expected - Reference image
+ * @returns {number} Number of differing pixels
+ */
+function countDifferingPixels(actual, expected) {
+    const actualData = actual.read_pixel_bytes().get_data();
+    const expectedData = expected.read_pixel_bytes().get_data();
+    const channels = actual.get_n_channels();
+    let differing = 0;
+
+    for (let y = 0; y < actual.get_height(); y++) {
+        for (let x = 0; x < actual.get_width(); x++) {
+            const actualOffset = y * actual.get_rowstride() + x * channels;
+            const expectedOffset = y * expected.get_rowstride() + x * channels;
+
+            for (let channel = 0; channel < channels; channel++) {
+                if (Math.abs(actualData[actualOffset + channel] -
+                             expectedData[expectedOffset + channel]) > PIXEL_TOLERANCE) {
+                    differing++;
+                    break;
+                }
+            }
+        }
+    }
+
+    return differing;
+}
+
+/**
+ * Compare a rendered surface with its reference image
+ *
+ * References are written only when UPDATE_SNAPSHOTS is set; otherwise a
+ * missing reference fails, so a fresh checkout cannot pass by writing its
+ * own. On mismatch or a missing reference, the rendered image is kept in
+ * the temporary directory for inspection.
+ *
+ * @param {Cairo.ImageSurface} surface - Rendered surface
+ * @param {string} name - Snapshot name, without extension
+ */
+export function assertSnapshot(surface, name) {
+    const referencePath = GLib.build_filenamev([SNAPSHOT_DIR, `${name}.png`]);
+
+    if (GLib.getenv(UPDATE_SNAPSHOTS_ENV)) {
+        GLib.mkdir_with_parents(SNAPSHOT_DIR, 0o755);
+        surface.writeToPNG(referencePath);
+        print(`# wrote snapshot ${referencePath}`);
+        return;
+    }
+
+    const actualPath = GLib.build_filenamev([GLib.get_tmp_dir(),
+        `batteryIcon-${name}.actual.png`]);
+    surface.writeToPNG(actualPath);
+
+    if (!GLib.file_test(referencePath, GLib.FileTest.EXISTS)) {
+        throw new Error(`snapshot ${name} has no reference, see ${actualPath}; ` +
+                        `write it with ${UPDATE_SNAPSHOTS_ENV}=1`);
+    }
+
+    const actual = GdkPixbuf.Pixbuf.new_from_file(actualPath);
+    const expected = GdkPixbuf.Pixbuf.new_from_file(referencePath);
+
+    if (actual.get_width() !== expected.get_width() ||
+        actual.get_height() !== expected.get_height() ||
+        actual.get_n_channels() !== expected.get_n_channels()) {
+        throw new Error(`snapshot ${name} changed size, see ${actualPath}`);
+    }
+
+    const differing = countDifferingPixels(actual, expected);
+    const total = actual.get_width() * actual.get_height();
+    if (differing > total * MAX_DIFFERING_RATIO) {
+        throw new Error(`snapshot ${name}: ${differing} of ${total} pixels differ, ` +
+                        `see ${actualPath}`);
+    }
+
+    GLib.unlink(actualPath);
+}
+
+/**
+ * Run all registered tests in order, printing TAP output
+ *
+ * Needs a running main loop for tests awaiting D-Bus calls.
+ *
+ * @returns {Promise<number>} Number of failed tests
+ */
+export async function runTests() {
+    let failed = 0;
+
+    print(`1..${tests.length}`);
+    for (const [index, {name, fn}] of tests.entries()) {
+        try {
+            await fn();
+            print(`ok ${index + 1} - ${name}`);
+        } catch (error) {
+            failed++;
+            print(`not ok ${index + 1} - ${name}`);
+            print(`# ${error.message}`);
+        }
+    }
+
+    return failed;
+}
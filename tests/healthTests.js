@@ -0,0 +1,76 @@
+// healthTests.js — gjs (ESM)
+
+import UPowerGlib from 'gi://UPowerGlib';
+
+import * as Health from '../health.js';
+import {FakeDevice} from './fakeDevice.js';
+import {assertEqual, assertFalse, assertTrue, test} from './harness.js';
+
+const DAY_SECONDS = 24 * 3600;
+
+test('wear is the capacity lost against the design', () => {
+    const health = Health.readHealth(new FakeDevice({
+        energy_full: 45,
+        energy_full_design: 50,
+        charge_cycles: 312,
+    }));
+
+    assertEqual(health.capacity, 90);
+    assertEqual(health.wear, 10);
+    assertEqual(health.cycles, 312);
+    assertEqual(health.technology, 'Lithium ion');
+});
+
+test('unknown design capacity and cycles stay unknown', () => {
+    const health = Health.readHealth(new FakeDevice({energy_full_design: 0}));
+
+    assertEqual(health.capacity, null);
+    assertEqual(health.wear, null);
+    assertEqual(health.cycles, null);
+});
+
+test('capacity above the design counts as unworn', () => {
+    const health = Health.readHealth(new FakeDevice({energy_full: 52}));
+    assertEqual(health.wear, 0);
+});
+
+test('batteries are identified by serial, then vendor and model', () => {
+    assertEqual(Health.readHealth(new FakeDevice({serial: '1234', model: 'X'})).id, '1234');
+    assertEqual(Health.readHealth(new FakeDevice({vendor: 'LGC', model: 'X'})).id, 'LGC X');
+});
+
+test('laptop batteries exclude peripherals and removed packs', () => {
+    const client = {
+        get_devices: () => [
+            new FakeDevice({serial: 'BAT0'}),
+            new FakeDevice({serial: 'mouse', kind: UPowerGlib.DeviceKind.MOUSE,
+                            power_supply: false}),
+            new FakeDevice({serial: 'BAT1'}),
+            new FakeDevice({serial: 'BAT2', is_present: false}),
+        ],
+    };
+
+    const batteries = Health.findLaptopBatteries(client);
+    assertEqual(batteries.map(battery => battery.serial).join(','), 'BAT0,BAT1');
+    assertEqual(Health.findLaptopBattery(client).serial, 'BAT0');
+    assertEqual(Health.findLaptopBattery(null), null);
+});
+
+test('capacity is recorded at most once a day', () => {
+    const history = new Health.CapacityHistory('/nonexistent');
+    const health = Health.readHealth(new FakeDevice({serial: 'a', energy_full: 40}));
+
+    assertTrue(history.record(health, 0));
+    assertFalse(history.record(health, DAY_SECONDS - 1));
+    assertTrue(history.record(health, DAY_SECONDS));
+    assertEqual(history.getEntries('a').length, 2);
+    assertEqual(history.getEntries('a')[1].c, 80);
+    assertEqual(history.getEntries('b').length, 0);
+});
+
+test('unknown capacity is not recorded', () => {
+    const history = new Health.CapacityHistory('/nonexistent');
+    const health = Health.readHealth(new FakeDevice({energy_full_design: 0}));
+
+    assertFalse(history.record(health, 0));
+});
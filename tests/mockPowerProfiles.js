@@ -0,0 +1,93 @@
+// mockPowerProfiles.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {BUS_NAME, INTERFACE_NAME, OBJECT_PATH} from '../powerProfiles.js';
+
+// Subset of the power-profiles-daemon interface the extension uses
+const INTERFACE_XML = `
+<node>
+  <interface name="${INTERFACE_NAME}">
+    <property name="ActiveProfile" type="s" access="readwrite"/>
+    <property name="Profiles" type="aa{sv}" access="read"/>
+  </interface>
+</node>`;
+
+/**
+ * MockPowerProfiles - Stand-in for power-profiles-daemon
+ *
+ * Exports the service on the session bus, so tests need neither the
+ * daemon nor access to the system bus.
+ */
+export class MockPowerProfiles {
+    /**
+     * @param {Object} [params] - Optional parameters
+     * @param {string} [params.activeProfile] - Initial profile
+     * @param {string[]} [params.profiles] - Supported profiles
+     */
+    constructor({
+        activeProfile = 'balanced',
+        profiles = ['power-saver', 'balanced', 'performance'],
+    } = {}) {
+        this._activeProfile = activeProfile;
+        this._profiles = profiles;
+        this._exported = null;
+        this._ownerId = 0;
+    }
+
+    /**
+     * Profile last set over D-Bus
+     *
+     * @type {string}
+     */
+    get ActiveProfile() {
+        return this._activeProfile;
+    }
+
+    set ActiveProfile(profile) {
+        this._activeProfile = profile;
+        this._exported?.emit_property_changed('ActiveProfile',
+            new GLib.Variant('s', profile));
+    }
+
+    /**
+     * @type {GLib.Variant}
+     */
+    get Profiles() {
+        return new GLib.Variant('aa{sv}', this._profiles.map(profile => ({
+            Profile: new GLib.Variant('s', profile),
+            Driver: new GLib.Variant('s', 'mock'),
+        })));
+    }
+
+    /**
+     * Export the service and own its name
+     *
+     * @returns {Promise} Resolves once the name is acquired
+     */
+    start() {
+        const connection = Gio.DBus.session;
+        this._exported = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._exported.export(connection, OBJECT_PATH);
+
+        return new Promise((resolve, reject) => {
+            this._ownerId = Gio.bus_own_name_on_connection(connection, BUS_NAME,
+                Gio.BusNameOwnerFlags.NONE,
+                () => resolve(),
+                () => reject(new Error(`could not own ${BUS_NAME}`)));
+        });
+    }
+
+    /**
+     * Release the name and unexport the service
+     */
+    stop() {
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+        this._exported?.unexport();
+        this._exported = null;
+    }
+}
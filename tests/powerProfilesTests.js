@@ -0,0 +1,123 @@
+// powerProfilesTests.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import * as PowerProfiles from '../powerProfiles.js';
+import {assertEqual, test} from './harness.js';
+import {MockPowerProfiles} from './mockPowerProfiles.js';
+
+// Default rules of the settings schema
+const RULES = [['battery', 30, 'power-saver'], ['ac', 0, 'performance']];
+
+// How long to wait for the proxy to see a change
+const CHANGE_TIMEOUT_MS = 2000;
+
+/**
+ * Wait until the client sees a profile
+ *
+ * @param {PowerProfiles.PowerProfilesClient} client - Connected client
+ * @param {string} profile - Expected profile
+ */
+function waitForProfile(client, profile) {
+    return new Promise((resolve, reject) => {
+        const start = GLib.get_monotonic_time();
+        GLib.timeout_add(GLib.PRIORITY_DEFAULT, 10, () => {
+            if (client.activeProfile === profile) {
+                resolve();
+                return GLib.SOURCE_REMOVE;
+            }
+            if (GLib.get_monotonic_time() - start > CHANGE_TIMEOUT_MS * 1000) {
+                reject(new Error(`expected ${profile}, got ${client.activeProfile}`));
+                return GLib.SOURCE_REMOVE;
+            }
+            return GLib.SOURCE_CONTINUE;
+        });
+    });
+}
+
+/**
+ * Run a test body against a mock service and a client on the session bus
+ *
+ * @param {Object} params - Mock service parameters
+ * @param {Function} fn - Test body, called with the mock and the client
+ */
+async function withService(params, fn) {
+    const mock = new MockPowerProfiles(params);
+    await mock.start();
+
+    const client = new PowerProfiles.PowerProfilesClient({connection: Gio.DBus.session});
+    try {
+        await client.init();
+        await fn(mock, client);
+    } finally {
+        client.destroy();
+        mock.stop();
+    }
+}
+
+test('rules match by power source and level', () => {
+    const match = context => PowerProfiles.findMatchingRule(RULES, context)?.[2] ?? null;
+
+    assertEqual(match({percentage: 29, onBattery: true}), 'power-saver');
+    assertEqual(match({percentage: 30, onBattery: true}), null);
+    assertEqual(match({percentage: 29, onBattery: false}), 'performance');
+    assertEqual(match({percentage: 100, onBattery: false}), 'performance');
+});
+
+test('the first matching rule wins', () => {
+    const rules = [['any', 10, 'power-saver'], ['ac', 0, 'performance']];
+
+    assertEqual(PowerProfiles.findMatchingRule(rules, {percentage: 5, onBattery: false})[2],
+                'power-saver');
+    assertEqual(PowerProfiles.findMatchingRule([], {percentage: 5, onBattery: true}), null);
+});
+
+test('client reads the profiles of the service', () => withService({}, (mock, client) => {
+    assertEqual(client.activeProfile, 'balanced');
+    assertEqual(client.profiles.join(','), 'power-saver,balanced,performance');
+}));
+
+test('switcher applies rules and restores the previous profile', () =>
+    withService({}, async (mock, client) => {
+        const switcher = new PowerProfiles.ProfileSwitcher(client);
+        switcher.setRules(RULES);
+
+        await switcher.update({percentage: 20, onBattery: true});
+        assertEqual(mock.ActiveProfile, 'power-saver');
+        await waitForProfile(client, 'power-saver');
+
+        await switcher.update({percentage: 50, onBattery: true});
+        assertEqual(mock.ActiveProfile, 'balanced');
+        await waitForProfile(client, 'balanced');
+
+        await switcher.update({percentage: 50, onBattery: false});
+        assertEqual(mock.ActiveProfile, 'performance');
+        await waitForProfile(client, 'performance');
+
+        await switcher.restore();
+        assertEqual(mock.ActiveProfile, 'balanced');
+    }));
+
+test('switcher keeps a profile chosen by hand until the rule changes', () =>
+    withService({}, async (mock, client) => {
+        const switcher = new PowerProfiles.ProfileSwitcher(client);
+        switcher.setRules(RULES);
+
+        await switcher.update({percentage: 20, onBattery: true});
+        await waitForProfile(client, 'power-saver');
+
+        mock.ActiveProfile = 'performance';
+        await waitForProfile(client, 'performance');
+        await switcher.update({percentage: 19, onBattery: true});
+        assertEqual(mock.ActiveProfile, 'performance');
+    }));
+
+test('switcher skips profiles the hardware lacks', () =>
+    withService({profiles: ['power-saver', 'balanced']}, async (mock, client) => {
+        const switcher = new PowerProfiles.ProfileSwitcher(client);
+        switcher.setRules(RULES);
+
+        await switcher.update({percentage: 80, onBattery: false});
+        assertEqual(mock.ActiveProfile, 'balanced');
+    }));
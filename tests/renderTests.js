@@ -0,0 +1,186 @@
+// renderTests.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import Cairo from 'cairo';
+
+import * as Colors from '../colors.js';
+import * as Painter from '../painter.js';
+import * as Renderers from '../renderers.js';
+import * as Status from '../status.js';
+import {assertEqual, assertSnapshot, assertTrue, test} from './harness.js';
+
+// Indicator size of a typical 32 px panel
+const SIZE = 28;
+
+// Foreground color of the default dark panel
+const FOREGROUND_COLOR = [1, 1, 1];
+
+// Extension directory holding the overlay icons
+const EXTENSION_PATH = Gio.File.new_for_uri(import.meta.url)
+    .get_parent().get_parent().get_path();
+
+/**
+ * Render an indicator with the default color scheme
+ *
+ * @param {Object} scene - Overrides of the scene passed to paintIndicator(),
+ *   plus the power state (discharging if missing); a scale renders for a
+ *   HiDPI display
+ * @returns {Cairo.ImageSurface} Rendered surface
+ */
+function render({powerState = Status.POWER_STATE_DISCHARGING, scale = 1, ...scene}) {
+    const style = scene.style ?? Renderers.STYLE_RING;
+    const percentage = scene.percentage;
+    const isCharging = powerState === Status.POWER_STATE_CHARGING;
+    const color = Colors.colorForStatus({percentage, isCharging}, {
+        stops: Colors.COLOR_PRESETS[Colors.SCHEME_DEFAULT],
+        chargingColor: null,
+    });
+
+    const pixels = Math.ceil(SIZE * scale);
+    const surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, pixels, pixels);
+    const context = new Cairo.Context(surface);
+    context.scale(scale, scale);
+    Painter.paintIndicator(context, SIZE, SIZE, {
+        scale,
+        text: String(percentage),
+        color,
+        foregroundColor: FOREGROUND_COLOR,
+        style,
+        styleOptions: Renderers.getStyleOptions(style, {}),
+        chargeLimit: null,
+        glyphPath: null,
+        overlayIconPath: Painter.getOverlayIconPath(EXTENSION_PATH, powerState),
+        ...scene,
+    });
+    return surface;
+}
+
+for (const percentage of [0, 5, 50, 100]) {
+    test(`ring at ${percentage}%`, () => {
+        assertSnapshot(render({percentage}), `ring-${percentage}`);
+    });
+}
+
+for (const powerState of Object.keys(Painter.OVERLAY_ICONS)) {
+    test(`ring ${powerState} at 50%`, () => {
+        assertSnapshot(render({percentage: 50, powerState}), `ring-50-${powerState}`);
+    });
+}
+
+test('ring with a charge limit at 80%', () => {
+    assertSnapshot(render({percentage: 60, chargeLimit: 80}), 'ring-60-limit-80');
+});
+
+for (const style of [Renderers.STYLE_RING, Renderers.STYLE_BATTERY, Renderers.STYLE_PIE,
+    Renderers.STYLE_BAR]) {
+    test(`${style} with 20% lost capacity`, () => {
+        assertSnapshot(render({style, percentage: 60, lostCapacity: 20}),
+                       `${style}-60-lost-20`);
+    });
+}
+
+for (const profile of Object.keys(Painter.PROFILE_BADGE_COLORS)) {
+    test(`ring with the ${profile} badge`, () => {
+        assertSnapshot(render({percentage: 60, profile}), `ring-60-${profile}`);
+    });
+}
+
+// Two batteries, the second nearly empty
+const PACK_LANES = [
+    {percentage: 80, color: [0.4, 1, 0]},
+    {percentage: 10, color: [1, 0.2, 0]},
+];
+
+for (const style of [Renderers.STYLE_RING, Renderers.STYLE_BATTERY, Renderers.STYLE_BAR]) {
+    test(`${style} with one lane per battery`, () => {
+        assertSnapshot(render({style, percentage: 45, lanes: PACK_LANES}),
+                       `${style}-45-packs`);
+    });
+}
+
+for (const style of [Renderers.STYLE_RING, Renderers.STYLE_BATTERY, Renderers.STYLE_BAR]) {
+    test(`${style} with the lost capacity of each battery`, () => {
+        const lanes = PACK_LANES.map((lane, index) => ({...lane, lostCapacity: 10 * (index + 1)}));
+        assertSnapshot(render({style, percentage: 45, lanes}), `${style}-45-packs-lost`);
+    });
+}
+
+test('ring with combined and per-battery lanes', () => {
+    assertSnapshot(render({percentage: 45, chargeLimit: 80,
+                           lanes: [{percentage: 45, color: [1, 1, 0]}, ...PACK_LANES]}),
+                   'ring-45-packs-both');
+});
+
+for (const style of [Renderers.STYLE_BATTERY, Renderers.STYLE_PIE,
+    Renderers.STYLE_BAR, Renderers.STYLE_DOT]) {
+    test(`${style} at 25%`, () => {
+        assertSnapshot(render({style, percentage: 25}), `${style}-25`);
+    });
+
+    test(`${style} charging at 75%`, () => {
+        assertSnapshot(render({style, percentage: 75,
+                               powerState: Status.POWER_STATE_CHARGING}),
+                       `${style}-75-charging`);
+    });
+}
+
+test('ring styled by the theme', () => {
+    assertSnapshot(render({
+        percentage: 60,
+        font: {family: 'Serif', italic: true, bold: false, sizeRatio: 0.4},
+        textColor: [1, 1, 1],
+        trackColor: [1, 1, 1, 0.25],
+        ringWidth: 4,
+    }), 'ring-60-themed');
+});
+
+test('ring with the level faded by an animation', () => {
+    assertSnapshot(render({percentage: 8, levelAlpha: 0.4, chargeLimit: 80}),
+                   'ring-8-faded');
+});
+
+test('ring with the power draw on a second line', () => {
+    const stops = Colors.COLOR_PRESETS[Colors.SCHEME_DEFAULT];
+    assertSnapshot(render({
+        percentage: 64,
+        subtext: '7.5W',
+        subtextColor: Colors.colorForPower(7.5, 5, 25, stops),
+    }), 'ring-64-power');
+});
+
+for (const percentage of [15, 40, 80]) {
+    test(`ring for high visibility at ${percentage}%`, () => {
+        assertSnapshot(render({percentage, highVisibility: true}),
+                       `ring-${percentage}-high-visibility`);
+    });
+}
+
+test('power draw is colored from full at low draw to empty at high draw', () => {
+    const stops = Colors.COLOR_PRESETS[Colors.SCHEME_DEFAULT];
+    assertEqual(Colors.colorForPower(2, 5, 25, stops).join(','),
+                Colors.colorForPercentage(stops, 100).join(','));
+    assertEqual(Colors.colorForPower(15, 5, 25, stops).join(','),
+                Colors.colorForPercentage(stops, 50).join(','));
+    assertEqual(Colors.colorForPower(40, 5, 25, stops).join(','),
+                Colors.colorForPercentage(stops, 0).join(','));
+    assertEqual(Colors.colorForPower(15, 5, 25, []), null, 'monochrome');
+});
+
+for (const scale of [1.25, 1.5, 2]) {
+    test(`ring charging at ${scale}x`, () => {
+        assertSnapshot(render({percentage: 50, scale, powerState: Status.POWER_STATE_CHARGING}),
+                       `ring-50-charging-${scale}x`);
+    });
+}
+
+test('icons are rasterized once per size, color and scale', () => {
+    const cache = new Painter.SvgCache();
+    const iconPath = Painter.getOverlayIconPath(EXTENSION_PATH, Status.POWER_STATE_CHARGING);
+    const icon = cache.get(iconPath, [1, 1, 1], 10, 1);
+
+    assertTrue(icon !== null);
+    assertEqual(cache.get(iconPath, [1, 1, 1], 10, 1), icon);
+    assertEqual(icon.getHeight(), 10);
+    assertEqual(cache.get(iconPath, [1, 1, 1], 10, 2).getHeight(), 20);
+    assertTrue(cache.get(iconPath, [1, 0, 0], 10, 1) !== icon, 'colors are cached apart');
+});
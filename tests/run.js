@@ -0,0 +1,33 @@
+// run.js — gjs (ESM)
+//
+// Runs the test suite headless, on a private session bus for the mock
+// D-Bus services:
+//
+//     dbus-run-session -- gjs -m tests/run.js
+//
+// Set UPDATE_SNAPSHOTS=1 to write missing and rewrite all reference images.
+
+import GLib from 'gi://GLib';
+import System from 'system';
+
+import {runTests} from './harness.js';
+import './statusTests.js';
+import './visibilityTests.js';
+import './animationTests.js';
+import './healthTests.js';
+import './renderTests.js';
+import './powerProfilesTests.js';
+import './settingsFileTests.js';
+import './dbusServiceTests.js';
+import './chargeLimitTests.js';
+
+const loop = new GLib.MainLoop(null, false);
+let failed = 0;
+
+runTests().then(count => {
+    failed = count;
+    loop.quit();
+});
+loop.run();
+
+System.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,179 @@
+// settingsFileTests.js — gjs (ESM)
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import * as Migration from '../migration.js';
+import * as SettingsFile from '../settingsFile.js';
+import {assertEqual, assertTrue, test} from './harness.js';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.batteryIcon';
+
+// Schema sources of the extension, next to the tests directory
+const SCHEMA_DIR = GLib.build_filenamev([
+    Gio.File.new_for_uri(import.meta.url).get_parent().get_parent().get_path(),
+    'schemas',
+]);
+
+let schema = null;
+
+/**
+ * Create settings of the extension schema in memory
+ *
+ * The schema is compiled into a temporary directory on first use, so the
+ * tests neither need it installed nor touch the user's settings.
+ *
+ * @returns {Gio.Settings} Settings at their defaults
+ */
+function createSettings() {
+    if (!schema) {
+        const targetDir = GLib.dir_make_tmp('batteryIcon-schemas-XXXXXX');
+        const [, , stderr, status] = GLib.spawn_sync(null,
+            ['glib-compile-schemas', `--targetdir=${targetDir}`, SCHEMA_DIR],
+            null, GLib.SpawnFlags.SEARCH_PATH, null);
+        if (status !== 0) {
+            throw new Error(`glib-compile-schemas failed: ${new TextDecoder().decode(stderr)}`);
+        }
+
+        schema = Gio.SettingsSchemaSource.new_from_directory(targetDir, null, false)
+            .lookup(SCHEMA_ID, false);
+    }
+
+    return new Gio.Settings({
+        settings_schema: schema,
+        backend: Gio.memory_settings_backend_new(),
+    });
+}
+
+/**
+ * Build the contents of a settings file
+ *
+ * @param {Object} values - Values in GVariant text format
+ * @returns {Object} File contents
+ */
+function fileWith(values) {
+    return {
+        format: 'batteryIcon-settings',
+        version: 1,
+        settingsVersion: Migration.SETTINGS_VERSION,
+        settings: values,
+    };
+}
+
+/**
+ * Assert that a function throws an error mentioning every given text
+ *
+ * @param {Function} fn - Function expected to throw
+ * @param {string[]} texts - Texts the error message must contain
+ */
+function assertThrowsWith(fn, texts) {
+    let message = null;
+    try {
+        fn();
+    } catch (error) {
+        message = error.message;
+    }
+
+    assertTrue(message !== null, 'expected an error');
+    for (const text of texts) {
+        assertTrue(message.includes(text), `"${message}" should mention ${text}`);
+    }
+}
+
+test('exported settings import unchanged on another machine', () => {
+    const source = createSettings();
+    source.set_int('charging-threshold', 55);
+    source.set_string('color-scheme', 'custom');
+    source.set_value('color-stops', new GLib.Variant('a(is)', [[0, '#000000'], [100, '#ffffff']]));
+    source.set_value('style-options', new GLib.Variant('a{sa{sv}}', {
+        ring: {thickness: new GLib.Variant('i', 20), clockwise: new GLib.Variant('b', false)},
+    }));
+
+    const target = createSettings();
+    target.set_int('discharging-threshold', 10);
+
+    const data = JSON.parse(JSON.stringify(SettingsFile.serializeSettings(source)));
+    SettingsFile.applySettings(target, data);
+
+    for (const key of schema.list_keys()) {
+        assertEqual(target.get_value(key).print(true), source.get_value(key).print(true), key);
+    }
+    assertEqual(target.get_user_value('discharging-threshold'), null,
+                'keys at their default are reset');
+});
+
+test('invalid settings files change nothing and list every problem', () => {
+    const settings = createSettings();
+
+    assertThrowsWith(() => SettingsFile.applySettings(settings, fileWith({
+        'charging-threshold': '150',
+        'color-scheme': "'rainbow'",
+        'display-mode': 'percent',
+        'no-such-key': 'true',
+        'force-show': true,
+    })), ['charging-threshold', 'color-scheme', 'display-mode', 'no-such-key', 'force-show']);
+
+    assertEqual(settings.get_int('charging-threshold'), 80);
+    assertEqual(settings.get_string('color-scheme'), 'default');
+});
+
+test('invalid settings are reported by key for the preferences', () => {
+    let error = null;
+    try {
+        SettingsFile.parseSettings(createSettings(), fileWith({
+            'charging-threshold': '150',
+            'charge-limit-applied': 'true',
+        }));
+    } catch (e) {
+        error = e;
+    }
+
+    assertTrue(error instanceof SettingsFile.SettingsFileError, 'expected a settings file error');
+    assertEqual(error.reason, SettingsFile.ERROR_INVALID_SETTINGS);
+    assertEqual(error.keys.sort().join(), 'charge-limit-applied,charging-threshold');
+});
+
+test('foreign and newer files are rejected', () => {
+    const settings = createSettings();
+
+    assertThrowsWith(() => SettingsFile.applySettings(settings, {}),
+                     ['Not a Battery Icon settings file']);
+    assertThrowsWith(() => SettingsFile.applySettings(settings, {...fileWith({}), version: 2}),
+                     ['file version 2']);
+    assertThrowsWith(() => SettingsFile.applySettings(settings,
+        {...fileWith({}), settingsVersion: Migration.SETTINGS_VERSION + 1}),
+    ['Settings version']);
+    assertThrowsWith(() => SettingsFile.applySettings(settings, {...fileWith({}), settings: []}),
+                     ['no settings']);
+});
+
+test('migrations run once, in order, and carry user values forward', () => {
+    const settings = createSettings();
+    settings.set_int('charging-threshold', 42);
+
+    const applied = [];
+    const migrations = [
+        () => applied.push(1),
+        target => {
+            applied.push(2);
+            Migration.moveValue(target, 'charging-threshold', 'discharging-threshold');
+        },
+    ];
+
+    assertEqual(Migration.migrateSettings(settings, migrations), 2);
+    assertEqual(Migration.migrateSettings(settings, migrations), 0);
+    assertEqual(applied.join(','), '1,2');
+    assertEqual(settings.get_int('settings-version'), 2);
+    assertEqual(settings.get_int('discharging-threshold'), 42);
+    assertEqual(settings.get_user_value('charging-threshold'), null);
+});
+
+test('settings of a newer extension version are not migrated', () => {
+    const settings = createSettings();
+    settings.set_int('settings-version', 5);
+
+    assertEqual(Migration.migrateSettings(settings, [() => {
+        throw new Error('must not run');
+    }]), 0);
+    assertEqual(settings.get_int('settings-version'), 5);
+});
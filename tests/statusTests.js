@@ -0,0 +1,196 @@
+// statusTests.js — gjs (ESM)
+
+import UPowerGlib from 'gi://UPowerGlib';
+
+import {PowerAverage, TimeEstimator} from '../estimator.js';
+import * as Status from '../status.js';
+import {FakeDevice} from './fakeDevice.js';
+import {assertEqual, assertFalse, assertTrue, test} from './harness.js';
+
+const {CHARGING, DISCHARGING, EMPTY, FULLY_CHARGED, PENDING_CHARGE, PENDING_DISCHARGE, UNKNOWN} =
+    UPowerGlib.DeviceState;
+
+// Default thresholds of the settings schema
+const RULES = {chargingThreshold: 80, dischargingThreshold: 90};
+
+/**
+ * Read a fake device and decide the main indicator's visibility
+ *
+ * @param {Object} properties - Fake device properties
+ * @param {Object} [rules] - Visibility rules
+ * @param {boolean} [onBattery] - Whether the system runs on battery
+ * @returns {boolean} True if the indicator would be shown
+ */
+function isShown(properties, rules = RULES, onBattery = true) {
+    const status = Status.readStatus(new FakeDevice(properties), new TimeEstimator(),
+                                     {onBattery, timestamp: 0});
+    return Status.shouldShowBattery(status, rules);
+}
+
+test('discharging shows below the discharging threshold', () => {
+    assertTrue(isShown({percentage: 89, state: DISCHARGING}));
+    assertFalse(isShown({percentage: 90, state: DISCHARGING}));
+});
+
+test('discharging ignores the charging threshold', () => {
+    assertTrue(isShown({percentage: 50, state: DISCHARGING},
+                       {chargingThreshold: 10, dischargingThreshold: 60}));
+    assertFalse(isShown({percentage: 70, state: DISCHARGING},
+                        {chargingThreshold: 90, dischargingThreshold: 60}));
+});
+
+test('charging shows below either threshold', () => {
+    assertTrue(isShown({percentage: 79, state: CHARGING}));
+    assertTrue(isShown({percentage: 85, state: CHARGING}));
+    assertTrue(isShown({percentage: 85, state: CHARGING},
+                       {chargingThreshold: 90, dischargingThreshold: 60}));
+    assertFalse(isShown({percentage: 95, state: CHARGING}));
+});
+
+test('full and pending states follow the discharging threshold', () => {
+    assertFalse(isShown({percentage: 100, state: FULLY_CHARGED}));
+    assertTrue(isShown({percentage: 85, state: PENDING_CHARGE}));
+    assertFalse(isShown({percentage: 85, state: PENDING_CHARGE},
+                        {chargingThreshold: 90, dischargingThreshold: 80}));
+});
+
+test('force-show overrides the thresholds and rules', () => {
+    assertTrue(isShown({percentage: 100, state: FULLY_CHARGED},
+                       {...RULES, forceShow: true}));
+    assertTrue(isShown({percentage: 50, state: DISCHARGING},
+                       {...RULES, stateRules: {discharging: 'never'}, forceShow: true}));
+});
+
+test('UPower states map to power states', () => {
+    const cases = [
+        [CHARGING, true, 'charging'],
+        [DISCHARGING, true, 'discharging'],
+        [DISCHARGING, false, 'plugged-discharging'],
+        [PENDING_CHARGE, false, 'pending-charge'],
+        [PENDING_DISCHARGE, false, 'pending-charge'],
+        [FULLY_CHARGED, false, 'fully-charged'],
+        [EMPTY, true, 'empty'],
+        [UNKNOWN, true, 'unknown'],
+    ];
+
+    for (const [state, onBattery, expected] of cases) {
+        assertEqual(Status.getPowerState(state, onBattery), expected,
+                    `state ${state}, on battery ${onBattery}`);
+    }
+});
+
+test('only charging counts as charging', () => {
+    const status = Status.readStatus(new FakeDevice({state: DISCHARGING}),
+                                     new TimeEstimator(), {onBattery: false, timestamp: 0});
+    assertEqual(status.powerState, 'plugged-discharging');
+    assertFalse(status.isCharging);
+});
+
+test('state rules override the thresholds', () => {
+    const stateRules = {'plugged-discharging': 'always', 'fully-charged': 'never'};
+
+    assertTrue(isShown({percentage: 95, state: DISCHARGING},
+                       {...RULES, stateRules}, false));
+    assertFalse(isShown({percentage: 95, state: DISCHARGING},
+                        {...RULES, stateRules}, true));
+    assertFalse(isShown({percentage: 50, state: FULLY_CHARGED},
+                        {...RULES, stateRules}));
+    assertTrue(isShown({percentage: 50, state: EMPTY},
+                       {...RULES, stateRules: {empty: 'always'}}));
+});
+
+test('unknown percentage always hides', () => {
+    assertFalse(isShown({percentage: null}));
+    assertFalse(isShown({percentage: null}, {...RULES, forceShow: true}));
+});
+
+test('peripherals show below their threshold', () => {
+    const status = {percentage: 30, isCharging: false};
+    assertTrue(Status.shouldShowPeripheral(status, {threshold: 50}));
+    assertFalse(Status.shouldShowPeripheral(status, {threshold: 30}));
+    assertTrue(Status.shouldShowPeripheral(status, {threshold: 30, forceShow: true}));
+    assertFalse(Status.shouldShowPeripheral({percentage: -1}, {threshold: 50}));
+});
+
+test('each battery of several reads its own level', () => {
+    const pack = Status.readPackStatus(new FakeDevice({percentage: 62.4, state: CHARGING}));
+    assertEqual(pack.percentage, 62);
+    assertTrue(pack.isCharging);
+    assertFalse(Status.readPackStatus(new FakeDevice({state: PENDING_CHARGE})).isCharging);
+});
+
+test('thresholds are clamped to 0-100', () => {
+    assertEqual(Status.clampPercent(-5), 0);
+    assertEqual(Status.clampPercent(42), 42);
+    assertEqual(Status.clampPercent(150), 100);
+});
+
+test('status rounds the percentage and picks the matching time', () => {
+    const device = new FakeDevice({
+        percentage: 41.6,
+        state: CHARGING,
+        energy_rate: 12.5,
+        time_to_empty: 100,
+        time_to_full: 200,
+    });
+    const status = Status.readStatus(device, new TimeEstimator(), {timestamp: 0});
+
+    assertEqual(status.percentage, 42);
+    assertTrue(status.isCharging);
+    assertEqual(status.energyRate, 12.5);
+    assertEqual(status.timeRemaining, 200);
+
+    device.set({state: DISCHARGING});
+    assertEqual(Status.readStatus(device, new TimeEstimator(), {timestamp: 0}).timeRemaining,
+                100);
+});
+
+test('status falls back to the estimate without a UPower time', () => {
+    const device = new FakeDevice({percentage: 50, state: DISCHARGING});
+    const estimator = new TimeEstimator();
+
+    Status.readStatus(device, estimator, {timestamp: 0});
+    device.set({percentage: 49});
+    const status = Status.readStatus(device, estimator, {timestamp: 60});
+
+    // One percent per minute leaves 49 minutes
+    assertEqual(status.timeRemaining, 49 * 60);
+});
+
+test('power draw averages over the window and restarts with the direction', () => {
+    const average = new PowerAverage();
+    assertEqual(average.getAverage(30, 0), 0);
+
+    average.addSample(10, false, 0);
+    average.addSample(20, false, 20);
+    assertEqual(average.getAverage(40, 40), 15);
+    assertEqual(average.getAverage(20, 60), 20, 'the first sample left the window');
+    assertEqual(average.getAverage(0, 100), 20, 'the newest sample always counts');
+
+    average.addSample(30, true, 110);
+    assertEqual(average.getAverage(30, 110), 30);
+});
+
+test('power draw weighs each sample by the time it held', () => {
+    const average = new PowerAverage();
+
+    // A burst of updates at the end counts for its few seconds only
+    average.addSample(10, false, 0);
+    average.addSample(40, false, 45);
+    average.addSample(40, false, 50);
+    average.addSample(40, false, 55);
+    assertEqual(average.getAverage(60, 60), 17.5);
+    assertEqual(average.getAverage(30, 60), 25, 'the window start cuts the first sample');
+});
+
+test('fake device notifies property changes', () => {
+    const device = new FakeDevice();
+    let notified = 0;
+    const id = device.connect('notify::time-to-empty', () => notified++);
+
+    device.set({time_to_empty: 60, percentage: 10});
+    device.disconnect(id);
+    device.set({time_to_empty: 30});
+
+    assertEqual(notified, 1);
+});
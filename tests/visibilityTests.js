@@ -0,0 +1,113 @@
+// visibilityTests.js — gjs (ESM)
+
+import GLib from 'gi://GLib';
+
+import * as Visibility from '../visibility.js';
+import {assertEqual, assertFalse, assertTrue, test} from './harness.js';
+
+// Rules without the time-dependent ones
+const RULES = {
+    chargingThreshold: 80,
+    dischargingThreshold: 20,
+    stateRules: {},
+    hideMargin: 0,
+    minimumVisibleTime: 0,
+    showAfterPlugTime: 0,
+    schedules: [],
+};
+
+// A Monday morning, local time
+const MONDAY = GLib.DateTime.new_local(2026, 10, 19, 10, 30, 0);
+
+/**
+ * Build a discharging status
+ *
+ * @param {number} percentage - Battery percentage
+ * @returns {Object} Status as returned by Status.readStatus()
+ */
+function discharging(percentage) {
+    return {percentage, isCharging: false, powerState: 'discharging'};
+}
+
+/**
+ * Feed levels to a new tracker, one per second
+ *
+ * @param {number[]} levels - Discharging levels
+ * @param {Object} rules - Visibility rules
+ * @returns {boolean[]} Visibility after each level
+ */
+function track(levels, rules) {
+    const tracker = new Visibility.VisibilityTracker();
+    return levels.map((percentage, timestamp) =>
+        tracker.update(discharging(percentage), rules, {timestamp, now: MONDAY}).visible);
+}
+
+test('hide margin keeps a hovering level from flickering', () => {
+    assertEqual(track([19, 20, 19, 20], RULES).join(','), 'true,false,true,false');
+    assertEqual(track([19, 20, 22, 23, 22], {...RULES, hideMargin: 3}).join(','),
+                'true,true,true,false,false');
+});
+
+test('indicator stays for the minimum visible time', () => {
+    const tracker = new Visibility.VisibilityTracker();
+    const rules = {...RULES, minimumVisibleTime: 30};
+    const update = (percentage, timestamp) =>
+        tracker.update(discharging(percentage), rules, {timestamp, now: MONDAY});
+
+    assertTrue(update(19, 100).visible);
+    const held = update(25, 110);
+    assertTrue(held.visible);
+    assertEqual(held.recheckSeconds, 20);
+    assertFalse(update(25, 130).visible);
+});
+
+test('plugging in or out shows the indicator for a while', () => {
+    const tracker = new Visibility.VisibilityTracker();
+    const rules = {...RULES, showAfterPlugTime: 60};
+    const update = (onBattery, timestamp) =>
+        tracker.update(discharging(90), rules, {onBattery, timestamp, now: MONDAY});
+
+    assertFalse(update(true, 0).visible, 'the first update is no change');
+    const plugged = update(false, 10);
+    assertTrue(plugged.visible);
+    assertEqual(plugged.recheckSeconds, 60);
+    assertTrue(update(false, 69).visible);
+    assertFalse(update(false, 70).visible);
+});
+
+test('schedules follow days and run past midnight', () => {
+    const at = (day, hour, minute = 0) => GLib.DateTime.new_local(2026, 10, day, hour, minute, 0);
+    const workHours = [Visibility.DAYS_WEEKDAYS, 9 * 60, 17 * 60];
+    const fridayNight = [1 << 4, 22 * 60, 2 * 60];
+
+    assertTrue(Visibility.isScheduleActive(workHours, at(19, 9)));
+    assertFalse(Visibility.isScheduleActive(workHours, at(19, 17)));
+    assertFalse(Visibility.isScheduleActive(workHours, at(24, 10)), 'Saturday');
+
+    assertTrue(Visibility.isScheduleActive(fridayNight, at(23, 23)));
+    assertTrue(Visibility.isScheduleActive(fridayNight, at(24, 1, 59)));
+    assertFalse(Visibility.isScheduleActive(fridayNight, at(24, 23)));
+    assertTrue(Visibility.isScheduleActive([1 << 5, 0, 0], at(24, 12)), 'all day');
+});
+
+test('schedules show the indicator and ask for a recheck when they end', () => {
+    const tracker = new Visibility.VisibilityTracker();
+    const rules = {...RULES, schedules: [[Visibility.DAYS_ALL, 9 * 60, 11 * 60]]};
+    const result = tracker.update(discharging(100), rules, {timestamp: 0, now: MONDAY});
+
+    assertTrue(result.visible);
+    assertEqual(result.recheckSeconds, 30 * 60);
+    assertEqual(Visibility.getSecondsToScheduleChange([], MONDAY), 0);
+});
+
+test('simulated cycle discharges, charges back and applies the rules', () => {
+    const samples = Visibility.simulateCycle(RULES, MONDAY);
+    const last = samples[samples.length - 1];
+
+    assertFalse(samples[0].isCharging);
+    assertTrue(last.isCharging);
+    assertTrue(last.percentage > 90, 'charged back to full');
+    assertTrue(samples.every(({percentage, isCharging, visible}) => visible === (isCharging
+        ? percentage < RULES.chargingThreshold
+        : percentage < RULES.dischargingThreshold)));
+});
@@ -0,0 +1,238 @@
+// visibility.js — GNOME 48 (ESM)
+//
+// Visibility rules of the main indicator that depend on time: hysteresis,
+// minimum visible time, showing after plugging in or out, and schedules.
+// Shared by extension.js and prefs.js, so it must not import Shell or GTK.
+
+import GLib from 'gi://GLib';
+
+import * as Status from './status.js';
+
+// Settings keys
+const CHARGING_KEY = 'charging-threshold';
+const DISCHARGING_KEY = 'discharging-threshold';
+const STATE_VISIBILITY_KEY = 'state-visibility';
+const FORCE_SHOW_KEY = 'force-show';
+const HIDE_MARGIN_KEY = 'hide-margin';
+const MINIMUM_VISIBLE_TIME_KEY = 'minimum-visible-time';
+const SHOW_AFTER_PLUG_TIME_KEY = 'show-after-plug-time';
+const SCHEDULES_ENABLED_KEY = 'schedules-enabled';
+const SCHEDULES_KEY = 'schedules';
+
+// Days of a schedule, bit 0 for Monday to bit 6 for Sunday
+export const DAYS_ALL = 0b1111111;
+export const DAYS_WEEKDAYS = 0b0011111;
+export const DAYS_WEEKEND = 0b1100000;
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Simulated battery cycle of the preferences preview
+const SIMULATION_STEP_SECONDS = 60;
+const SIMULATION_DISCHARGE_RATE = 0.5;
+const SIMULATION_CHARGE_RATE = 1.5;
+const SIMULATION_LOW_LEVEL = 5;
+
+// Level noise added to the simulated samples in turn, so hysteresis shows
+const SIMULATION_JITTER = [0, 1, 0, -1];
+
+/**
+ * Read the visibility rules from settings
+ *
+ * @param {Gio.Settings} settings - Settings object
+ * @returns {Object} Rules as accepted by VisibilityTracker.update()
+ */
+export function readRules(settings) {
+    return {
+        chargingThreshold: Status.clampPercent(settings.get_int(CHARGING_KEY)),
+        dischargingThreshold: Status.clampPercent(settings.get_int(DISCHARGING_KEY)),
+        stateRules: settings.get_value(STATE_VISIBILITY_KEY).deepUnpack(),
+        forceShow: settings.get_boolean(FORCE_SHOW_KEY),
+        hideMargin: settings.get_int(HIDE_MARGIN_KEY),
+        minimumVisibleTime: settings.get_int(MINIMUM_VISIBLE_TIME_KEY),
+        showAfterPlugTime: settings.get_int(SHOW_AFTER_PLUG_TIME_KEY),
+        schedules: settings.get_boolean(SCHEDULES_ENABLED_KEY)
+            ? settings.get_value(SCHEDULES_KEY).deepUnpack()
+            : [],
+    };
+}
+
+/**
+ * Whether a schedule is active
+ *
+ * A schedule is [days, start, end], with start and end in minutes after
+ * midnight. Schedules ending before they start run past midnight, into
+ * the next day; schedules ending when they start last all day.
+ *
+ * @param {Array} schedule - Schedule as [days, start, end]
+ * @param {GLib.DateTime} dateTime - Local time
+ * @returns {boolean} True if the time falls in the schedule
+ */
+export function isScheduleActive([days, start, end], dateTime) {
+    const minute = dateTime.get_hour() * 60 + dateTime.get_minute();
+    const day = dateTime.get_day_of_week() - 1;
+    const previousDay = (day + 6) % 7;
+    const onDay = dayIndex => (days & (1 << dayIndex)) !== 0;
+
+    if (start === end) {
+        return onDay(day);
+    }
+
+    if (start < end) {
+        return onDay(day) && minute >= start && minute < end;
+    }
+
+    return (onDay(day) && minute >= start) || (onDay(previousDay) && minute < end);
+}
+
+/**
+ * Seconds until the next minute any schedule starts or ends
+ *
+ * Days are not considered, so this may be a boundary of another day.
+ *
+ * @param {Array[]} schedules - Schedules as [days, start, end]
+ * @param {GLib.DateTime} dateTime - Local time
+ * @returns {number} Seconds, 0 without schedules
+ */
+export function getSecondsToScheduleChange(schedules, dateTime) {
+    const minute = dateTime.get_hour() * 60 + dateTime.get_minute();
+    const boundaries = schedules.flatMap(([, start, end]) => [start, end]);
+
+    if (boundaries.length === 0) {
+        return 0;
+    }
+
+    const minutes = Math.min(...boundaries.map(boundary =>
+        (boundary - minute + MINUTES_PER_DAY - 1) % MINUTES_PER_DAY + 1));
+    return minutes * 60 - dateTime.get_second();
+}
+
+/**
+ * VisibilityTracker - Visibility of the main indicator over time
+ *
+ * Remembers whether the indicator is shown, since when, and when the
+ * power source last changed, to apply the rules that depend on them.
+ */
+export class VisibilityTracker {
+    constructor() {
+        this._shown = false;
+        this._shownAt = 0;
+        this._onBattery = null;
+        this._plugChangedAt = null;
+    }
+
+    /**
+     * Decide whether the indicator is shown
+     *
+     * The indicator is shown by the rules of Status.shouldShowBattery(),
+     * during schedules and for a while after plugging in or out. Once
+     * shown, it stays for the minimum visible time.
+     *
+     * @param {Object} status - Status from Status.readStatus()
+     * @param {Object} rules - Rules from readRules()
+     * @param {Object} [params] - Optional parameters
+     * @param {boolean} [params.onBattery] - Whether the system runs on battery
+     * @param {number} [params.timestamp] - Current time in seconds (monotonic)
+     * @param {GLib.DateTime} [params.now] - Local time, for schedules
+     * @returns {Object} Whether the indicator is visible, and recheckSeconds:
+     *   seconds after which the decision may change with the same status,
+     *   0 if it will not
+     */
+    update(status, rules, {
+        onBattery = true,
+        timestamp = GLib.get_monotonic_time() / GLib.USEC_PER_SEC,
+        now = GLib.DateTime.new_now_local(),
+    } = {}) {
+        if (this._onBattery !== null && onBattery !== this._onBattery) {
+            this._plugChangedAt = timestamp;
+        }
+        this._onBattery = onBattery;
+
+        if (status.percentage < Status.MIN_BATTERY_PERCENT) {
+            this._shown = false;
+            return {visible: false, recheckSeconds: 0};
+        }
+
+        const {minimumVisibleTime = 0, showAfterPlugTime = 0, schedules = []} = rules;
+        const deadlines = [];
+
+        let visible = Status.shouldShowBattery(status, {...rules, shown: this._shown}) ||
+            schedules.some(schedule => isScheduleActive(schedule, now));
+
+        if (this._plugChangedAt !== null) {
+            const showUntil = this._plugChangedAt + showAfterPlugTime;
+            if (timestamp < showUntil) {
+                visible = true;
+                deadlines.push(showUntil - timestamp);
+            }
+        }
+
+        if (!visible && this._shown) {
+            const keepUntil = this._shownAt + minimumVisibleTime;
+            if (timestamp < keepUntil) {
+                visible = true;
+                deadlines.push(keepUntil - timestamp);
+            }
+        }
+
+        if (schedules.length > 0) {
+            deadlines.push(getSecondsToScheduleChange(schedules, now));
+        }
+
+        if (visible && !this._shown) {
+            this._shownAt = timestamp;
+        }
+        this._shown = visible;
+
+        return {
+            visible,
+            recheckSeconds: deadlines.length > 0
+                ? Math.max(1, Math.ceil(Math.min(...deadlines)))
+                : 0,
+        };
+    }
+}
+
+/**
+ * Simulate a battery cycle for the preferences preview
+ *
+ * The battery discharges from full to 5%, with some noise, then charges
+ * back to full on AC.
+ *
+ * @param {Object} rules - Rules from readRules()
+ * @param {GLib.DateTime} [start] - Local time the cycle starts
+ * @returns {Object[]} Samples as {timestamp, percentage, isCharging, visible},
+ *   timestamp in seconds after the start
+ */
+export function simulateCycle(rules, start = GLib.DateTime.new_now_local()) {
+    const tracker = new VisibilityTracker();
+    const samples = [];
+    const stepMinutes = SIMULATION_STEP_SECONDS / 60;
+    let level = Status.MAX_BATTERY_PERCENT;
+    let isCharging = false;
+
+    for (let step = 0; !isCharging || level < Status.MAX_BATTERY_PERCENT; step++) {
+        const timestamp = step * SIMULATION_STEP_SECONDS;
+        const percentage = Status.clampPercent(
+            Math.round(level) + SIMULATION_JITTER[step % SIMULATION_JITTER.length]);
+        const status = {
+            percentage,
+            isCharging,
+            powerState: isCharging ? Status.POWER_STATE_CHARGING : Status.POWER_STATE_DISCHARGING,
+        };
+        const {visible} = tracker.update(status, rules, {
+            onBattery: !isCharging,
+            timestamp,
+            now: start.add_seconds(timestamp),
+        });
+        samples.push({timestamp, percentage, isCharging, visible});
+
+        if (isCharging) {
+            level += SIMULATION_CHARGE_RATE * stepMinutes;
+        } else {
+            level -= SIMULATION_DISCHARGE_RATE * stepMinutes;
+            isCharging = level <= SIMULATION_LOW_LEVEL;
+        }
+    }
+
+    return samples;
+}